@@ -1,9 +1,11 @@
 import * as THREE from 'three';
+import { BALL, stepBall, getBallBox, collideBallWithPlayers } from './Physics.js';
+import { SnapshotBuffer } from './Interpolation.js';
 
 export class Ball {
     constructor(scene) {
         this.scene = scene;
-        this.radius = 0.15; // Basketball approx radius
+        this.radius = BALL.radius; // Basketball approx radius
 
         // Mesh
         const geometry = new THREE.SphereGeometry(this.radius, 32, 32);
@@ -16,10 +18,8 @@ export class Ball {
         // Physics State
         this.active = true; // Always active in 1v1 unless waiting respawn
         this.owner = null; // Entity holding the ball
+        this.inFlight = false; // Our own shot, not yet touched
         this.velocity = new THREE.Vector3();
-        this.gravity = 20.0;
-        this.restitution = 0.8; // Bounciness
-        this.friction = 2.0;
 
         // Initial Spawn
         this.mesh.position.set(0, 5, 0); // Drop in center
@@ -27,7 +27,13 @@ export class Ball {
 
         // Helpers
         this.ballBox = new THREE.Box3();
-        this.colliderBox = new THREE.Box3(); // Reusable for other objects
+        // View of the mesh for the shared physics (mutated in place)
+        this.state = { position: this.mesh.position, velocity: this.velocity };
+
+        // Server snapshots while someone else has (or has shot) the ball;
+        // our own ball is simulated locally instead
+        this.snapshots = new SnapshotBuffer();
+        this.interpolated = false;
 
         // Trail Effect
         this.trailLength = 30;
@@ -48,7 +54,15 @@ export class Ball {
         this.scene.add(this.trailMesh);
     }
 
+    // Follow server snapshots instead of simulating
+    applySnapshot(t, position, velocity) {
+        if (!this.interpolated) this.snapshots.clear();
+        this.interpolated = true;
+        this.snapshots.push(t, position, null, velocity);
+    }
+
     grab(entity) {
+        this.interpolated = false;
         this.owner = entity;
         this.velocity.set(0, 0, 0);
         this.resetTrail(this.mesh.position);
@@ -63,9 +77,31 @@ export class Ball {
         // But better: use the passed velocity and clear owner.
         this.velocity.copy(velocity);
         this.owner = null;
+        this.interpolated = false;
+        this.inFlight = true; // Solid to players until it first touches anything (as on the server)
+    }
+
+    // Restarts our local prediction from an authoritative state `elapsed` seconds old
+    resync(position, velocity, elapsed, colliders) {
+        this.mesh.position.copy(position);
+        this.velocity.copy(velocity);
+        this.resetTrail(this.mesh.position);
+        this.update(Math.min(Math.max(elapsed, 0), 0.5), colliders, 0);
     }
 
-    update(delta, collidables) {
+    // bodies: other players the predicted ball bounces off ([{ position, airborne }])
+    update(delta, colliders, renderTime, bodies = []) {
+        if (this.interpolated) {
+            this.snapshots.sample(renderTime, this.mesh.position);
+            if (this.owner) {
+                this.resetTrail(this.mesh.position);
+                this.trailMesh.visible = false;
+            } else {
+                this.updateTrail();
+            }
+            return;
+        }
+
         if (this.owner) {
             // Ball is held. Follow owner.
             // Owner should define where the ball is.
@@ -80,13 +116,12 @@ export class Ball {
         this.updateTrail();
 
         // Sub-stepping configuration
-        const subStepSize = 0.01; // 10ms steps
         let remainingTime = delta;
 
         while (remainingTime > 0) {
-            const dt = Math.min(remainingTime, subStepSize);
+            const dt = Math.min(remainingTime, BALL.subStepSize);
             remainingTime -= dt;
-            this.step(dt, collidables);
+            this.step(dt, colliders, bodies);
         }
 
         // Floor safety
@@ -96,6 +131,7 @@ export class Ball {
     }
 
     reset() {
+        this.interpolated = false;
         this.mesh.position.set(0, 5, 0);
         this.velocity.set(0, 0, 0);
         this.owner = null;
@@ -104,107 +140,11 @@ export class Ball {
         this.mesh.visible = true;
     }
 
-    step(dt, collidables) {
-        // Apply Gravity
-        const gravity = 15.0;
-        this.velocity.y -= gravity * dt;
-
-        // Air Resistance (Drag)
-        const drag = 0.5;
-        this.velocity.x -= this.velocity.x * drag * dt;
-        this.velocity.z -= this.velocity.z * drag * dt;
-
-        // Move Step-by-Step
-        const potentialPos = this.mesh.position.clone().addScaledVector(this.velocity, dt);
-
-        // Update Ball AABB
-        // Assuming ball is a cube of size radius * 2
-        const r = this.radius;
-        this.ballBox.set(
-            new THREE.Vector3(potentialPos.x - r, potentialPos.y - r, potentialPos.z - r),
-            new THREE.Vector3(potentialPos.x + r, potentialPos.y + r, potentialPos.z + r)
-        );
-
-        let collided = false;
-
-        // Check vs Collidables
-        for (const object of collidables) {
-            // We need AABB of object
-            if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
-            this.colliderBox.copy(object.geometry.boundingBox).applyMatrix4(object.matrixWorld);
-
-            if (this.ballBox.intersectsBox(this.colliderBox)) {
-                // Collision vs Box!
-                // Using Minimum Translation Vector (MTV) via Separating Axis Theorem ideas for AABB
-
-                // Calculate overlap on each axis
-                const overlapX = Math.min(this.ballBox.max.x, this.colliderBox.max.x) - Math.max(this.ballBox.min.x, this.colliderBox.min.x);
-                const overlapY = Math.min(this.ballBox.max.y, this.colliderBox.max.y) - Math.max(this.ballBox.min.y, this.colliderBox.min.y);
-                const overlapZ = Math.min(this.ballBox.max.z, this.colliderBox.max.z) - Math.max(this.ballBox.min.z, this.colliderBox.min.z);
-
-                // Find smallest overlap (Axis of least penetration)
-                // This is the direction we probably came from / should be pushed out to.
-                let axis = 'y';
-                let minOverlap = overlapY;
-
-                if (overlapX < minOverlap) {
-                    minOverlap = overlapX;
-                    axis = 'x';
-                }
-                if (overlapZ < minOverlap) {
-                    minOverlap = overlapZ;
-                    axis = 'z';
-                }
-
-                // Normal determination
-                const normal = new THREE.Vector3();
-
-                if (axis === 'x') {
-                    // Push Left or Right?
-                    // Check relative centers
-                    const ballCenter = potentialPos.x;
-                    const boxCenter = this.colliderBox.getCenter(new THREE.Vector3()).x;
-                    const sign = Math.sign(ballCenter - boxCenter);
-                    normal.set(sign, 0, 0);
-                    potentialPos.x += overlapX * sign;
-                } else if (axis === 'y') {
-                    const ballCenter = potentialPos.y;
-                    const boxCenter = this.colliderBox.getCenter(new THREE.Vector3()).y;
-                    const sign = Math.sign(ballCenter - boxCenter);
-                    normal.set(0, sign, 0);
-                    potentialPos.y += overlapY * sign;
-                } else { // z
-                    const ballCenter = potentialPos.z;
-                    const boxCenter = this.colliderBox.getCenter(new THREE.Vector3()).z;
-                    const sign = Math.sign(ballCenter - boxCenter);
-                    normal.set(0, 0, sign);
-                    potentialPos.z += overlapZ * sign;
-                }
-
-                // Reflect Velocity
-                const dot = this.velocity.dot(normal);
-                if (dot < 0) {
-                    const reflection = normal.multiplyScalar(2 * dot);
-                    this.velocity.sub(reflection);
-                    this.velocity.multiplyScalar(this.restitution);
-
-                    // Friction (only if hitting floor/top, but mostly floor Y+)
-                    if (Math.abs(normal.y) > 0.5) {
-                        this.velocity.x -= this.velocity.x * this.friction * dt;
-                        this.velocity.z -= this.velocity.z * this.friction * dt;
-                    }
-                }
-
-                collided = true;
-
-                // Update BallBox for next check in this same loop? 
-                // Ideally yes, but multiple collisions in one substep is rare/complex.
-                // Just updating position effectively handles it for next frame/substep.
-            }
-        }
-
-        // Apply final position for this substep
-        this.mesh.position.copy(potentialPos);
+    step(dt, colliders, bodies) {
+        // Shared integration + AABB resolution (same code the server runs)
+        if (stepBall(this.state, dt, colliders)) this.inFlight = false;
+        if (this.inFlight && collideBallWithPlayers(this.state, bodies, dt)) this.inFlight = false;
+        getBallBox(this.mesh.position, this.ballBox);
     }
 
     updateTrail() {
@@ -1,215 +1,606 @@
-import * as THREE from 'three';
+import { HOOPS, getNearestHoop } from './Court.js';
+import { HANDLING, getHoldPosition, solveShotVelocity, gaussian } from './Physics.js';
+import { MOVEMENT, MAX_JUMP_HEIGHT } from './Movement.js';
+import { BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY } from './BotDifficulties.js';
+
+// Server-side AI for one player record in a Room. Each tick it reads the
+// room state and answers with the same movement input a client would send,
+// plus ball intents (pickup, shoot, steal) that go through the Room's
+// usual checks. Clients only ever see it as another RemotePlayer. Its input
+// goes through the same stepMovement (and collision resolution) as a
+// human's; moveTowards only steers it around posts and other players.
+//
+// With the ball, the options (shoot, drive, pass) are scored from 0 to 1 and
+// the best one is followed until the next decision (utility AI). Off the ball
+// the situation picks the behaviour: loose ball (chase or box out), teammate
+// has it (space the floor), opponent has it (guard the ball, mark, help).
+
+const ARRIVE_DISTANCE = 0.3; // Close enough to a move target
+const DIRECTION_THRESHOLD = 0.38; // ~cos(67.5deg): 8-way movement keys
+// Release angles tried in order: 55deg drops cleanly through the rim out to
+// ~13m (drag flattens higher arcs), steeper ones cover shots from under it
+const SHOT_ANGLES = [55, 65, 75];
+const MIN_SHOT_DISTANCE = 4; // Closer than this the softest legal throw overshoots
+const REBOUND_HEIGHT = 2.0; // Let shots come down below this before grabbing them
+const DECISION_INTERVAL = 0.25; // Seconds between re-scoring the ball handler's options
+const PLAN_COMMITMENT = 0.15; // Score bonus for keeping the current plan
+const CONTEST_RADIUS = 3; // A defender closer than this bothers a shot
+const LANE_WIDTH = 1.5; // Clearance a drive or pass needs from every defender
+const PASS_RANGE = [3, 14]; // Metres
+const MIN_HOLD_BEFORE_PASS = 0.5; // No instant give-and-go ping-pong
+const BOX_OUT_DISTANCE = 0.8; // How far in front of the opponent (towards the rim)
+const AVOID_LOOKAHEAD = 2.5; // Obstacles further ahead than this are ignored
+const AVOID_MARGIN = 0.3; // Extra room kept from an obstacle's edge
+const JUMP_REACH = 1.2; // Jumps for balls within this flat distance
+const HELP_DISTANCE = 5; // A carrier this close to our rim who got past the defender draws help
+const SPOT_INTERVAL = 1.5; // Seconds before an off-ball player looks for a new spot
+
+// Spacing spots around the attacked rim: x across, z out towards centre court
+const SPACING_SPOTS = [
+    { x: -6.2, z: 1 }, { x: 6.2, z: 1 }, // Corners
+    { x: -4.5, z: 5 }, { x: 4.5, z: 5 }, // Wings
+    { x: 0, z: 7.5 }, // Top of the key
+    { x: -2.5, z: 2.5 }, { x: 2.5, z: 2.5 } // Short corners
+];
+
+// Hoop posts as circles on the floor, for steering
+const POSTS = HOOPS.map((hoop) => ({
+    x: hoop.post.center.x,
+    z: hoop.post.center.z,
+    radius: Math.max(hoop.post.size.x, hoop.post.size.z) / 2 + MOVEMENT.width / 2
+}));
+const RIM_HEIGHT = HOOPS[0].rimCenter.y;
+
+// Yaw that makes the camera-forward axis (-Z) point from `from` to `to`
+function yawTowards(from, to) {
+    return Math.atan2(-(to.x - from.x), -(to.z - from.z));
+}
+
+function pitchTowards(from, to) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    return Math.atan2(to.y - from.y, Math.sqrt(dx * dx + dz * dz));
+}
+
+function flatDistance(a, b) {
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+// Point `fraction` of the way from a to b (on the floor)
+function lerpFlat(a, b, fraction) {
+    return { x: a.x + (b.x - a.x) * fraction, y: 0, z: a.z + (b.z - a.z) * fraction };
+}
+
+// Player in `players` nearest to pos (ties go to the lower slot)
+function closestTo(players, pos) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const player of players) {
+        const dist = flatDistance(player.position, pos);
+        if (dist < bestDist - 0.01 || (Math.abs(dist - bestDist) <= 0.01 && player.slot < best.slot)) {
+            best = player;
+            bestDist = dist;
+        }
+    }
+    return best;
+}
+
+// 0 (open) to 1 (defender in the face) for a shot from pos. Defenders
+// trailing behind the shooter only count half.
+function getContest(pos, hoop, opponents) {
+    const toRimX = hoop.rimCenter.x - pos.x;
+    const toRimZ = hoop.rimCenter.z - pos.z;
+    let contest = 0;
+    for (const opponent of opponents) {
+        const dist = flatDistance(pos, opponent.position);
+        let closeness = Math.max(0, 1 - dist / CONTEST_RADIUS);
+        const ahead = (opponent.position.x - pos.x) * toRimX + (opponent.position.z - pos.z) * toRimZ;
+        if (ahead < 0) closeness *= 0.5;
+        contest = Math.max(contest, closeness);
+    }
+    return contest;
+}
+
+// Closest any opponent comes to the straight line from `from` to `to`
+function getLaneClearance(from, to, opponents) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const lengthSq = dx * dx + dz * dz || 1;
+    let clearance = Infinity;
+    for (const opponent of opponents) {
+        const t = Math.max(0, Math.min(1, ((opponent.position.x - from.x) * dx + (opponent.position.z - from.z) * dz) / lengthSq));
+        const point = { x: from.x + dx * t, z: from.z + dz * t };
+        clearance = Math.min(clearance, flatDistance(point, opponent.position));
+    }
+    return clearance;
+}
 
 export class Bot {
-    constructor(scene, ball) {
-        this.scene = scene;
-        this.ball = ball;
-
-        this.position = new THREE.Vector3(0, 1, -10); // Start opposite side
-        this.velocity = new THREE.Vector3();
-        this.speed = 6.0; // Same as Player
-        this.sprintMultiplier = 1.7;
-        this.stamina = 60;
-        this.maxStamina = 60;
-        this.staminaDrainRate = 30;
-        this.staminaRegenRate = 15;
-        this.hasBall = false;
-
-        // Optimization
-        this.tempVec = new THREE.Vector3();
-
-        // Appearance
-        const geometry = new THREE.CapsuleGeometry(0.5, 1, 4, 8);
-        const material = new THREE.MeshStandardMaterial({ color: 0xff0000 }); // Red Bot
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.position.copy(this.position);
-        this.mesh.castShadow = true;
-        this.scene.add(this.mesh);
-
-        // Logic
-        this.targetHoop = new THREE.Vector3(0, 3, 15); // Bot shoots at P1 hoop (Z=15)
-    }
-
-    update(delta, collidables) {
-        const distToBall = this.position.distanceTo(this.ball.mesh.position);
-
-        // Stamina Logic for Bot (Simple: Sprint if chasing ball or attacking)
-        let wantsToSprint = false;
-
-        // AI Logic
-        if (this.hasBall) {
-            // ATTACK
-            // Dynamic shooting range
-            if (!this.shootDistance) {
-                this.shootDistance = 6 + Math.random() * 8; // Random distance between 6m and 14m
+    constructor(room, player, difficulty = DEFAULT_BOT_DIFFICULTY) {
+        this.room = room;
+        this.player = player;
+        this.skill = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES[DEFAULT_BOT_DIFFICULTY];
+
+        // Ball handler: current plan ({ type, receiver? }), re-scored every DECISION_INTERVAL
+        this.plan = null;
+        this.decisionTimer = 0;
+        this.holdTime = 0; // Seconds since we got the ball
+        this.shootDistance = null; // Picked per possession
+        this.aimingTime = 0;
+
+        this.stealTimer = 0;
+        this.spot = null; // Spacing spot while a teammate has the ball
+        this.spotTimer = 0;
+
+        // Who the bot believes has the ball; catches up after the reaction time
+        this.seenOwnerId = null;
+        this.reactionTimer = 0;
+    }
+
+    // Hoop this bot scores on (defended by the other team)
+    getTargetHoop() {
+        return HOOPS.find((hoop) => hoop.teamId !== this.player.teamId);
+    }
+
+    getOwnHoop() {
+        return HOOPS.find((hoop) => hoop.teamId === this.player.teamId);
+    }
+
+    // Everyone else in the room, split by team
+    getContext(owner) {
+        const teammates = [];
+        const opponents = [];
+        for (const id in this.room.players) {
+            const player = this.room.players[id];
+            if (player === this.player) continue;
+            (player.teamId === this.player.teamId ? teammates : opponents).push(player);
+        }
+        return { owner, ball: this.room.ballState, hoop: this.getTargetHoop(), ownHoop: this.getOwnHoop(), teammates, opponents };
+    }
+
+    // Returns this tick's movement input (dt is filled in by the Room)
+    update(dt) {
+        const owner = this.perceiveOwner(dt);
+        const ctx = this.getContext(owner);
+
+        if (owner === this.player) return this.attack(dt, ctx);
+
+        this.plan = null;
+        this.holdTime = 0;
+        this.shootDistance = null;
+        this.aimingTime = 0;
+
+        if (!owner) return this.looseBall(ctx);
+        if (owner.teamId === this.player.teamId) return this.getOpen(dt, ctx);
+        return this.defend(dt, ctx);
+    }
+
+    // Possession changes register after the reaction time (getting or losing
+    // the ball ourselves at once)
+    perceiveOwner(dt) {
+        const ownerId = this.room.ballState.ownerId;
+
+        if (ownerId === this.seenOwnerId || ownerId === this.player.id || this.seenOwnerId === this.player.id) {
+            this.seenOwnerId = ownerId;
+            this.reactionTimer = 0;
+        } else {
+            this.reactionTimer += dt;
+            if (this.reactionTimer >= this.skill.reactionTime) {
+                this.seenOwnerId = ownerId;
+                this.reactionTimer = 0;
             }
+        }
 
-            // Optimization: Remove new Vector3()
-            // To check distance flatly:
-            // dist = sqrt(dx*dx + dz*dz)
-            const dx = this.position.x - this.targetHoop.x; // Hoop x is 0
-            const dz = this.position.z - this.targetHoop.z; // Hoop z is 15
-            const dist = Math.sqrt(dx * dx + dz * dz);
-
-            if (dist > this.shootDistance) {
-                // Move towards hoop range
-                // dir = (target - pos).normalize()
-                this.tempVec.set(0, 0, 15).sub(this.position).normalize();
-                this.tempVec.y = 0;
-
-                // Simple Sprint Logic
-                wantsToSprint = true;
-
-                // Speed calculation
-                let currentSpeed = this.speed;
-                if (wantsToSprint && this.stamina > 0) {
-                    currentSpeed = this.speed * this.sprintMultiplier;
-                    this.stamina -= this.staminaDrainRate * delta;
-                } else {
-                    this.stamina += this.staminaRegenRate * delta;
-                }
-                if (this.stamina > this.maxStamina) this.stamina = this.maxStamina;
-                if (this.stamina < 0) this.stamina = 0;
-
-                this.position.addScaledVector(this.tempVec, currentSpeed * delta);
-            } else {
-                // Stop and Aim
-                if (!this.aimingTime) this.aimingTime = 0;
-                this.aimingTime += delta;
-
-                // Turn to face hoop visually (conceptually)
-
-                if (this.aimingTime > 0.2) { // Fast aim
-                    // Shoot! 100% ACCURACY
-
-                    // Aim for the absolute center of the rim (Swish)
-                    // Rim is at Z = 14.55 (Far hoop is at -15/15... wait World.js says:
-                    // Hoop 1 (Far) at Z=-15. Hoop 2 (Player) at Z=15.
-                    // Bot shoots at P1 hoop (Z=15).
-                    // World.js: "Near hoop is at +15. Board at +15.5. Rim at +14.5."
-                    // Actually, let's verify World.js:
-                    // this.createHoop(new THREE.Vector3(0, 0, 15), false); -> facing Z=-1 (towards -Z).
-                    // RimCenter = pos.z + (0.45 * zDir) = 15 + (0.45 * -1) = 14.55.
-                    // Correct. Target is (0, 2.8, 14.55).
-
-                    const target = new THREE.Vector3(0, 2.8, 14.55);
-
-                    // Fixed High Arc for clean entry
-                    const shotAngle = 70;
-
-                    const velocity = this.calculateShotVelocity(this.position, target, shotAngle);
-
-                    if (velocity) {
-                        console.log("Bot shooting perfect shot!");
-                        this.ball.release(velocity);
-                        this.hasBall = false;
-                        this.aimingTime = 0;
-                        this.shootDistance = null; // Reset for next time
-                    } else {
-                        // Should rarely happen with high arc
-                        console.log("Bot shot calculation failed");
-                        this.ball.release(new THREE.Vector3(0, 10, 0)); // Fail
-                        this.hasBall = false;
-                        this.aimingTime = 0;
-                        this.shootDistance = null;
-                    }
-                }
+        // Someone who has since left counts as a loose ball
+        return this.seenOwnerId ? this.room.players[this.seenOwnerId] || null : null;
+    }
+
+    // --- With the ball ---
+
+    attack(dt, ctx) {
+        // Dead ball (inbound): wait facing the hoop
+        if (!this.room.match.isBallLive()) {
+            return this.createInput(yawTowards(this.player.position, ctx.hoop.rimCenter), 0);
+        }
+
+        this.holdTime += dt;
+        if (this.shootDistance === null) {
+            const [min, max] = this.skill.shotRange;
+            this.shootDistance = min + Math.random() * (max - min);
+        }
+
+        this.decisionTimer -= dt;
+        if (!this.plan || this.decisionTimer <= 0) {
+            this.plan = this.choosePlan(ctx);
+            this.decisionTimer = DECISION_INTERVAL;
+            if (this.plan.type !== 'shoot') this.aimingTime = 0; // Pump fake
+        }
+
+        let input;
+        switch (this.plan.type) {
+            case 'shoot': input = this.lineUpShot(dt, ctx); break;
+            case 'pass': input = this.pass(this.plan.receiver, ctx); break;
+            case 'reset': input = this.backOut(ctx); break;
+            default: input = this.drive(ctx);
+        }
+
+        // Put the ball on the floor before moving with it
+        const handling = this.room.handling;
+        const moving = input.forward || input.backward || input.left || input.right;
+        if (moving && this.room.ballState.ownerId === this.player.id && !handling.dribbling && !handling.hasDribbled) {
+            this.room.startDribble(this.player);
+        }
+        return input;
+    }
+
+    // Scores every option for the ball handler and returns the best
+    choosePlan(ctx) {
+        const pos = this.player.position;
+        const dist = flatDistance(pos, ctx.hoop.rimCenter);
+        const maxRange = this.skill.shotRange[1];
+        const match = this.room.match;
+
+        // Too close for a clean shot (e.g. after a rebound): get back out first
+        if (dist < Math.max(MIN_SHOT_DISTANCE, this.skill.shotRange[0] - 1)) return { type: 'reset' };
+
+        // Running out of shot clock (or holding too long) makes any shot better
+        const urgency = (match.possession === this.player.teamId && match.shotClock < 5 ? 0.5 : 0) +
+            (this.holdTime > 6 ? 0.3 : 0);
+        const ownOpen = 1 - getContest(pos, ctx.hoop, ctx.opponents);
+        const options = [];
+
+        // Shoot: best open and close, worse contested and deep
+        if (dist <= this.shootDistance || (urgency > 0 && dist <= maxRange + 3)) {
+            const depth = Math.max(0, dist - MIN_SHOT_DISTANCE) / Math.max(maxRange - MIN_SHOT_DISTANCE, 1);
+            options.push({ type: 'shoot', score: (1 - 0.4 * depth) * ownOpen + urgency });
+        }
+
+        // Drive: towards the shooting spot, or through an open lane to the rim
+        const lane = Math.min(1, getLaneClearance(pos, ctx.hoop.rimCenter, ctx.opponents) / LANE_WIDTH);
+        if (dist > this.shootDistance) {
+            options.push({ type: 'drive', score: 0.5 + 0.3 * lane });
+        } else if (dist > MIN_SHOT_DISTANCE + 1) {
+            options.push({ type: 'drive', score: 0.6 * lane });
+        }
+
+        // Pass: to an open teammate with a clear passing lane, more so when
+        // they are more open than we are
+        if (this.holdTime > MIN_HOLD_BEFORE_PASS) {
+            for (const mate of ctx.teammates) {
+                const passDist = flatDistance(pos, mate.position);
+                if (passDist < PASS_RANGE[0] || passDist > PASS_RANGE[1]) continue;
+                const open = 1 - getContest(mate.position, ctx.hoop, ctx.opponents);
+                const passLane = Math.min(1, getLaneClearance(pos, mate.position, ctx.opponents) / LANE_WIDTH);
+                const inRange = flatDistance(mate.position, ctx.hoop.rimCenter) <= maxRange ? 1 : 0.6;
+                const score = ((0.3 + 0.5 * open) * inRange + 0.3 * Math.max(0, open - ownOpen)) * passLane;
+                options.push({ type: 'pass', receiver: mate, score });
             }
+        }
 
-            // Carry Ball
-            // If aiming, hold steady
-            const holdOffset = new THREE.Vector3(0, 1.5, 0.5); // Overhead
-            this.ball.mesh.position.copy(this.position).add(holdOffset);
-
-        } else if (!this.ball.owner) {
-            // CHASE LOOSE BALL
-            const dir = this.ball.mesh.position.clone().sub(this.position).normalize();
-            dir.y = 0; // Stay on floor
-            this.position.addScaledVector(dir, this.speed * delta);
-
-            // Pickup?
-            if (distToBall < 1.5) {
-                this.ball.grab(this);
-                this.hasBall = true;
+        // Sticking with the current plan avoids dithering between close
+        // options; a little noise keeps ties from always going the same way
+        let best = { type: 'drive', score: -Infinity };
+        for (const option of options) {
+            if (this.plan && this.plan.type === option.type && this.plan.receiver === option.receiver) {
+                option.score += PLAN_COMMITMENT;
             }
+            option.score += Math.random() * 0.05;
+            if (option.score > best.score) best = option;
+        }
+        return best;
+    }
+
+    // Drive to the shooting spot (or further in when the lane is open)
+    drive(ctx) {
+        const pos = this.player.position;
+        const rim = ctx.hoop.rimCenter;
+        const dist = flatDistance(pos, rim);
+        const stopAt = MIN_SHOT_DISTANCE + 0.5;
+        const target = dist > stopAt ? lerpFlat(rim, pos, stopAt / dist) : rim;
+        return this.moveTowards(target, { sprint: true });
+    }
+
+    // Back out to the shooting distance (straight out from the rim)
+    backOut(ctx) {
+        const pos = this.player.position;
+        const hoop = ctx.hoop;
+        const dist = flatDistance(pos, hoop.rimCenter);
+        if (dist >= this.shootDistance - ARRIVE_DISTANCE) this.plan = null;
+
+        const zDir = hoop.facingForward ? 1 : -1;
+        const outX = dist > 0.1 ? (pos.x - hoop.rimCenter.x) / dist : 0;
+        const outZ = dist > 0.1 ? (pos.z - hoop.rimCenter.z) / dist : zDir;
+        const spot = {
+            x: hoop.rimCenter.x + outX * this.shootDistance,
+            y: 0,
+            z: hoop.rimCenter.z + outZ * this.shootDistance
+        };
+        return this.moveTowards(spot, { faceTarget: hoop.rimCenter });
+    }
+
+    // Stop and aim, then shoot
+    lineUpShot(dt, ctx) {
+        const pos = this.player.position;
+        const input = this.createInput(yawTowards(pos, ctx.hoop.rimCenter), 0);
+        this.aimingTime += dt;
+        if (this.aimingTime > this.skill.aimTime) {
+            this.shoot(input.yaw);
+            this.aimingTime = 0;
+            this.shootDistance = null;
+            this.plan = null;
+        }
+        return input;
+    }
+
+    shoot(yaw) {
+        const player = this.player;
+        const hoop = this.getTargetHoop();
+
+        // Release point once we face the hoop and look along the arc, as a
+        // human shooter does (the ball goes up over a grounded defender)
+        const start = {};
+        let velocity = null;
+        for (const angle of SHOT_ANGLES) {
+            this.room.setLook(player, yaw, angle * (Math.PI / 180));
+            getHoldPosition(player.position, player.quaternion, start);
+            velocity = solveShotVelocity(start, hoop.rimCenter, angle, { x: 0, y: 0, z: 0 });
+            // Too soft for the meter up close: try a higher arc
+            if (velocity && Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2) >= HANDLING.minPower) break;
+        }
+        if (!velocity) {
+            this.room.shoot(player, { x: 0, y: 1, z: 0 }, HANDLING.minPower); // Unreachable: just throw it up
+            return;
+        }
+
+        // Aimed straight at the rim, released off the ideal point on the meter
+        // by the bot's timing error. From here the server judges the release
+        // and spreads the shot (contest, movement, fatigue) as for a human,
+        // scaled by the preset's angleError.
+        const speed = Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2);
+        const range = HANDLING.maxPower - HANDLING.minPower;
+        const ideal = (speed - HANDLING.minPower) / range;
+        const meter = Math.max(0, Math.min(1, ideal + gaussian() * this.skill.releaseError));
+        this.room.shoot(player, velocity, HANDLING.minPower + meter * range);
+    }
+
+    // Chest pass through an open lane, lob over a defender in it
+    pass(receiver, ctx) {
+        const player = this.player;
+        this.plan = null;
+        if (!this.room.players[receiver.id]) return this.drive(ctx); // Left meanwhile
+
+        const input = this.createInput(yawTowards(player.position, receiver.position), 0);
+        this.applyLook(input);
+        const lane = getLaneClearance(player.position, receiver.position, ctx.opponents);
+        this.room.pass(player, receiver, lane < LANE_WIDTH / 2 ? 'lob' : 'chest');
+        if (this.room.ballState.ownerId !== player.id) this.shootDistance = null;
+        return input;
+    }
+
+    // --- Loose ball ---
+
+    // A pass to us is met; otherwise the closest on the team goes for it and,
+    // after a shot, the rest box out
+    looseBall(ctx) {
+        const ball = ctx.ball;
+        const pass = this.room.activePass;
+        const chase = (pass && pass.receiverId === this.player.id) || !this.room.lastShot ||
+            closestTo([this.player, ...ctx.teammates], ball.position) === this.player;
+        const input = chase ? this.chaseBall() : this.boxOut(ctx);
+        input.jump = this.shouldJump();
+        return input;
+    }
+
+    // Up for a rebound coming down below the rim, or at an opponent's shot
+    // still rising within reach (blocks)
+    shouldJump() {
+        const ball = this.room.ballState;
+        const pos = this.player.position;
+        if (!this.player.onGround || ball.ownerId) return false;
+
+        const above = ball.position.y - pos.y;
+        if (above < 0.3 || above > MAX_JUMP_HEIGHT || flatDistance(pos, ball.position) > JUMP_REACH) return false;
+
+        const shot = this.room.lastShot;
+        if (ball.velocity.y > 0) return !!shot && !shot.touched && shot.teamId !== this.player.teamId;
+        return ball.position.y < RIM_HEIGHT;
+    }
+
+    chaseBall() {
+        const ball = this.room.ballState;
+        const input = this.moveTowards(ball.position, { sprint: true, arrive: 0 });
+        this.tryPickup();
+        return input;
+    }
+
+    // Low balls, or (in the air) anything falling below the rim
+    tryPickup() {
+        const ball = this.room.ballState;
+        const reachable = ball.position.y < REBOUND_HEIGHT ||
+            (!this.player.onGround && ball.velocity.y < 0 && ball.position.y < RIM_HEIGHT);
+        if (reachable && flatDistance(this.player.position, ball.position) < HANDLING.pickupRange) {
+            this.room.pickup(this.player);
+        }
+    }
+
+    // Get between the nearest opponent and the rim the ball is coming off
+    boxOut(ctx) {
+        const ball = ctx.ball;
+        const rim = getNearestHoop(ball.position).rimCenter;
+        const opponent = closestTo(ctx.opponents, this.player.position);
 
+        let spot;
+        if (opponent) {
+            const dist = flatDistance(opponent.position, rim) || 1;
+            spot = lerpFlat(opponent.position, rim, Math.min(1, BOX_OUT_DISTANCE / dist));
         } else {
-            // DEFEND (Ball owned by Player)
-            const player = this.ball.owner;
-
-            // Move between player and hoop? Basic chase for now.
-            const dir = this.ball.mesh.position.clone().sub(this.position).normalize();
-            dir.y = 0;
-            this.position.addScaledVector(dir, (this.speed * 0.9) * delta); // Slightly faster on defense?
-
-            // Steal Logic
-            const distToPlayer = this.position.distanceTo(player.camera.position);
-            // Player pos is camera pos roughly
-
-            if (distToPlayer < 2.0) {
-                if (!this.stealTimer) this.stealTimer = 0;
-                this.stealTimer += delta;
-
-                if (this.stealTimer > 1.0) { // 1 second continuous contact
-                    console.log("Bot Stole Ball!");
-                    this.ball.grab(this);
-                    this.hasBall = true;
-                    this.stealTimer = 0;
-                    // Player needs to update their state?
-                    // Player.js update loop checks `if (this.hasBall && this.ball.owner !== this)`?
-                    // Currently Player.js doesn't auto-lose `hasBall` if logic changes externally.
-                    // We need to fix that in Player.js or here.
-                    // Actually Ball.grab updates owner. Player.js needs to check if it lost ownership.
-                    player.hasBall = false; // Direct hack or better way? 
-                    // Better: Player checks `ball.owner` in update.
-                }
-            } else {
-                this.stealTimer = 0;
+            spot = lerpFlat(rim, this.player.position, 2 / (flatDistance(rim, this.player.position) || 1));
+        }
+
+        const input = this.moveTowards(spot, { faceTarget: ball.position });
+        this.tryPickup();
+        return input;
+    }
+
+    // --- Teammate has the ball ---
+
+    // Move to the most open spacing spot away from the ball and teammates
+    getOpen(dt, ctx) {
+        this.spotTimer -= dt;
+        if (!this.spot || this.spotTimer <= 0) {
+            this.spot = this.pickSpacingSpot(ctx);
+            this.spotTimer = SPOT_INTERVAL;
+        }
+        return this.moveTowards(this.spot, { faceTarget: ctx.ball.position });
+    }
+
+    pickSpacingSpot(ctx) {
+        const hoop = ctx.hoop;
+        const zDir = hoop.facingForward ? 1 : -1;
+        let best = null;
+        let bestScore = -Infinity;
+
+        for (const offset of SPACING_SPOTS) {
+            const spot = { x: hoop.rimCenter.x + offset.x, y: 0, z: hoop.rimCenter.z + offset.z * zDir };
+            let crowd = 0;
+            for (const mate of ctx.teammates) {
+                crowd += Math.max(0, 1 - flatDistance(spot, mate.position) / 4);
+            }
+            const score = (1 - getContest(spot, hoop, ctx.opponents)) - crowd - 0.03 * flatDistance(spot, this.player.position);
+            if (score > bestScore) {
+                best = spot;
+                bestScore = score;
             }
         }
+        return best;
+    }
 
-        // Update Mesh
-        this.mesh.position.copy(this.position);
+    // --- Opponent has the ball ---
+
+    // Closest defender takes the ball, the rest mark the other attackers and
+    // rotate over when the carrier gets past their defender near the rim
+    defend(dt, ctx) {
+        const carrier = ctx.owner;
+        const rim = ctx.ownHoop.rimCenter;
+        const defenders = [this.player, ...ctx.teammates];
+        const onBall = closestTo(defenders, carrier.position);
+        if (onBall === this.player) return this.guardBall(dt, carrier, ctx);
+        this.stealTimer = 0;
+
+        const helpers = defenders.filter((defender) => defender !== onBall);
+        const carrierDist = flatDistance(carrier.position, rim);
+        const beaten = carrierDist < HELP_DISTANCE && flatDistance(onBall.position, rim) > carrierDist;
+        if (beaten && closestTo(helpers, carrier.position) === this.player) {
+            return this.guardBall(dt, carrier, ctx);
+        }
+
+        // Off-ball attackers are shared out in slot order
+        const marks = ctx.opponents.filter((opponent) => opponent !== carrier).sort((a, b) => a.slot - b.slot);
+        helpers.sort((a, b) => a.slot - b.slot);
+        const mark = marks.length > 0 ? marks[helpers.indexOf(this.player) % marks.length] : null;
 
-        // Simple Bounce collision with floor/walls? 
-        // For MVP, just clamp
-        this.position.y = 1; // Float
-        this.position.x = Math.max(-9, Math.min(9, this.position.x));
-        this.position.z = Math.max(-16, Math.min(16, this.position.z));
+        // Between the mark and the rim, sagging towards the ball; no mark: protect the rim
+        const spot = mark
+            ? lerpFlat(lerpFlat(mark.position, rim, 0.3), carrier.position, 0.2)
+            : lerpFlat(rim, carrier.position, Math.min(1, 3 / (carrierDist || 1)));
+        return this.moveTowards(spot, { faceTarget: ctx.ball.position });
     }
-    calculateShotVelocity(startPos, targetPos, angleDeg = 60) {
-        const g = 15.0; // Must match Ball.js gravity
-        const diff = targetPos.clone().sub(startPos);
-        const y = diff.y;
 
-        // Horizontal distance
-        const diffXZ = new THREE.Vector3(diff.x, 0, diff.z);
-        const x = diffXZ.length();
+    // Stay between the carrier and our hoop, reach in after a moment in range
+    guardBall(dt, carrier, ctx) {
+        const rim = ctx.ownHoop.rimCenter;
+        const carrierPos = carrier.position;
+        const spot = lerpFlat(carrierPos, rim, Math.min(1, 1.5 / (flatDistance(carrierPos, rim) || 1)));
 
-        // Fixed Angle Shot (High Arc is harder to block)
-        const angle = angleDeg * (Math.PI / 180);
+        const ball = ctx.ball;
+        const input = this.moveTowards(spot, { faceTarget: ball.position });
 
-        // Formula: v = sqrt( (g * x^2) / (2 * cos^2(theta) * (x * tan(theta) - y)) )
+        const eye = this.player.position;
+        if (Math.sqrt((eye.x - ball.position.x) ** 2 + (eye.y - ball.position.y) ** 2 + (eye.z - ball.position.z) ** 2) < HANDLING.stealRange) {
+            this.stealTimer += dt;
+            if (this.stealTimer > this.skill.stealContactTime) {
+                this.stealTimer = 0;
+                if (Math.random() < this.skill.stealChance) {
+                    // Face the ball this tick so the Room's aim check sees it
+                    this.applyLook(input);
+                    this.room.steal(this.player);
+                }
+            }
+        } else {
+            this.stealTimer = 0;
+        }
+        return input;
+    }
 
-        const term1 = g * x * x;
-        const term2 = 2 * Math.pow(Math.cos(angle), 2);
-        const term3 = (x * Math.tan(angle)) - y;
+    // --- Input ---
 
-        if (term3 <= 0) return null; // Target is too high for this angle?
+    createInput(yaw, pitch) {
+        return { forward: false, backward: false, left: false, right: false, sprint: false, jump: false, yaw, pitch };
+    }
 
-        const vSquared = term1 / (term2 * term3);
-        const v = Math.sqrt(vSquared);
+    // Movement keys towards `target`; looks where it moves unless given faceTarget
+    moveTowards(target, { sprint = false, arrive = ARRIVE_DISTANCE, faceTarget = null } = {}) {
+        const pos = this.player.position;
+        const look = faceTarget || target;
+        const input = this.createInput(yawTowards(pos, look), faceTarget ? pitchTowards(pos, faceTarget) : 0);
+
+        const dx = target.x - pos.x;
+        const dz = target.z - pos.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist <= arrive) return input;
+        const dir = this.steer(dx / dist, dz / dist, dist);
+
+        // World direction -> camera-relative keys
+        const sin = Math.sin(input.yaw);
+        const cos = Math.cos(input.yaw);
+        const forward = dir.x * -sin + dir.z * -cos;
+        const right = dir.x * cos + dir.z * -sin;
+        input.forward = forward > DIRECTION_THRESHOLD;
+        input.backward = forward < -DIRECTION_THRESHOLD;
+        input.right = right > DIRECTION_THRESHOLD;
+        input.left = right < -DIRECTION_THRESHOLD;
+        input.sprint = sprint && this.player.stamina > this.skill.sprintMinStamina;
+        return input;
+    }
 
-        // Construct velocity vector
-        // Flatten direction to just XZ, normalize, scale by v * cos(angle)
-        // Y component is v * sin(angle)
+    // Bends the straight line (dirX, dirZ) away from posts and players standing
+    // on it before the target (dist away); returns a unit vector
+    steer(dirX, dirZ, dist) {
+        const pos = this.player.position;
+        let x = dirX;
+        let z = dirZ;
+
+        const obstacles = [...POSTS];
+        for (const id in this.room.players) {
+            const other = this.room.players[id];
+            if (other !== this.player) obstacles.push({ x: other.position.x, z: other.position.z, radius: MOVEMENT.width });
+        }
 
-        const vH = v * Math.cos(angle); // Horizontal component
-        const vY = v * Math.sin(angle); // Vertical component
+        for (const obstacle of obstacles) {
+            const ox = obstacle.x - pos.x;
+            const oz = obstacle.z - pos.z;
+            const ahead = ox * dirX + oz * dirZ;
+            if (ahead <= 0 || ahead > Math.min(dist, AVOID_LOOKAHEAD)) continue;
+
+            // Signed distance from our path, positive on the left
+            const side = ox * -dirZ + oz * dirX;
+            const clearance = obstacle.radius + AVOID_MARGIN;
+            if (Math.abs(side) >= clearance) continue;
+
+            // Sidestep away from it, harder the closer it is
+            const strength = (1 - ahead / AVOID_LOOKAHEAD) * (1 - Math.abs(side) / clearance) * 2;
+            const away = side >= 0 ? -1 : 1;
+            x += -dirZ * away * strength;
+            z += dirX * away * strength;
+        }
 
-        const velocity = diffXZ.normalize().multiplyScalar(vH);
-        velocity.y = vY;
+        const len = Math.sqrt(x * x + z * z) || 1;
+        return { x: x / len, z: z / len };
+    }
 
-        return velocity;
+    applyLook(input) {
+        this.room.setLook(this.player, input.yaw, input.pitch);
     }
 }
@@ -0,0 +1,41 @@
+// Bot skill presets, shared by the client (the lobby's difficulty picker)
+// and the server (Bot, room options, event validation).
+
+// Presets picked when a room is created. Errors are standard deviations.
+export const BOT_DIFFICULTIES = {
+    rookie: {
+        name: 'Rookie',
+        reactionTime: 0.6, // Seconds before noticing the ball changed hands
+        aimTime: 0.8, // Seconds standing still before a shot
+        releaseError: 0.05, // Shot meter fraction off the ideal release; the server spreads the shot on top
+        angleError: 1.6, // Scales that spread (the aim error, in degrees) for this bot
+        shotRange: [5, 8], // Metres from the rim a shot is taken from
+        stealContactTime: 1.5, // Seconds in range of the carrier before reaching in
+        stealChance: 0.1, // Odds a reach-in is clean enough to try for the ball
+        sprintMinStamina: 45 // Only sprints when this fresh
+    },
+    pro: {
+        name: 'Pro',
+        reactionTime: 0.3,
+        aimTime: 0.4,
+        releaseError: 0.022,
+        angleError: 1,
+        shotRange: [5, 9],
+        stealContactTime: 1.0,
+        stealChance: 0.25,
+        sprintMinStamina: 20
+    },
+    allstar: {
+        name: 'All-Star',
+        reactionTime: 0.1,
+        aimTime: 0.2,
+        releaseError: 0.01,
+        angleError: 0.6,
+        shotRange: [6, 12],
+        stealContactTime: 0.6,
+        stealChance: 0.4,
+        sprintMinStamina: 5
+    }
+};
+
+export const DEFAULT_BOT_DIFFICULTY = 'pro';
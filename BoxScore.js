@@ -0,0 +1,136 @@
+import { TEAMS, TEAM_IDS } from './Teams.js';
+import { BOX_SCORE_COLUMNS, sumStats, boxScoreToCSV } from './Stats.js';
+
+// Box score overlay: held open with Tab during a game, pinned open at the
+// final buzzer. Stat lines come from the server (Room.getBoxScore).
+export class BoxScore {
+    constructor() {
+        this.data = null; // Last box score shown
+        this.pinned = false; // Final box score: stays up until closed
+        this.createUI();
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.style.position = 'absolute';
+        this.container.style.top = '0';
+        this.container.style.left = '0';
+        this.container.style.width = '100%';
+        this.container.style.height = '100%';
+        this.container.style.display = 'none';
+        this.container.style.justifyContent = 'center';
+        this.container.style.alignItems = 'center';
+        this.container.style.color = 'white';
+        this.container.style.fontFamily = 'Arial, sans-serif';
+        this.container.style.zIndex = '5';
+        document.body.appendChild(this.container);
+
+        const panel = document.createElement('div');
+        panel.style.padding = '20px';
+        panel.style.backgroundColor = 'rgba(20, 20, 20, 0.9)';
+        panel.style.border = '2px solid white';
+        panel.style.borderRadius = '10px';
+        this.container.appendChild(panel);
+
+        this.titleText = document.createElement('h2');
+        this.titleText.style.marginTop = '0';
+        panel.appendChild(this.titleText);
+
+        this.table = document.createElement('table');
+        this.table.style.borderCollapse = 'collapse';
+        this.table.style.fontFamily = 'monospace';
+        this.table.style.fontSize = '14px';
+        panel.appendChild(this.table);
+
+        // Export / close (clickable once the pointer is free)
+        const buttons = document.createElement('div');
+        buttons.style.marginTop = '12px';
+        panel.appendChild(buttons);
+
+        const jsonButton = document.createElement('button');
+        jsonButton.innerText = 'Export JSON';
+        jsonButton.addEventListener('click', () => this.download('json'));
+        buttons.appendChild(jsonButton);
+
+        const csvButton = document.createElement('button');
+        csvButton.innerText = 'Export CSV';
+        csvButton.style.marginLeft = '5px';
+        csvButton.addEventListener('click', () => this.download('csv'));
+        buttons.appendChild(csvButton);
+
+        this.closeButton = document.createElement('button');
+        this.closeButton.innerText = 'Close';
+        this.closeButton.style.marginLeft = '5px';
+        this.closeButton.addEventListener('click', () => this.hide(true));
+        buttons.appendChild(this.closeButton);
+
+        this.hintText = document.createElement('span');
+        this.hintText.style.marginLeft = '10px';
+        this.hintText.style.color = '#aaa';
+        buttons.appendChild(this.hintText);
+    }
+
+    // myId: our player, shown as YOU
+    show(boxScore, myId, pinned = false) {
+        this.data = boxScore;
+        this.pinned = this.pinned || pinned;
+        this.titleText.innerText = boxScore.final ? 'FINAL BOX SCORE' : `BOX SCORE - Q${boxScore.quarter}`;
+        this.closeButton.style.display = this.pinned ? 'inline-block' : 'none';
+        this.hintText.innerText = this.pinned ? 'ESC frees the mouse' : 'Release TAB to close';
+        this.render(boxScore, myId);
+        this.container.style.display = 'flex';
+    }
+
+    // Tab released: a pinned box score stays unless forced
+    hide(force = false) {
+        if (this.pinned && !force) return;
+        this.pinned = false;
+        this.container.style.display = 'none';
+    }
+
+    render(boxScore, myId) {
+        this.table.innerHTML = '';
+        const addRow = (cells, style = {}) => {
+            const row = document.createElement('tr');
+            Object.assign(row.style, style);
+            cells.forEach((text, i) => {
+                const cell = document.createElement('td');
+                cell.innerText = text;
+                cell.style.padding = '2px 8px';
+                cell.style.textAlign = i === 0 ? 'left' : 'right';
+                row.appendChild(cell);
+            });
+            this.table.appendChild(row);
+        };
+
+        for (const teamId of TEAM_IDS) {
+            const team = TEAMS[teamId];
+            const color = `#${team.color.toString(16).padStart(6, '0')}`;
+            const lines = boxScore.players.filter((line) => line.teamId === teamId);
+
+            addRow([`${team.name} ${boxScore.score[teamId]}`, ...BOX_SCORE_COLUMNS.map((column) => column.label)],
+                { color, fontWeight: 'bold', borderBottom: `1px solid ${color}` });
+            for (const line of lines) {
+                const name = line.id === myId ? 'YOU' : (line.name || line.id.slice(0, 8));
+                addRow([name, ...BOX_SCORE_COLUMNS.map((column) => column.value(line))],
+                    line.id === myId ? { color: 'yellow' } : {});
+            }
+            const total = sumStats(lines);
+            addRow(['TOTAL', ...BOX_SCORE_COLUMNS.map((column) => column.value(total))],
+                { fontWeight: 'bold', borderTop: '1px solid #666' });
+            addRow([''], { height: '10px' });
+        }
+    }
+
+    // Saves the box score shown as a file: JSON (with shot locations) or CSV
+    download(format) {
+        if (!this.data) return;
+        const text = format === 'csv' ? boxScoreToCSV(this.data) : JSON.stringify(this.data, null, 2);
+        const blob = new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `box-score-${this.data.code}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
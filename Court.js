@@ -0,0 +1,204 @@
+// Court layout as plain data (no THREE) so the client World and the
+// Node server build their colliders from the same definition.
+
+// Builds an axis-aligned box from a center + size pair.
+export function createBoxData(center, size, kind, color) {
+    return {
+        kind: kind,
+        color: color,
+        center: { x: center.x, y: center.y, z: center.z },
+        size: { x: size.x, y: size.y, z: size.z },
+        min: { x: center.x - size.x / 2, y: center.y - size.y / 2, z: center.z - size.z / 2 },
+        max: { x: center.x + size.x / 2, y: center.y + size.y / 2, z: center.z + size.z / 2 }
+    };
+}
+
+// Ring of `radius` around center, lying flat, with a round tube of `tube`.
+// min/max bound it, so anything that only knows boxes can still use it.
+export function createTorusData(center, radius, tube, kind, color) {
+    const outer = radius + tube;
+    return {
+        kind: kind,
+        color: color,
+        center: { x: center.x, y: center.y, z: center.z },
+        radius: radius,
+        tube: tube,
+        min: { x: center.x - outer, y: center.y - tube, z: center.z - outer },
+        max: { x: center.x + outer, y: center.y + tube, z: center.z + outer }
+    };
+}
+
+// Floor (Wood Court)
+// Size: 34m length (Z), 20m width (X)
+export const FLOOR = createBoxData({ x: 0, y: -0.5, z: 0 }, { x: 20, y: 1, z: 34 }, 'floor', 0xD2691E);
+
+// Walls (simple fences) to keep ball in
+export const WALLS = [
+    createBoxData({ x: 10.5, y: 2, z: 0 }, { x: 1, y: 5, z: 34 }, 'wall', 0x888888), // Right
+    createBoxData({ x: -10.5, y: 2, z: 0 }, { x: 1, y: 5, z: 34 }, 'wall', 0x888888), // Left
+    createBoxData({ x: 0, y: 2, z: -17.5 }, { x: 22, y: 5, z: 1 }, 'wall', 0x888888), // Far
+    createBoxData({ x: 0, y: 2, z: 17.5 }, { x: 22, y: 5, z: 1 }, 'wall', 0x888888) // Near
+];
+
+// Where the ball is dropped at the start and after a reset
+export const BALL_SPAWN = { x: 0, y: 5, z: 0 };
+
+// Playing area inside the boundary lines (the floor extends past them)
+export const COURT = {
+    halfWidth: 8, // Sidelines at x = +-8
+    halfLength: 16, // Baselines at z = +-16
+    lineWidth: 0.05,
+    centerCircleRadius: 1.8,
+    keyHalfWidth: 2.45, // Paint is 4.9m wide
+    freeThrowDistance: 5.8, // Free-throw line, from the baseline
+    freeThrowCircleRadius: 1.8,
+    threePointCornerX: 6.6 // Straight corner three lines, from the rim's x
+};
+
+// Shots taken from behind the arc (this far from the rim) are worth 3
+export const THREE_POINT_RADIUS = 6.75;
+
+// Builds post, backboard and rim for one hoop.
+// Far hoop is at -15: board at -15, rim at -14.55 (facingForward, plays towards +Z).
+// Near hoop is at +15: board at +15, rim at +14.55.
+// teamId is the team that owns (defends) the hoop; the other team scores on it.
+export function createHoopData(pos, facingForward, teamId) {
+    const postColor = 0x333333;
+    const boardColor = 0xffffff;
+    const rimColor = 0xff4500;
+
+    const zDir = facingForward ? 1 : -1;
+
+    const post = createBoxData({ x: pos.x, y: 1.5, z: pos.z - (0.5 * zDir) }, { x: 0.3, y: 3, z: 0.3 }, 'post', postColor);
+    const board = createBoxData({ x: pos.x, y: 3, z: pos.z }, { x: 1.8, y: 1.2, z: 0.1 }, 'board', boardColor);
+
+    const rimCenter = { x: pos.x, y: 2.8, z: pos.z + (0.45 * zDir) };
+    const radius = 0.3;
+    const tube = 0.025;
+
+    // Round rim: the ball hits the torus itself, players its bounding box
+    const rim = createTorusData(rimCenter, radius, tube, 'rim', rimColor);
+
+    return { teamId, position: { x: pos.x, y: pos.y, z: pos.z }, facingForward, rimCenter, rimRadius: radius, post, board, rim };
+}
+
+export const HOOPS = [
+    createHoopData({ x: 0, y: 0, z: -15 }, true, 'away'), // Hoop 1 (Far): home attacks it
+    createHoopData({ x: 0, y: 0, z: 15 }, false, 'home') // Hoop 2 (Near): away attacks it
+];
+
+// Horizontal distance from a shot origin to a hoop's rim
+export function getShotDistance(origin, hoop) {
+    const dx = origin.x - hoop.rimCenter.x;
+    const dz = origin.z - hoop.rimCenter.z;
+    return Math.sqrt(dx * dx + dz * dz);
+}
+
+// --- Geometry Queries (used by the server rules) ---
+
+// Hoop on the same half of the court as pos
+export function getNearestHoop(pos) {
+    return pos.z < 0 ? HOOPS[0] : HOOPS[1];
+}
+
+// Where the straight corner lines meet the arc, measured from the rim towards centre court
+const ARC_JOIN = Math.sqrt(THREE_POINT_RADIUS ** 2 - COURT.threePointCornerX ** 2);
+
+// True if a shot from pos at `hoop` is a three (corner lines + arc)
+export function isBehindArc(pos, hoop = getNearestHoop(pos)) {
+    const zDir = hoop.facingForward ? 1 : -1;
+    const dx = Math.abs(pos.x - hoop.rimCenter.x);
+    const along = (pos.z - hoop.rimCenter.z) * zDir; // Towards centre court
+
+    if (along <= ARC_JOIN) return dx > COURT.threePointCornerX;
+    return getShotDistance(pos, hoop) > THREE_POINT_RADIUS;
+}
+
+// Touching or past the sideline/baseline counts as out
+export function isOutOfBounds(pos) {
+    return Math.abs(pos.x) >= COURT.halfWidth || Math.abs(pos.z) >= COURT.halfLength;
+}
+
+// A team's backcourt is the half with the hoop it defends
+export function isInBackcourt(pos, teamId) {
+    const ownHoop = HOOPS.find((hoop) => hoop.teamId === teamId);
+    return Math.sign(pos.z) === Math.sign(ownHoop.rimCenter.z);
+}
+
+// Nearest spot just inside the lines (for inbounds after the ball goes out)
+export function clampToCourt(pos, margin = 0.5) {
+    return {
+        x: Math.max(-COURT.halfWidth + margin, Math.min(COURT.halfWidth - margin, pos.x)),
+        y: pos.y,
+        z: Math.max(-COURT.halfLength + margin, Math.min(COURT.halfLength - margin, pos.z))
+    };
+}
+
+// --- Markings ---
+
+function circlePoints(cx, cz, radius, startAngle, endAngle, segments) {
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+        const a = startAngle + (endAngle - startAngle) * (i / segments);
+        points.push({ x: cx + Math.sin(a) * radius, z: cz + Math.cos(a) * radius });
+    }
+    return points;
+}
+
+// Floor lines as polylines of {x, z} points
+export function getCourtMarkings() {
+    const hw = COURT.halfWidth;
+    const hl = COURT.halfLength;
+    const lines = [];
+
+    // Boundary + half-court line + centre circle
+    lines.push([{ x: -hw, z: -hl }, { x: hw, z: -hl }, { x: hw, z: hl }, { x: -hw, z: hl }, { x: -hw, z: -hl }]);
+    lines.push([{ x: -hw, z: 0 }, { x: hw, z: 0 }]);
+    lines.push(circlePoints(0, 0, COURT.centerCircleRadius, 0, Math.PI * 2, 48));
+
+    for (const hoop of HOOPS) {
+        const zDir = hoop.facingForward ? 1 : -1;
+        const rim = hoop.rimCenter;
+        const baseline = -zDir * hl;
+        const ftZ = baseline + zDir * COURT.freeThrowDistance;
+        const kw = COURT.keyHalfWidth;
+
+        // Key (paint) + free-throw circle
+        lines.push([{ x: -kw, z: baseline }, { x: -kw, z: ftZ }, { x: kw, z: ftZ }, { x: kw, z: baseline }]);
+        lines.push(circlePoints(rim.x, ftZ, COURT.freeThrowCircleRadius, 0, Math.PI * 2, 32));
+
+        // Three-point line: corner straights joined by the arc
+        const cx = COURT.threePointCornerX;
+        const joinZ = rim.z + zDir * ARC_JOIN;
+        const maxAngle = Math.asin(cx / THREE_POINT_RADIUS);
+        const arc = circlePoints(rim.x, rim.z, THREE_POINT_RADIUS, -maxAngle, maxAngle, 40)
+            .map((p) => ({ x: p.x, z: rim.z + (p.z - rim.z) * zDir }));
+        lines.push([{ x: rim.x - cx, z: baseline }, { x: rim.x - cx, z: joinZ }, ...arc, { x: rim.x + cx, z: baseline }]);
+    }
+
+    return lines;
+}
+
+// Every static collider the ball and players hit (rims are tori, see createTorusData)
+export const COLLIDERS = [
+    FLOOR,
+    ...WALLS,
+    ...HOOPS.flatMap((hoop) => [hoop.post, hoop.board, hoop.rim])
+];
+
+// Index of the hoop the ball went down through between two positions (its
+// centre crossing the rim's plane inside the ring), or -1
+export function findBasket(from, to) {
+    for (let i = 0; i < HOOPS.length; i++) {
+        const rim = HOOPS[i].rim;
+        const y = rim.center.y;
+        if (!(from.y >= y && to.y < y)) continue;
+
+        const t = (from.y - y) / (from.y - to.y);
+        const x = from.x + (to.x - from.x) * t - rim.center.x;
+        const z = from.z + (to.z - from.z) * t - rim.center.z;
+        const inner = rim.radius - rim.tube;
+        if (x * x + z * z < inner * inner) return i;
+    }
+    return -1;
+}
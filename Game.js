@@ -5,13 +5,21 @@ import { World } from './World.js';
 import { Ball } from './Ball.js';
 import { ParticleSystem } from './ParticleSystem.js';
 import { RemotePlayer } from './RemotePlayer.js';
-// import { Bot } from './Bot.js'; // Disabled for Multiplayer
+import { InstantReplay } from './InstantReplay.js';
+import { Lobby } from './Lobby.js';
+import { BoxScore } from './BoxScore.js';
+import { ShotChart } from './ShotChart.js';
+import { HUD, toCssColor } from './HUD.js';
+import { TEAMS } from './Teams.js';
+import { BALL, PASSING, SHOOTING } from './Physics.js';
+import { ServerClock } from './Interpolation.js';
+import { NETWORK, NO_SLOT, isNewerId, encodeInputs, decodeSnapshot, dequantizeWorld } from './Protocol.js';
+import { MOVEMENT, quaternionFromYawPitch } from './Movement.js';
 
 export class Game {
     constructor() {
         this.container = document.body;
-        this.score = 0;
-        this.botScore = 0;
+        this.teamId = null; // Our team, assigned by the server
         this.init();
     }
 
@@ -46,52 +54,119 @@ export class Game {
         // Particles
         this.particleSystem = new ParticleSystem(this.scene);
 
+        // Replays of made baskets, drawn in a scene of their own
+        this.instantReplay = new InstantReplay(window.innerWidth / window.innerHeight);
+
         // Player
         this.player = new Player(this.camera, this.scene);
         this.player.assignBall(this.ball);
+        this.pendingRelease = false; // Shot sent, waiting for the server to confirm
+        this.ownShotUntil = 0; // Our shot is predicted locally until then (performance.now ms)
+        this.serverClock = new ServerClock(); // Render time for remote players and ball
 
-        // Bot - REPLACED by Remote Players
-        // this.bot = new Bot(this.scene, this.ball);
+        // Everyone else, humans and server bots alike
         this.remotePlayers = {};
 
         // Networking
         this.socket = io();
+        this.room = null; // Summary of the room we are playing in
+
+        // Network: inputs go up in batches, snapshots come down delta-encoded
+        this.outgoingInputs = [];
+        this.snapshotBaselines = new Map(); // Snapshot id -> decoded world
+        this.lastSnapshotId = null;
+        this.slotIds = {}; // Snapshot slot -> player id
+        setInterval(() => this.sendInputs(), 1000 / NETWORK.inputSendRate);
+
+        // Lobby: pick or create a room before playing
+        this.lobby = new Lobby(this.socket);
+        this.boxScore = new BoxScore();
+        this.shotChart = new ShotChart(); // Toggled with H, kept for the browser session
+        this.shotChart.onChange = (canvas) => this.world.setShotChart(canvas);
+        this.player.inputBlocked = true;
 
         this.socket.on('connect', () => {
             console.log('Connected to server:', this.socket.id);
+            this.room = null;
+            this.lobby.show();
+        });
+
+        this.socket.on('disconnect', () => {
+            this.leaveRoom(false);
         });
 
+        // Anti-cheat threshold reached; the server closes the socket right after
+        this.socket.on('kicked', (data) => {
+            this.leaveRoom(false);
+            this.lobby.showError(`Disconnected by the server (${data.reason})`);
+        });
+
+        // Ball intents: the server owns the ball and answers with ball_state
+        this.player.onShoot = (direction, power) => {
+            this.pendingRelease = true;
+            this.socket.emit('ball_shoot', { direction, power });
+        };
+        this.player.onPickupRequest = () => this.socket.emit('ball_pickup');
+        this.player.onInput = (input) => {
+            if (this.room) this.outgoingInputs.push(input);
+        };
+        this.player.onStealRequest = () => this.socket.emit('ball_steal');
+        this.player.onPass = (targetId, type) => this.socket.emit('ball_pass', { targetId, type });
+        this.player.onNoPassTarget = () => this.hud.showAnnouncement('NO TEAMMATE IN SIGHT');
+        this.player.onDribble = (dribble) => this.socket.emit('ball_dribble', { dribble });
+        this.player.getPassTargets = () => Object.values(this.remotePlayers)
+            .filter((remote) => remote.teamId === this.teamId)
+            .map((remote) => ({ id: remote.id, position: remote.position }));
+        this.incomingPassUntil = 0; // A teammate's pass is on its way to us until then
+
         this.socket.on('init', (data) => {
+            // Fresh room: drop anything left over from a previous one
+            this.clearRemotePlayers();
+            this.instantReplay.reset();
+            this.snapshotBaselines.clear();
+            this.lastSnapshotId = null;
+            this.room = data.room;
+            this.roomText.innerText = `${this.room.name} [${this.room.code}] ${this.room.mode}`;
+            this.player.inputBlocked = false;
+
+            // Server picks our spawn (own half, facing the hoop we attack)
+            const me = data.players[this.socket.id];
+            this.player.setPosition(me.position);
+            this.player.camera.quaternion.set(me.quaternion.x, me.quaternion.y, me.quaternion.z, me.quaternion.w);
+            this.setTeam(me.teamId);
+
             // Spawn existing players
             for (const id in data.players) {
+                this.slotIds[data.players[id].slot] = id;
                 if (id !== this.socket.id) {
                     this.remotePlayers[id] = new RemotePlayer(this.scene, id, data.players[id]);
                 }
             }
             // Sync Ball
             if (data.ballState && data.ballState.position) {
-                this.ball.mesh.position.copy(data.ballState.position);
-                this.ball.velocity.copy(data.ballState.velocity);
-                if (data.ballState.ownerId === this.socket.id) {
-                    // I own it? Should not happen on fresh connect usually
-                } else if (data.ballState.ownerId) {
-                    // Someone else owns it
-                    // Visual only for now
-                }
+                this.applyBallState(data.ballState);
             }
+            if (data.match) this.applyMatchState(data.match);
         });
 
         this.socket.on('player_joined', (data) => {
             console.log('Player joined:', data.id);
+            this.slotIds[data.slot] = data.id;
             this.remotePlayers[data.id] = new RemotePlayer(this.scene, data.id, data);
         });
 
-        this.socket.on('player_moved', (data) => {
-            if (this.remotePlayers[data.id]) {
-                this.remotePlayers[data.id].updateData(data);
+        // Auto-balance moved someone to the other team
+        this.socket.on('player_team', (data) => {
+            if (data.id === this.socket.id) {
+                this.setTeam(data.teamId);
+                this.hud.showAnnouncement(`YOU ARE NOW ${TEAMS[data.teamId].name}`);
+            } else if (this.remotePlayers[data.id]) {
+                this.remotePlayers[data.id].setTeam(data.teamId);
             }
         });
 
+        this.socket.on('snapshot', (data) => this.applySnapshot(data));
+
         this.socket.on('player_left', (id) => {
             console.log('Player left:', id);
             if (this.remotePlayers[id]) {
@@ -100,36 +175,284 @@ export class Game {
             }
         });
 
-        this.socket.on('ball_updated', (data) => {
-            // If I don't own the ball, trust the server/network
-            if (!this.player.hasBall) {
-                this.ball.mesh.position.copy(data.position);
-                this.ball.velocity.copy(data.velocity);
-                this.ball.owner = data.ownerId ? (data.ownerId === this.socket.id ? this.player : null) : null;
+        this.socket.on('ball_state', (data) => this.applyBallState(data));
+
+        // Match (server owns score, clocks and state)
+        this.socket.on('match_state', (data) => this.applyMatchState(data));
+
+        this.socket.on('basket_scored', (data) => {
+            this.particleSystem.emit(new THREE.Vector3().copy(data.position), 100);
+            if (!data.goaltenderId) this.world.shakeNet(data.hoopIndex, data.finish === 'swish' ? 1 : 0.6);
+            this.hud.announceEvent('basket_scored', data);
+            if (data.counted) this.instantReplay.queue(data.hoopIndex, this.serverClock.now(), this.getRoster(), data.finish);
+        });
+
+        this.socket.on('shot_quality', (data) => this.showShotQuality(data));
+
+        // A counted attempt is over (made or missed)
+        this.socket.on('shot_charted', (data) => this.shotChart.add(data, this.socket.id));
+
+        // Final buzzer: the box score stays up until closed or the next warmup
+        this.socket.on('box_score', (data) => this.boxScore.show(data, this.socket.id, true));
+
+        this.socket.on('shot_blocked', (data) => this.hud.announceEvent('shot_blocked', data));
+
+        this.socket.on('pass', (data) => {
+            if (data.receiverId === this.socket.id) {
+                this.incomingPassUntil = performance.now() + PASSING.catchWindow * 1000;
             }
         });
 
+        this.socket.on('pass_intercepted', (data) => {
+            this.incomingPassUntil = 0;
+            this.hud.announceEvent('pass_intercepted', data);
+        });
+
+        this.socket.on('match_violation', (data) => this.hud.announceEvent('match_violation', data));
+        this.socket.on('match_foul', (data) => this.hud.announceEvent('match_foul', data));
+
         // Event Listeners
         window.addEventListener('resize', this.onWindowResize.bind(this));
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'KeyX') this.instantReplay.stop(); // Skip the replay
+            if (e.code === 'KeyH' && !e.repeat && e.target.tagName !== 'SELECT') this.shotChart.toggle();
+            if (e.code === 'Tab' && this.room) {
+                e.preventDefault();
+                if (!e.repeat) this.requestBoxScore();
+            }
+        });
+        document.addEventListener('keyup', (e) => {
+            if (e.code === 'Tab') this.boxScore.hide();
+        });
 
         // Start Loop
         this.clock = new THREE.Clock();
         this.animate();
     }
 
+    setTeam(teamId) {
+        this.teamId = teamId;
+        const team = TEAMS[teamId];
+        this.teamText.innerText = `YOU: ${team.name}`;
+        this.teamText.style.color = toCssColor(team.color);
+    }
+
+    // How announcements name a player: us, or their team
+    getPlayerName(id) {
+        if (id === this.socket.id) return 'YOU';
+        const remote = this.remotePlayers[id];
+        return remote ? TEAMS[remote.teamId].name : null;
+    }
+
+    clearRemotePlayers() {
+        for (const id in this.remotePlayers) {
+            this.remotePlayers[id].dispose();
+        }
+        this.remotePlayers = {};
+        this.slotIds = {};
+    }
+
+    // Fixed-rate input upload; also acknowledges the newest snapshot
+    sendInputs() {
+        if (!this.room || !this.socket.connected) {
+            this.outgoingInputs = [];
+            return;
+        }
+        const ack = this.lastSnapshotId === null ? NETWORK.noBaseline : this.lastSnapshotId;
+        this.socket.emit('inputs', encodeInputs(ack, this.outgoingInputs));
+        this.outgoingInputs = [];
+    }
+
+    applySnapshot(data) {
+        const snapshot = decodeSnapshot(data, this.snapshotBaselines);
+        if (!snapshot) return; // Malformed, or its baseline is gone: wait for the next one
+
+        // Any snapshot can be a future baseline, but only newer ones are applied
+        this.snapshotBaselines.set(snapshot.id, snapshot.world);
+        this.snapshotBaselines.delete((snapshot.id - NETWORK.snapshotHistory) & 0xFFFF);
+        if (this.lastSnapshotId !== null && !isNewerId(snapshot.id, this.lastSnapshotId)) return;
+        this.lastSnapshotId = snapshot.id;
+
+        this.serverClock.sample(snapshot.t);
+
+        // Authoritative result of our inputs up to ack.seq
+        if (snapshot.ack) this.player.reconcile(snapshot.ack, this.world.getColliderBoxes(), this.getRemoteBodies());
+
+        const world = dequantizeWorld(snapshot.world);
+        this.instantReplay.record(snapshot.t, world);
+        for (const slot in world.players) {
+            const remote = this.remotePlayers[this.slotIds[slot]];
+            if (!remote) continue;
+            const p = world.players[slot];
+            remote.updateData({
+                t: snapshot.t,
+                position: p.position,
+                quaternion: quaternionFromYawPitch(p.yaw, p.pitch, new THREE.Quaternion())
+            });
+        }
+
+        const ball = world.ball;
+        this.applyBallState({
+            t: snapshot.t,
+            ownerId: ball.owner === NO_SLOT ? null : (this.slotIds[ball.owner] || null),
+            position: ball.position,
+            velocity: ball.velocity
+        });
+    }
+
+    // Box score held open with Tab (the server keeps the stats)
+    requestBoxScore() {
+        this.socket.emit('get_box_score', (data) => {
+            if (data) this.boxScore.show(data, this.socket.id);
+        });
+    }
+
+    // Everyone in the room by snapshot slot, us included
+    getRoster() {
+        const roster = [];
+        for (const slot in this.slotIds) {
+            const id = this.slotIds[slot];
+            const teamId = id === this.socket.id ? this.teamId : (this.remotePlayers[id] ? this.remotePlayers[id].teamId : null);
+            if (teamId) roster.push({ id, slot: Number(slot), teamId });
+        }
+        return roster;
+    }
+
+    getRemoteBodies() {
+        return Object.values(this.remotePlayers).map((remote) => remote.position);
+    }
+
+    leaveRoom(notifyServer = true) {
+        if (notifyServer && this.room) this.socket.emit('leave_room');
+        this.room = null;
+        this.roomText.innerText = '';
+        this.leaveButton.style.display = 'none';
+        this.teamText.innerText = '';
+        this.teamId = null;
+        this.clearRemotePlayers();
+        this.instantReplay.reset();
+        this.boxScore.hide(true);
+        this.player.inputBlocked = true;
+        if (document.pointerLockElement) document.exitPointerLock();
+        this.lobby.show();
+    }
+
+    applyBallState(data) {
+        this.serverClock.sample(data.t);
+        const mine = data.ownerId === this.socket.id;
+
+        // Our shot is in flight locally; ignore snapshots from before the server saw it
+        if (this.pendingRelease) {
+            if (mine) return;
+            this.pendingRelease = false;
+            this.ownShotUntil = performance.now() + BALL.maxFlightTime * 1000;
+            // Predict on from the real release (the server adds the shot's spread)
+            if (!data.ownerId) {
+                const elapsed = (this.serverClock.now() - data.t) / 1000;
+                this.ball.resync(data.position, data.velocity, elapsed, this.world.getColliderBoxes());
+                return;
+            }
+        }
+
+        if (mine) {
+            this.ownShotUntil = 0;
+            // Server granted us the ball (pickup or steal)
+            if (!this.player.hasBall) {
+                this.ball.grab(this.player);
+                this.player.hasBall = true;
+                this.player.dribbling = false;
+                this.player.hasDribbled = false;
+            }
+            // Server's word on the dribble (binary snapshots don't carry it)
+            if (data.dribbling !== undefined) this.player.dribbling = data.dribbling;
+            return; // Player positions the held ball locally
+        }
+
+        // Someone else has it (or it is loose): server is authoritative
+        this.ball.owner = data.ownerId ? (this.remotePlayers[data.ownerId] || data.ownerId) : null;
+
+        // Keep our own shot on the local prediction (server scores it either way)
+        if (!data.ownerId && performance.now() < this.ownShotUntil) return;
+        this.ownShotUntil = 0;
+
+        this.ball.applySnapshot(data.t, data.position, data.velocity);
+    }
+
+    applyMatchState(data) {
+        this.hud.setMatchState(data, performance.now());
+        if (data.state !== 'inbound') this.instantReplay.stop(); // Play resumed
+        if (data.state === 'warmup') this.boxScore.hide(true); // Next game
+    }
+
+    // Readout of our last shot: release timing and what made it harder
+    showShotQuality(data) {
+        const timing = {
+            perfect: ['PERFECT RELEASE', 'lime'],
+            good: ['GOOD RELEASE', 'yellow'],
+            early: ['EARLY RELEASE', 'orange'],
+            late: ['LATE RELEASE', 'orange']
+        }[data.timing] || ['OFF TARGET', 'red'];
+
+        const notes = [`${data.distance.toFixed(1)}m`];
+        if (data.contest > 0.5) notes.push('HEAVILY CONTESTED');
+        else if (data.contest > 0) notes.push('CONTESTED');
+        else notes.push('OPEN');
+        if (data.moving > 0.3) notes.push('ON THE MOVE');
+        if (data.fatigue > 0) notes.push('TIRED');
+
+        this.shotQualityText.innerText = `${timing[0]} - ${notes.join(' - ')} - SPREAD ${data.spread.toFixed(1)}°`;
+        this.shotQualityText.style.color = timing[1];
+        this.shotQualityTimer = 3.0;
+    }
+
+    updateScoreboard(delta) {
+        this.hud.update(delta, performance.now());
+        if (this.shotQualityTimer > 0) {
+            this.shotQualityTimer -= delta;
+            if (this.shotQualityTimer <= 0) this.shotQualityText.innerText = '';
+        }
+    }
+
     createUI() {
-        // Score
-        this.uiContainer = document.createElement('div');
-        this.uiContainer.style.position = 'absolute';
-        this.uiContainer.style.top = '20px';
-        this.uiContainer.style.left = '20px';
-        this.uiContainer.style.color = 'white';
-        this.uiContainer.style.fontFamily = 'Arial, sans-serif';
-        this.uiContainer.style.fontSize = '24px';
-        this.uiContainer.style.fontWeight = 'bold';
-        this.uiContainer.style.textShadow = '2px 2px 2px black';
-        this.uiContainer.innerHTML = 'Player: 0 | Bot: 0';
-        document.body.appendChild(this.uiContainer);
+        // Score, clocks and announcements
+        this.hud = new HUD((id) => this.getPlayerName(id));
+
+        // Our Team
+        this.teamText = document.createElement('div');
+        this.teamText.style.position = 'absolute';
+        this.teamText.style.top = '80px';
+        this.teamText.style.left = '20px';
+        this.teamText.style.fontFamily = 'Arial, sans-serif';
+        this.teamText.style.fontWeight = 'bold';
+        this.teamText.style.textShadow = '2px 2px 2px black';
+        document.body.appendChild(this.teamText);
+
+        // Shown over the instant replay
+        this.replayText = document.createElement('div');
+        this.replayText.style.position = 'absolute';
+        this.replayText.style.top = '100px';
+        this.replayText.style.right = '20px';
+        this.replayText.style.padding = '4px 10px';
+        this.replayText.style.backgroundColor = 'rgba(200, 0, 0, 0.8)';
+        this.replayText.style.color = 'white';
+        this.replayText.style.fontFamily = 'Arial, sans-serif';
+        this.replayText.style.fontWeight = 'bold';
+        this.replayText.style.display = 'none';
+        this.replayText.innerText = 'INSTANT REPLAY (X TO SKIP)';
+        document.body.appendChild(this.replayText);
+
+        this.shotQualityText = document.createElement('div');
+        this.shotQualityText.style.position = 'absolute';
+        this.shotQualityText.style.bottom = '110px';
+        this.shotQualityText.style.width = '100%';
+        this.shotQualityText.style.textAlign = 'center';
+        this.shotQualityText.style.fontFamily = 'Arial, sans-serif';
+        this.shotQualityText.style.fontSize = '18px';
+        this.shotQualityText.style.fontWeight = 'bold';
+        this.shotQualityText.style.textShadow = '2px 2px 2px black';
+        this.shotQualityText.style.pointerEvents = 'none';
+        document.body.appendChild(this.shotQualityText);
+        this.shotQualityTimer = 0;
 
         // Crosshair
         const crosshair = document.createElement('div');
@@ -185,6 +508,49 @@ export class Game {
         this.chargeBarFill.style.backgroundColor = 'lime';
         this.chargeBarContainer.appendChild(this.chargeBarFill);
 
+        // Release window on the meter for the current aim (good, perfect in the middle)
+        this.releaseZone = document.createElement('div');
+        this.releaseZone.style.position = 'absolute';
+        this.releaseZone.style.top = '0';
+        this.releaseZone.style.height = '100%';
+        this.releaseZone.style.width = `${SHOOTING.goodWindow * 200}%`;
+        this.releaseZone.style.backgroundColor = 'rgba(255, 255, 255, 0.35)';
+        this.releaseZone.style.display = 'none';
+        this.chargeBarContainer.appendChild(this.releaseZone);
+
+        const perfectZone = document.createElement('div');
+        perfectZone.style.position = 'absolute';
+        perfectZone.style.top = '0';
+        perfectZone.style.height = '100%';
+        perfectZone.style.left = `${50 * (1 - SHOOTING.perfectWindow / SHOOTING.goodWindow)}%`;
+        perfectZone.style.width = `${100 * SHOOTING.perfectWindow / SHOOTING.goodWindow}%`;
+        perfectZone.style.backgroundColor = 'rgba(255, 255, 255, 0.8)';
+        this.releaseZone.appendChild(perfectZone);
+
+        // Room Info + Leave (only clickable while the pointer is free)
+        this.roomText = document.createElement('div');
+        this.roomText.style.position = 'absolute';
+        this.roomText.style.top = '30px';
+        this.roomText.style.right = '10px';
+        this.roomText.style.color = 'white';
+        this.roomText.style.fontFamily = 'monospace';
+        this.roomText.style.textShadow = '1px 1px 1px black';
+        document.body.appendChild(this.roomText);
+
+        this.leaveButton = document.createElement('button');
+        this.leaveButton.innerText = 'Leave Room';
+        this.leaveButton.style.position = 'absolute';
+        this.leaveButton.style.top = '50px';
+        this.leaveButton.style.right = '10px';
+        this.leaveButton.style.display = 'none';
+        this.leaveButton.addEventListener('click', () => this.leaveRoom());
+        document.body.appendChild(this.leaveButton);
+
+        document.addEventListener('pointerlockchange', () => {
+            const locked = document.pointerLockElement === document.body;
+            this.leaveButton.style.display = (!locked && this.room) ? 'block' : 'none';
+        });
+
         // Version Header
         const version = document.createElement('div');
         version.style.position = 'absolute';
@@ -214,6 +580,8 @@ export class Game {
     onWindowResize() {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
+        this.instantReplay.camera.aspect = this.camera.aspect;
+        this.instantReplay.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
     }
 
@@ -231,45 +599,34 @@ export class Game {
             this.lastFpsTime = now;
         }
 
-        // --- NETWORK SYNC ---
-        if (this.socket && this.socket.connected) {
-            // Emit My State
-            this.socket.emit('player_update', {
-                position: this.player.camera.position, // Player position is camera pos approx
-                quaternion: this.player.camera.quaternion,
-                // Add Velocity/AnimState if needed
-            });
-
-            // Emit Ball State if I own it
-            if (this.player.hasBall) {
-                this.socket.emit('ball_update', {
-                    ownerId: this.socket.id,
-                    position: this.ball.mesh.position,
-                    velocity: this.ball.velocity
-                });
-            }
-        }
-
         // Updates
-        const collidables = this.world.getCollidables();
-        // Add remote players to collidables?
-        // For now, let's just make them ghosts to prevent stuck issues
-
-        this.player.update(delta, collidables);
+        const collidables = this.world.getColliderBoxes();
+        // Remote players are solid (the server resolves pushes, we predict
+        // our side of them) and get in the way of our predicted shots
+        this.player.update(delta, collidables, this.getRemoteBodies());
 
         // Update Remote Players
+        const renderTime = this.serverClock.renderTime();
         for (const id in this.remotePlayers) {
-            this.remotePlayers[id].update(delta);
+            this.remotePlayers[id].update(renderTime);
         }
 
-        this.ball.update(delta, collidables);
+        const bodies = Object.values(this.remotePlayers).map((remote) => ({
+            position: remote.position,
+            airborne: remote.position.y > MOVEMENT.height + 0.05
+        }));
+        this.ball.update(delta, collidables, renderTime, bodies);
         this.particleSystem.update(delta);
+        this.world.update(delta);
 
         // Update Power UI
         const ratio = this.player.getPowerRatio();
         this.chargeBarFill.style.width = `${ratio * 100}%`;
         const hue = 120 * (1 - ratio);
         this.chargeBarFill.style.backgroundColor = `hsl(${hue}, 100%, 50%)`;
+        const ideal = this.player.getIdealRelease();
+        this.releaseZone.style.display = ideal === null ? 'none' : 'block';
+        if (ideal !== null) this.releaseZone.style.left = `${(ideal - SHOOTING.goodWindow) * 100}%`;
 
         // Update Sprint UI
         if (this.player.maxStamina) {
@@ -288,60 +645,23 @@ export class Game {
             this.possessionText.style.fontWeight = 'bold';
             this.chargeBarContainer.appendChild(this.possessionText);
         }
-        this.possessionText.innerText = this.player.hasBall ? "HOLDING BALL (CLICK TO SHOOT)" : "FIND BALL";
+        if (this.player.hasBall) {
+            this.incomingPassUntil = 0;
+            this.possessionText.innerText = this.player.dribbling
+                ? "DRIBBLING (HOLD CLICK TO SHOOT, Q PASS, F LOB, C PICK UP)"
+                : "HOLDING BALL (HOLD CLICK TO SHOOT, Q PASS, F LOB, C DRIBBLE)";
+        } else {
+            this.possessionText.innerText = now < this.incomingPassUntil ? "PASS INCOMING" : "FIND BALL";
+        }
 
-        this.checkScoring();
+        this.updateScoreboard(delta);
 
-        this.renderer.render(this.scene, this.camera);
-    }
-
-    checkScoring() {
-        if (!this.ball.active) return;
-
-        const triggers = this.world.getTriggers();
-        if (triggers.length === 0) return;
-
-        // Check vs Hoop Triggers
-        for (const trigger of triggers) {
-            if (!trigger.geometry.boundingBox) trigger.geometry.computeBoundingBox();
-
-            const triggerBox = trigger.geometry.boundingBox.clone().applyMatrix4(trigger.matrixWorld);
-
-            if (triggerBox.intersectsBox(this.ball.ballBox)) {
-                // Ball is in trigger logic
-                if (this.ball.velocity.y < 0) {
-                    // Which Hoop?
-                    // Trigger Centers:
-                    // Far (Enemy) Z ~ -15. Player scores here.
-                    // Near (Player) Z ~ 15. Bot scores here.
-
-                    const triggerZ = trigger.geometry.boundingBox.getCenter(new THREE.Vector3()).applyMatrix4(trigger.matrixWorld).z;
-
-                    if (!this.justScored) {
-                        if (triggerZ < 0) {
-                            // Player Scored!
-                            this.score++;
-                            this.uiContainer.innerHTML = `Player: ${this.score} | Bot: ${this.botScore || 0}`;
-                            console.log("Player Score!");
-                            this.particleSystem.emit(this.ball.mesh.position, 100);
-                        } else {
-                            // Bot Scored!
-                            this.botScore = (this.botScore || 0) + 1;
-                            this.uiContainer.innerHTML = `Player: ${this.score} | Bot: ${this.botScore}`;
-                            console.log("Bot Score!");
-                            this.particleSystem.emit(this.ball.mesh.position, 100); // Bot Particles
-                        }
-
-                        this.justScored = true;
-
-                        // Respawn Ball
-                        setTimeout(() => {
-                            this.ball.reset();
-                            this.justScored = false;
-                        }, 1000);
-                    }
-                } // End velocity check
-            }
+        const replaying = this.instantReplay.update(delta);
+        this.replayText.style.display = replaying ? 'block' : 'none';
+        if (replaying) {
+            this.renderer.render(this.instantReplay.replayScene.scene, this.instantReplay.camera);
+        } else {
+            this.renderer.render(this.scene, this.camera);
         }
     }
 }
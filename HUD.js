@@ -0,0 +1,175 @@
+import { TEAMS } from './Teams.js';
+
+const ANNOUNCEMENT_SECONDS = 2.0;
+
+const VIOLATION_LABELS = {
+    shot_clock: 'SHOT CLOCK VIOLATION',
+    out_of_bounds: 'OUT OF BOUNDS',
+    backcourt: 'BACKCOURT VIOLATION',
+    travel: 'TRAVELLING',
+    double_dribble: 'DOUBLE DRIBBLE',
+    offensive_goaltending: 'OFFENSIVE GOALTENDING'
+};
+
+const FOUL_LABELS = { charging: 'CHARGING', blocking: 'BLOCKING FOUL' };
+
+const BASKET_FINISHES = { swish: 'SWISH! ', bank: 'OFF THE GLASS! ' };
+
+export function toCssColor(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+// Game clock: 0:07 shows until the last partial second runs out
+export function formatClock(seconds) {
+    const total = Math.ceil(seconds);
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return `${m}:${s < 10 ? '0' : ''}${s}`;
+}
+
+// Text for a room event (basket_scored, match_violation, match_foul,
+// shot_blocked, pass_intercepted), or null if it isn't announced.
+// getName(playerId) names a player ('YOU', their team) or returns null.
+export function getAnnouncement(event, data, getName) {
+    switch (event) {
+        case 'basket_scored': {
+            if (!data.counted) return null;
+            const who = getName(data.shooterId) || TEAMS[data.teamId].name;
+            const prefix = data.goaltenderId ? 'GOALTENDING! ' : (BASKET_FINISHES[data.finish] || '');
+            return `${prefix}${who} +${data.points}${data.points === 3 ? ' FROM DOWNTOWN' : ''}`;
+        }
+        case 'match_violation':
+            return VIOLATION_LABELS[data.type] || 'VIOLATION';
+        case 'match_foul':
+            return `${FOUL_LABELS[data.type] || 'FOUL'} ON ${getName(data.playerId) || TEAMS[data.teamId].name}`;
+        case 'shot_blocked': {
+            const who = getName(data.playerId);
+            return who ? `BLOCKED BY ${who}` : 'BLOCKED';
+        }
+        case 'pass_intercepted': {
+            const who = getName(data.playerId);
+            return who ? `INTERCEPTED BY ${who}` : 'INTERCEPTED';
+        }
+        default:
+            return null;
+    }
+}
+
+// Score, clocks and announcements, shared by the game and the replay viewer.
+// Both feed it the server's match state and room events; the clocks count
+// down from the last match state on whatever clock update() is given.
+export class HUD {
+    constructor(getName) {
+        this.getName = getName;
+        this.matchState = null; // Last match snapshot (score, clocks, state)
+        this.matchStateTime = 0; // When it applies from (ms)
+        this.announcementTimer = 0;
+        this.createUI();
+    }
+
+    createUI() {
+        this.scoreText = document.createElement('div');
+        this.scoreText.style.position = 'absolute';
+        this.scoreText.style.top = '20px';
+        this.scoreText.style.left = '20px';
+        this.scoreText.style.color = 'white';
+        this.scoreText.style.fontFamily = 'Arial, sans-serif';
+        this.scoreText.style.fontSize = '24px';
+        this.scoreText.style.fontWeight = 'bold';
+        this.scoreText.style.textShadow = '2px 2px 2px black';
+        this.scoreText.innerText = 'HOME 0 - 0 AWAY';
+        document.body.appendChild(this.scoreText);
+
+        // Game Clock + Shot Clock (under the score)
+        this.clockText = document.createElement('div');
+        this.clockText.style.position = 'absolute';
+        this.clockText.style.top = '55px';
+        this.clockText.style.left = '20px';
+        this.clockText.style.color = 'white';
+        this.clockText.style.fontFamily = 'monospace';
+        this.clockText.style.fontSize = '20px';
+        this.clockText.style.textShadow = '2px 2px 2px black';
+        document.body.appendChild(this.clockText);
+
+        // Announcements (quarter start/end, baskets, violations)
+        this.announcementText = document.createElement('div');
+        this.announcementText.style.position = 'absolute';
+        this.announcementText.style.top = '30%';
+        this.announcementText.style.width = '100%';
+        this.announcementText.style.textAlign = 'center';
+        this.announcementText.style.color = 'yellow';
+        this.announcementText.style.fontFamily = 'Arial, sans-serif';
+        this.announcementText.style.fontSize = '48px';
+        this.announcementText.style.fontWeight = 'bold';
+        this.announcementText.style.textShadow = '3px 3px 3px black';
+        this.announcementText.style.pointerEvents = 'none';
+        document.body.appendChild(this.announcementText);
+    }
+
+    // Forgets the match and any announcement (replay seeks)
+    reset() {
+        this.matchState = null;
+        this.announcementTimer = 0;
+        this.announcementText.innerText = '';
+    }
+
+    // A match snapshot valid from `time`; announce: call out state changes
+    setMatchState(data, time, announce = true) {
+        const previous = this.matchState;
+        this.matchState = data;
+        this.matchStateTime = time;
+
+        if (announce && previous && previous.state !== data.state) {
+            if (data.state === 'live' && previous.state !== 'inbound') this.showAnnouncement(`QUARTER ${data.quarter}`);
+            if (data.state === 'quarter_end') this.showAnnouncement(`END OF QUARTER ${data.quarter}`);
+            if (data.state === 'final') this.showAnnouncement('FINAL');
+        }
+    }
+
+    showAnnouncement(text) {
+        this.announcementText.innerText = text;
+        this.announcementTimer = ANNOUNCEMENT_SECONDS;
+    }
+
+    announceEvent(event, data) {
+        const text = getAnnouncement(event, data, this.getName);
+        if (text) this.showAnnouncement(text);
+    }
+
+    // delta: real seconds since the last frame; now: the match state's clock (ms)
+    update(delta, now) {
+        if (this.announcementTimer > 0) {
+            this.announcementTimer -= delta;
+            if (this.announcementTimer <= 0) this.announcementText.innerText = '';
+        }
+
+        const match = this.matchState;
+        if (!match) return;
+
+        // Count clocks down locally between match states
+        const elapsed = (now - this.matchStateTime) / 1000;
+        const gameClock = match.running ? Math.max(0, match.gameClock - elapsed) : match.gameClock;
+        const shotClock = match.shotClockRunning ? Math.max(0, match.shotClock - elapsed) : match.shotClock;
+        const timer = Math.max(0, match.timer - elapsed);
+
+        const home = TEAMS.home;
+        const away = TEAMS.away;
+        this.scoreText.innerHTML =
+            `<span style="color:${toCssColor(home.color)}">${home.name}</span> ${match.score.home} - ` +
+            `${match.score.away} <span style="color:${toCssColor(away.color)}">${away.name}</span>`;
+
+        switch (match.state) {
+            case 'warmup':
+                this.clockText.innerText = `WARMUP ${Math.ceil(timer)}`;
+                break;
+            case 'quarter_end':
+                this.clockText.innerText = `Q${match.quarter} END | NEXT ${Math.ceil(timer)}`;
+                break;
+            case 'final':
+                this.clockText.innerText = 'FINAL';
+                break;
+            default: // live / inbound
+                this.clockText.innerText = `Q${match.quarter} ${formatClock(gameClock)} | ${Math.ceil(shotClock)}`;
+        }
+    }
+}
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+import { HOOPS } from './Court.js';
+import { ReplayScene } from './ReplayScene.js';
+
+export const INSTANT_REPLAY = {
+    before: 2.5, // Seconds of play shown before the ball drops...
+    after: 0.5, // ...and after
+    speed: 0.75, // Slow motion
+    delay: 0.75, // Seconds of live celebration first (the frames after the basket arrive meanwhile)
+    orbitRadius: 7, // Broadcast camera distance from the rim (m)
+    orbitHeight: 2.5, // Above the rim
+    orbitSweep: Math.PI / 2 // Radians the camera travels around the hoop over the replay
+};
+
+// Instant replay of made baskets: the last few seconds of server snapshots
+// are kept, and after a basket they are played back in a ReplayScene from a
+// camera orbiting the hoop. The match gives it a longer dead ball
+// (MATCH_RULES.replaySeconds); it ends early if play resumes or it is skipped.
+export class InstantReplay {
+    constructor(aspect) {
+        this.replayScene = new ReplayScene();
+        this.camera = new THREE.PerspectiveCamera(60, aspect, 0.1, 100);
+        this.frames = []; // Recent snapshots [{ t, world }], newest last
+        this.pending = null; // { hoopIndex, time, roster, finish, startAt } waiting for the delay
+        this.active = false;
+        this.time = 0; // Playhead (server ms)
+        this.lookTarget = new THREE.Vector3();
+        this.target = new THREE.Vector3();
+    }
+
+    // Every snapshot received; only the last few seconds are kept
+    record(t, world) {
+        const frames = this.frames;
+        frames.push({ t, world });
+        const keep = (INSTANT_REPLAY.before + INSTANT_REPLAY.after + 1) * 1000;
+        while (frames.length > 2 && frames[0].t < t - keep) frames.shift();
+    }
+
+    // A basket dropped through HOOPS[hoopIndex] at server time `time`.
+    // roster: [{ id, slot, teamId }] of everyone on the court, us included.
+    queue(hoopIndex, time, roster, finish) {
+        this.stop();
+        this.pending = { hoopIndex, time, roster, finish, startAt: performance.now() + INSTANT_REPLAY.delay * 1000 };
+    }
+
+    start() {
+        const { hoopIndex, time, roster, finish } = this.pending;
+        this.pending = null;
+
+        const from = time - INSTANT_REPLAY.before * 1000;
+        const to = time + INSTANT_REPLAY.after * 1000;
+        const frames = this.frames.filter((frame) => frame.t >= from - 100 && frame.t <= to + 100);
+        if (frames.length < 2) return;
+
+        const scene = this.replayScene;
+        scene.clearPlayers();
+        for (const player of roster) scene.addPlayer(player);
+        scene.setFrames(frames);
+
+        this.startTime = Math.max(from, frames[0].t);
+        this.endTime = Math.min(to, frames[frames.length - 1].t);
+        this.time = this.startTime;
+        scene.seek(this.time);
+
+        this.hoop = HOOPS[hoopIndex];
+        this.basket = { hoopIndex, time, strength: finish === 'swish' ? 1 : 0.6 }; // Net shakes when the ball gets there
+        this.lookTarget.copy(this.hoop.rimCenter);
+        this.active = true;
+    }
+
+    // Skipped, over, or play resumed
+    stop() {
+        this.pending = null;
+        this.active = false;
+    }
+
+    // Left the room: nothing to replay any more
+    reset() {
+        this.stop();
+        this.frames = [];
+        this.replayScene.clearPlayers();
+    }
+
+    // Returns true while the replay is on screen
+    update(delta) {
+        if (this.pending && performance.now() >= this.pending.startAt) this.start();
+        if (!this.active) return false;
+
+        const step = delta * INSTANT_REPLAY.speed;
+        this.time += step * 1000;
+        if (this.time >= this.endTime) {
+            this.stop();
+            return false;
+        }
+
+        if (this.basket && this.time >= this.basket.time) {
+            this.replayScene.world.shakeNet(this.basket.hoopIndex, this.basket.strength);
+            this.basket = null;
+        }
+        this.replayScene.update(this.time, step);
+        this.updateCamera(delta);
+        return true;
+    }
+
+    // Swings around the hoop from one side of the lane to the other, looking
+    // between the rim and the ball
+    updateCamera(delta) {
+        const rim = this.hoop.rimCenter;
+        const zDir = this.hoop.facingForward ? 1 : -1; // Towards centre court
+        const progress = (this.time - this.startTime) / (this.endTime - this.startTime);
+        const angle = (progress - 0.5) * INSTANT_REPLAY.orbitSweep;
+
+        this.camera.position.set(
+            rim.x + Math.sin(angle) * INSTANT_REPLAY.orbitRadius,
+            rim.y + INSTANT_REPLAY.orbitHeight,
+            rim.z + Math.cos(angle) * INSTANT_REPLAY.orbitRadius * zDir
+        );
+
+        this.target.copy(rim).lerp(this.replayScene.ball.mesh.position, 0.5);
+        this.lookTarget.lerp(this.target, 1 - Math.exp(-4 * delta));
+        this.camera.lookAt(this.lookTarget);
+    }
+}
@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+
+// Remote entities are drawn slightly in the past so there are usually two
+// server snapshots (~20 Hz) to interpolate between.
+export const INTERPOLATION = {
+    delay: 100, // ms behind the estimated server time
+    maxExtrapolation: 250, // ms past the newest snapshot before holding still
+    history: 1000 // ms of snapshots kept
+};
+
+// Estimates the server clock from the timestamps on its snapshots
+export class ServerClock {
+    constructor() {
+        this.offset = null; // serverTime - performance.now()
+    }
+
+    sample(serverTime) {
+        if (typeof serverTime !== 'number') return;
+        const offset = serverTime - performance.now();
+
+        // Fastest packets give the best estimate; drift slowly towards the rest
+        if (this.offset === null || offset > this.offset) {
+            this.offset = offset;
+        } else {
+            this.offset += (offset - this.offset) * 0.01;
+        }
+    }
+
+    now() {
+        return performance.now() + (this.offset || 0);
+    }
+
+    renderTime() {
+        return this.now() - INTERPOLATION.delay;
+    }
+}
+
+// Timestamped positions (and optional rotations) of one remote entity
+export class SnapshotBuffer {
+    constructor() {
+        this.snapshots = []; // Sorted by t
+        this.tempVelocity = new THREE.Vector3();
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+
+    // velocity (units/s) is used for extrapolation when given, otherwise
+    // it is derived from the last two snapshots
+    push(t, position, quaternion, velocity) {
+        const snapshots = this.snapshots;
+        const snapshot = {
+            t,
+            position: new THREE.Vector3().copy(position),
+            quaternion: quaternion ? new THREE.Quaternion().copy(quaternion) : null,
+            velocity: velocity ? new THREE.Vector3().copy(velocity) : null
+        };
+
+        // Volatile packets can arrive out of order
+        let i = snapshots.length;
+        while (i > 0 && snapshots[i - 1].t > t) i--;
+        if (i > 0 && snapshots[i - 1].t === t) return;
+        snapshots.splice(i, 0, snapshot);
+
+        const newest = snapshots[snapshots.length - 1].t;
+        while (snapshots.length > 2 && snapshots[0].t < newest - INTERPOLATION.history) {
+            snapshots.shift();
+        }
+    }
+
+    // Writes the state at `time` into the outputs; false if nothing received yet
+    sample(time, outPosition, outQuaternion) {
+        const snapshots = this.snapshots;
+        if (snapshots.length === 0) return false;
+
+        const first = snapshots[0];
+        const last = snapshots[snapshots.length - 1];
+
+        if (time <= first.t) {
+            outPosition.copy(first.position);
+            if (outQuaternion && first.quaternion) outQuaternion.copy(first.quaternion);
+            return true;
+        }
+
+        if (time >= last.t) {
+            // Extrapolation: keep going briefly, then hold the last position
+            const ahead = Math.min(time - last.t, INTERPOLATION.maxExtrapolation) / 1000;
+            const velocity = this.getVelocity(this.tempVelocity);
+            outPosition.copy(last.position).addScaledVector(velocity, ahead);
+            if (outQuaternion && last.quaternion) outQuaternion.copy(last.quaternion);
+            return true;
+        }
+
+        // Interpolation between the two snapshots around `time`
+        let i = snapshots.length - 1;
+        while (snapshots[i - 1].t > time) i--;
+        const a = snapshots[i - 1];
+        const b = snapshots[i];
+        const alpha = (time - a.t) / (b.t - a.t);
+
+        outPosition.lerpVectors(a.position, b.position, alpha);
+        if (outQuaternion && a.quaternion && b.quaternion) {
+            outQuaternion.slerpQuaternions(a.quaternion, b.quaternion, alpha);
+        }
+        return true;
+    }
+
+    getVelocity(out) {
+        const snapshots = this.snapshots;
+        const last = snapshots[snapshots.length - 1];
+        if (last.velocity) return out.copy(last.velocity);
+        if (snapshots.length < 2) return out.set(0, 0, 0);
+
+        const prev = snapshots[snapshots.length - 2];
+        return out.subVectors(last.position, prev.position).divideScalar((last.t - prev.t) / 1000);
+    }
+}
@@ -0,0 +1,362 @@
+import { BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY } from './BotDifficulties.js';
+
+const PROFILE_KEY = 'profile'; // localStorage: { token, name } of our profile on this server
+
+// Lobby overlay: signs in, lists open rooms, creates rooms and joins by code.
+// The server answers sign-up/login/create/join through socket.io acknowledgements.
+export class Lobby {
+    constructor(socket) {
+        this.socket = socket;
+        this.onJoined = null; // (code) once the server has put us in a room
+        this.visible = false;
+        this.profile = null; // { id, name, career } once signed in
+
+        this.createUI();
+
+        this.socket.on('room_list', (rooms) => this.renderRooms(rooms));
+        this.socket.on('connect', () => this.login());
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.style.position = 'absolute';
+        this.container.style.top = '0';
+        this.container.style.left = '0';
+        this.container.style.width = '100%';
+        this.container.style.height = '100%';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.75)';
+        this.container.style.color = 'white';
+        this.container.style.fontFamily = 'Arial, sans-serif';
+        this.container.style.display = 'none';
+        this.container.style.justifyContent = 'center';
+        this.container.style.alignItems = 'center';
+        this.container.style.zIndex = '10';
+        document.body.appendChild(this.container);
+
+        const panel = document.createElement('div');
+        panel.style.width = '520px';
+        panel.style.padding = '20px';
+        panel.style.backgroundColor = '#222';
+        panel.style.border = '2px solid white';
+        panel.style.borderRadius = '10px';
+        this.container.appendChild(panel);
+
+        const title = document.createElement('h2');
+        title.innerText = 'PICKUP GAMES';
+        title.style.marginTop = '0';
+        panel.appendChild(title);
+
+        // Profile: display name and career so far
+        const profileRow = document.createElement('div');
+        profileRow.style.marginBottom = '5px';
+        panel.appendChild(profileRow);
+
+        this.playerNameInput = document.createElement('input');
+        this.playerNameInput.placeholder = 'Your name';
+        this.playerNameInput.maxLength = 16;
+        this.playerNameInput.style.width = '180px';
+        profileRow.appendChild(this.playerNameInput);
+
+        const renameButton = document.createElement('button');
+        renameButton.innerText = 'Save name';
+        renameButton.style.marginLeft = '5px';
+        renameButton.addEventListener('click', () => this.saveName());
+        profileRow.appendChild(renameButton);
+
+        this.careerText = document.createElement('div');
+        this.careerText.style.color = '#aaa';
+        this.careerText.style.fontSize = '14px';
+        this.careerText.style.marginBottom = '15px';
+        panel.appendChild(this.careerText);
+
+        // Create Room
+        const createRow = document.createElement('div');
+        createRow.style.marginBottom = '10px';
+        panel.appendChild(createRow);
+
+        this.nameInput = document.createElement('input');
+        this.nameInput.placeholder = 'Room name';
+        this.nameInput.maxLength = 24;
+        this.nameInput.style.width = '180px';
+        createRow.appendChild(this.nameInput);
+
+        this.modeSelect = document.createElement('select');
+        for (const mode of ['1v1', '2v2', '3v3']) {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.innerText = mode;
+            this.modeSelect.appendChild(option);
+        }
+        this.modeSelect.style.marginLeft = '5px';
+        createRow.appendChild(this.modeSelect);
+
+        const createButton = document.createElement('button');
+        this.botsCheckbox = document.createElement('input');
+        this.botsCheckbox.type = 'checkbox';
+        this.botsCheckbox.style.marginLeft = '5px';
+        this.botsCheckbox.title = 'Fill empty slots with bots';
+        createRow.appendChild(this.botsCheckbox);
+
+        const botsLabel = document.createElement('span');
+        botsLabel.innerText = 'Bots';
+        createRow.appendChild(botsLabel);
+
+        // Practice games: how good the bots are
+        this.difficultySelect = document.createElement('select');
+        for (const key in BOT_DIFFICULTIES) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.innerText = BOT_DIFFICULTIES[key].name;
+            this.difficultySelect.appendChild(option);
+        }
+        this.difficultySelect.value = DEFAULT_BOT_DIFFICULTY;
+        this.difficultySelect.style.marginLeft = '5px';
+        createRow.appendChild(this.difficultySelect);
+
+        createButton.innerText = 'Create';
+        createButton.style.marginLeft = '5px';
+        createButton.addEventListener('click', () => this.createRoom());
+        createRow.appendChild(createButton);
+
+        // Join by Code
+        const joinRow = document.createElement('div');
+        joinRow.style.marginBottom = '10px';
+        panel.appendChild(joinRow);
+
+        this.codeInput = document.createElement('input');
+        this.codeInput.placeholder = 'Join code';
+        this.codeInput.maxLength = 4;
+        this.codeInput.style.width = '180px';
+        this.codeInput.style.textTransform = 'uppercase';
+        joinRow.appendChild(this.codeInput);
+
+        const joinButton = document.createElement('button');
+        joinButton.innerText = 'Join';
+        joinButton.style.marginLeft = '5px';
+        joinButton.addEventListener('click', () => this.joinRoom(this.codeInput.value));
+        joinRow.appendChild(joinButton);
+
+        // Error Text
+        this.errorText = document.createElement('div');
+        this.errorText.style.color = 'tomato';
+        this.errorText.style.minHeight = '20px';
+        panel.appendChild(this.errorText);
+
+        // Open Rooms
+        const listTitle = document.createElement('h3');
+        listTitle.innerText = 'Open Rooms';
+        panel.appendChild(listTitle);
+
+        this.roomList = document.createElement('div');
+        this.roomList.style.maxHeight = '240px';
+        this.roomList.style.overflowY = 'auto';
+        panel.appendChild(this.roomList);
+
+        // Best careers on this server
+        const leaderboardTitle = document.createElement('h3');
+        leaderboardTitle.innerText = 'Leaderboard';
+        panel.appendChild(leaderboardTitle);
+
+        this.leaderboardList = document.createElement('div');
+        this.leaderboardList.style.fontSize = '14px';
+        panel.appendChild(this.leaderboardList);
+
+        // Recorded matches open in the replay viewer
+        const replayLink = document.createElement('a');
+        replayLink.href = '?replay';
+        replayLink.innerText = 'Watch a replay';
+        replayLink.style.display = 'inline-block';
+        replayLink.style.marginTop = '10px';
+        replayLink.style.color = 'white';
+        panel.appendChild(replayLink);
+    }
+
+    show() {
+        this.visible = true;
+        this.errorText.innerText = '';
+        this.container.style.display = 'flex';
+        this.socket.emit('list_rooms', (rooms) => this.renderRooms(rooms));
+        this.loadLeaderboard();
+    }
+
+    // --- Profile ---
+
+    getSavedProfile() {
+        try {
+            return JSON.parse(localStorage.getItem(PROFILE_KEY)) || {};
+        } catch (e) {
+            return {}; // Unreadable: play as a guest
+        }
+    }
+
+    // Signs in with the saved token, if we signed up before; a name renames
+    // the profile. Career stats count from the next room joined.
+    login(name) {
+        const saved = this.getSavedProfile();
+        if (!saved.token) {
+            this.renderCareer();
+            return;
+        }
+
+        const data = { token: saved.token };
+        if (name) data.name = name;
+        this.socket.emit('login', data, (res) => {
+            if (!res.ok) {
+                // The server no longer knows the profile: guest until signing up again
+                localStorage.removeItem(PROFILE_KEY);
+                this.profile = null;
+                this.renderCareer();
+                return;
+            }
+            this.onProfile(res.profile, saved.token);
+        });
+    }
+
+    // Save name: renames our profile, or makes one
+    saveName() {
+        const name = this.playerNameInput.value;
+        if (this.profile) {
+            this.login(name);
+            return;
+        }
+        this.socket.emit('sign_up', { name }, (res) => {
+            if (!res.ok) {
+                this.showError(res.error);
+                return;
+            }
+            this.onProfile(res.profile, res.token);
+        });
+    }
+
+    onProfile(profile, token) {
+        this.profile = profile;
+        localStorage.setItem(PROFILE_KEY, JSON.stringify({ token, name: profile.name }));
+        this.playerNameInput.value = profile.name;
+        this.renderCareer();
+        if (this.visible) this.loadLeaderboard(); // Our row highlighted
+    }
+
+    renderCareer() {
+        if (!this.profile) {
+            this.careerText.innerText = 'Playing as a guest: save a name to keep career stats';
+            return;
+        }
+        const career = this.profile.career;
+        if (!career.games) {
+            this.careerText.innerText = 'No finished games yet';
+            return;
+        }
+        const perGame = (total) => (total / career.games).toFixed(1);
+        this.careerText.innerText = `Career: ${career.games} games, ${career.wins}-${career.losses}, ` +
+            `${perGame(career.points)} PPG, ${perGame(career.offRebounds + career.defRebounds)} RPG, ` +
+            `${perGame(career.assists)} APG`;
+    }
+
+    loadLeaderboard() {
+        fetch('/api/leaderboard?stat=wins&limit=5')
+            .then((res) => res.json())
+            .then((data) => this.renderLeaderboard(data.players))
+            .catch(() => {
+                this.leaderboardList.innerText = 'Leaderboard unavailable';
+            });
+    }
+
+    renderLeaderboard(players) {
+        this.leaderboardList.innerHTML = '';
+        if (players.length === 0) {
+            this.leaderboardList.innerText = 'No finished games yet';
+            return;
+        }
+        for (const row of players) {
+            const line = document.createElement('div');
+            line.innerText = `${row.rank}. ${row.name} - ${row.wins}-${row.losses} in ${row.games} games`;
+            if (this.profile && row.id === this.profile.id) line.style.color = 'yellow';
+            this.leaderboardList.appendChild(line);
+        }
+    }
+
+    showError(text) {
+        this.errorText.innerText = text;
+    }
+
+    hide() {
+        this.visible = false;
+        this.container.style.display = 'none';
+    }
+
+    renderRooms(rooms) {
+        this.roomList.innerHTML = '';
+
+        if (rooms.length === 0) {
+            this.roomList.innerText = 'No open rooms. Create one!';
+            return;
+        }
+
+        for (const room of rooms) {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.justifyContent = 'space-between';
+            row.style.alignItems = 'center';
+            row.style.padding = '4px 0';
+            row.style.borderBottom = '1px solid #444';
+
+            const label = document.createElement('span');
+            const bots = room.bots ? `, ${room.bots} ${room.botDifficulty} bot${room.bots > 1 ? 's' : ''}` : '';
+            label.innerText = `${room.name} [${room.code}] ${room.mode} - ${room.players}/${room.maxPlayers}${bots} (${room.state})`;
+            row.appendChild(label);
+
+            const buttons = document.createElement('span');
+            row.appendChild(buttons);
+
+            const addBotButton = document.createElement('button');
+            addBotButton.innerText = '+Bot';
+            addBotButton.disabled = room.players >= room.maxPlayers;
+            addBotButton.addEventListener('click', () => this.changeBots('add_bot', room.code));
+            buttons.appendChild(addBotButton);
+
+            const removeBotButton = document.createElement('button');
+            removeBotButton.innerText = '-Bot';
+            removeBotButton.disabled = !room.bots;
+            removeBotButton.addEventListener('click', () => this.changeBots('remove_bot', room.code));
+            buttons.appendChild(removeBotButton);
+
+            const button = document.createElement('button');
+            button.innerText = 'Join';
+            button.addEventListener('click', () => this.joinRoom(room.code));
+            buttons.appendChild(button);
+
+            this.roomList.appendChild(row);
+        }
+    }
+
+    createRoom() {
+        const data = {
+            name: this.nameInput.value,
+            mode: this.modeSelect.value,
+            fillWithBots: this.botsCheckbox.checked,
+            botDifficulty: this.difficultySelect.value
+        };
+        this.socket.emit('create_room', data, (res) => this.onResponse(res));
+    }
+
+    joinRoom(code) {
+        if (!code) return;
+        this.socket.emit('join_room', { code }, (res) => this.onResponse(res));
+    }
+
+    // The room list refreshes itself once the server has changed the room
+    changeBots(event, code) {
+        this.socket.emit(event, { code }, (res) => {
+            if (!res.ok) this.showError(res.error);
+        });
+    }
+
+    onResponse(res) {
+        if (!res.ok) {
+            this.showError(res.error);
+            return;
+        }
+        this.hide();
+        if (this.onJoined) this.onJoined(res.code);
+    }
+}
@@ -0,0 +1,212 @@
+import { EventEmitter } from 'events';
+import { HOOPS, BALL_SPAWN, isBehindArc, clampToCourt } from './Court.js';
+import { getOpponent } from './Teams.js';
+
+// Server-side match rules: game clock, shot clock and score.
+// Emits:
+//   'state'      () any state/score change worth broadcasting right away
+//   'basket'     { hoopIndex, teamId, shooterId, points, counted, goaltenderId }
+//   'violation'  { type, teamId, playerId } teamId lost the ball (shot_clock, out_of_bounds, backcourt,
+//                travel, double_dribble, offensive_goaltending); playerId if the call names a player
+//   'foul'       { type, teamId, playerId } playerId (of teamId) fouled (charging, blocking)
+//   'reset_ball' { position, teamId } dead ball over: place the ball here and,
+//                if teamId is set, hand it to that team for the inbound
+
+export const MATCH_STATES = {
+    WARMUP: 'warmup',
+    LIVE: 'live',
+    INBOUND: 'inbound', // Dead ball after a basket/violation, clocks stopped
+    QUARTER_END: 'quarter_end',
+    FINAL: 'final'
+};
+
+export const MATCH_RULES = {
+    warmupSeconds: 10,
+    quarters: 4,
+    quarterSeconds: 180,
+    shotClockSeconds: 24,
+    inboundSeconds: 2,
+    replaySeconds: 5, // Dead ball after a counted basket, long enough for the clients' instant replay
+    quarterBreakSeconds: 10,
+    finalSeconds: 15 // Scoreboard stays up, then back to warmup
+};
+
+export class Match extends EventEmitter {
+    constructor(rules = MATCH_RULES) {
+        super();
+        this.rules = rules;
+        this.reset();
+    }
+
+    reset() {
+        this.state = MATCH_STATES.WARMUP;
+        this.timer = this.rules.warmupSeconds; // Countdown for warmup/inbound/breaks
+        this.quarter = 1;
+        this.gameClock = this.rules.quarterSeconds;
+        this.shotClock = this.rules.shotClockSeconds;
+        this.score = { home: 0, away: 0 };
+        this.possession = null; // Team holding the shot clock
+        this.resumeState = null;
+        this.inboundSpot = BALL_SPAWN;
+        this.inboundTeam = null;
+        this.warmupLeft = this.rules.warmupSeconds;
+    }
+
+    isBallLive() {
+        return this.state === MATCH_STATES.WARMUP || this.state === MATCH_STATES.LIVE;
+    }
+
+    update(dt, playerCount) {
+        switch (this.state) {
+            case MATCH_STATES.WARMUP:
+                // Warmup only counts down while someone is here
+                if (playerCount > 0) {
+                    this.warmupLeft -= dt;
+                    this.timer = this.warmupLeft;
+                    if (this.warmupLeft <= 0) this.startQuarter();
+                }
+                break;
+
+            case MATCH_STATES.LIVE:
+                this.gameClock = Math.max(0, this.gameClock - dt);
+                if (this.possession !== null) {
+                    this.shotClock = Math.max(0, this.shotClock - dt);
+                }
+
+                if (this.gameClock <= 0) {
+                    this.endQuarter();
+                } else if (this.shotClock <= 0) {
+                    this.turnover(this.possession, 'shot_clock', BALL_SPAWN);
+                }
+                break;
+
+            case MATCH_STATES.INBOUND:
+                this.timer -= dt;
+                if (this.timer <= 0) {
+                    this.state = this.resumeState;
+                    this.timer = this.state === MATCH_STATES.WARMUP ? this.warmupLeft : 0;
+                    this.shotClock = this.rules.shotClockSeconds;
+                    this.possession = null;
+                    this.emit('reset_ball', { position: this.inboundSpot, teamId: this.inboundTeam });
+                    this.emit('state');
+                }
+                break;
+
+            case MATCH_STATES.QUARTER_END:
+                this.timer -= dt;
+                if (this.timer <= 0) {
+                    this.quarter++;
+                    this.startQuarter();
+                }
+                break;
+
+            case MATCH_STATES.FINAL:
+                this.timer -= dt;
+                if (this.timer <= 0) {
+                    this.reset();
+                    this.emit('reset_ball', { position: BALL_SPAWN });
+                    this.emit('state');
+                }
+                break;
+        }
+    }
+
+    startQuarter() {
+        this.state = MATCH_STATES.LIVE;
+        this.timer = 0;
+        this.gameClock = this.rules.quarterSeconds;
+        this.shotClock = this.rules.shotClockSeconds;
+        this.possession = null;
+        this.emit('reset_ball', { position: BALL_SPAWN }); // Jump ball at centre
+        this.emit('state');
+    }
+
+    endQuarter() {
+        this.possession = null;
+        if (this.quarter >= this.rules.quarters) {
+            this.state = MATCH_STATES.FINAL;
+            this.timer = this.rules.finalSeconds;
+        } else {
+            this.state = MATCH_STATES.QUARTER_END;
+            this.timer = this.rules.quarterBreakSeconds;
+        }
+        this.emit('state');
+    }
+
+    // Stops play for a moment, then the ball is placed at `spot` for `teamId` to inbound
+    deadBall(spot, teamId = null, seconds = this.rules.inboundSeconds) {
+        this.resumeState = this.state;
+        this.state = MATCH_STATES.INBOUND;
+        this.timer = seconds;
+        this.inboundSpot = spot;
+        this.inboundTeam = teamId;
+        this.emit('state');
+    }
+
+    // teamId loses the ball (violation); the other team inbounds near `spot`
+    turnover(teamId, type, spot, playerId = null) {
+        if (this.state !== MATCH_STATES.LIVE) return;
+        this.emit('violation', { type, teamId, playerId });
+        this.sideOut(teamId, spot);
+    }
+
+    // A player of teamId committed a foul: the other team inbounds near `spot`
+    foul(teamId, type, spot, playerId) {
+        if (this.state !== MATCH_STATES.LIVE) return;
+        this.emit('foul', { type, teamId, playerId });
+        this.sideOut(teamId, spot);
+    }
+
+    sideOut(teamId, spot) {
+        const inboundSpot = clampToCourt(spot);
+        inboundSpot.y = 1;
+        this.deadBall(inboundSpot, teamId ? getOpponent(teamId) : null);
+    }
+
+    // Ball went down through hoop `hoopIndex`.
+    // shot = { shooterId, teamId, origin } from the last release, or null.
+    // goaltenderId: the defender whose touch awarded it, if it never went in.
+    // Returns the points awarded (0 during warmup).
+    registerBasket(hoopIndex, shot, goaltenderId = null) {
+        if (!this.isBallLive()) return 0;
+
+        // Points go to the team attacking this hoop, whoever released the ball
+        const hoop = HOOPS[hoopIndex];
+        const teamId = getOpponent(hoop.teamId);
+        const counted = this.state === MATCH_STATES.LIVE;
+        const points = shot && shot.origin && isBehindArc(shot.origin, hoop) ? 3 : 2;
+        const shooterId = shot && shot.teamId === teamId ? shot.shooterId : null;
+        if (counted) this.score[teamId] += points;
+
+        this.emit('basket', { hoopIndex, teamId, shooterId, points, counted, goaltenderId });
+
+        // Team scored on inbounds from under its hoop
+        const zDir = hoop.facingForward ? 1 : -1;
+        const spot = { x: hoop.rimCenter.x, y: 1, z: hoop.rimCenter.z + 2 * zDir };
+        if (counted) this.deadBall(spot, hoop.teamId, this.rules.replaySeconds);
+        else this.deadBall(spot);
+        return counted ? points : 0;
+    }
+
+    // Called whenever a team gains the ball; a new possession resets the shot clock
+    setPossession(teamId) {
+        if (teamId === null || teamId === this.possession) return;
+        this.possession = teamId;
+        this.shotClock = this.rules.shotClockSeconds;
+        this.emit('state');
+    }
+
+    getSnapshot() {
+        return {
+            state: this.state,
+            quarter: this.quarter,
+            quarters: this.rules.quarters,
+            gameClock: this.gameClock,
+            shotClock: this.shotClock,
+            timer: Math.max(0, this.timer),
+            score: { ...this.score },
+            running: this.state === MATCH_STATES.LIVE, // Clients tick clocks locally while true
+            shotClockRunning: this.state === MATCH_STATES.LIVE && this.possession !== null
+        };
+    }
+}
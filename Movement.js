@@ -0,0 +1,204 @@
+// Shared player movement on plain {x, y, z} objects (no DOM, no THREE).
+// The client runs it to predict the local Player, the server runs it on
+// the same inputs to get the authoritative position.
+
+export const MOVEMENT = {
+    speed: 6.0,
+    sprintMultiplier: 1.7, // ~10.2 speed when sprinting
+    jumpForce: 12.0,
+    gravity: 30.0,
+    damping: 10.0,
+    acceleration: 200.0, // High acceleration for snappy movement
+    height: 1.6, // Eye height; the body box hangs below the position
+    width: 0.6, // Player is a 0.6x1.6x0.6 box conceptually
+    maxStamina: 60,
+    staminaDrainRate: 30, // Per second
+    staminaRegenRate: 15, // Per second
+    maxInputDt: 0.1 // Longest frame a single input may cover
+};
+
+// Limits the server holds every player to
+export const MAX_HORIZONTAL_SPEED = MOVEMENT.speed * MOVEMENT.sprintMultiplier;
+export const MAX_JUMP_HEIGHT = (MOVEMENT.jumpForce ** 2) / (2 * MOVEMENT.gravity); // ~2.4m
+
+export function createMovementState(position) {
+    return {
+        position: { x: position.x, y: position.y, z: position.z },
+        velocity: { x: 0, y: 0, z: 0 },
+        onGround: false,
+        stamina: MOVEMENT.maxStamina
+    };
+}
+
+// Look rotation as a quaternion (Euler order YXZ, like the camera)
+export function quaternionFromYawPitch(yaw, pitch, out) {
+    const c1 = Math.cos(pitch / 2);
+    const s1 = Math.sin(pitch / 2);
+    const c2 = Math.cos(yaw / 2);
+    const s2 = Math.sin(yaw / 2);
+    out.x = s1 * c2;
+    out.y = c1 * s2;
+    out.z = -s1 * s2;
+    out.w = c1 * c2;
+    return out;
+}
+
+// Advances state by one input frame.
+// input = { dt, forward, backward, left, right, sprint, jump, yaw }
+export function stepMovement(state, input, colliders) {
+    const dt = Math.min(Math.max(input.dt, 0), MOVEMENT.maxInputDt);
+    const velocity = state.velocity;
+    const moving = input.forward || input.backward || input.left || input.right;
+
+    // --- 1. Jump, Damping & Gravity ---
+    if (input.jump && state.onGround) velocity.y = MOVEMENT.jumpForce;
+
+    velocity.x -= velocity.x * MOVEMENT.damping * dt;
+    velocity.z -= velocity.z * MOVEMENT.damping * dt;
+    velocity.y -= MOVEMENT.gravity * dt; // Gravity always applies
+
+    // --- 2. Stamina & Input ---
+    let usingSprint = false;
+    if (input.sprint && state.stamina > 0) {
+        if (moving) {
+            usingSprint = true;
+            state.stamina = Math.max(0, state.stamina - MOVEMENT.staminaDrainRate * dt);
+        }
+    } else {
+        state.stamina = Math.min(MOVEMENT.maxStamina, state.stamina + MOVEMENT.staminaRegenRate * dt);
+    }
+
+    const targetSpeed = MOVEMENT.speed * (usingSprint ? MOVEMENT.sprintMultiplier : 1.0);
+
+    // Camera-forward movement projected on the floor (only yaw matters)
+    const sin = Math.sin(input.yaw);
+    const cos = Math.cos(input.yaw);
+    let dirX = 0;
+    let dirZ = 0;
+    if (input.forward) { dirX -= sin; dirZ -= cos; }
+    if (input.backward) { dirX += sin; dirZ += cos; }
+    if (input.right) { dirX += cos; dirZ -= sin; }
+    if (input.left) { dirX -= cos; dirZ += sin; }
+
+    const dirLen = Math.sqrt(dirX * dirX + dirZ * dirZ);
+    if (dirLen > 0) {
+        velocity.x += (dirX / dirLen) * MOVEMENT.acceleration * dt;
+        velocity.z += (dirZ / dirLen) * MOVEMENT.acceleration * dt;
+    }
+
+    // Cap horizontal speed
+    const horizSpeed = Math.sqrt(velocity.x ** 2 + velocity.z ** 2);
+    if (horizSpeed > targetSpeed) {
+        const ratio = targetSpeed / horizSpeed;
+        velocity.x *= ratio;
+        velocity.z *= ratio;
+    }
+
+    // --- 3. Sequential Axis Collision Resolution ---
+    state.onGround = false; // Reset, prove grounded in Y check
+
+    state.position.x += velocity.x * dt;
+    resolvePlayerCollisions(state, colliders, 'x');
+
+    state.position.z += velocity.z * dt;
+    resolvePlayerCollisions(state, colliders, 'z');
+
+    state.position.y += velocity.y * dt;
+    resolvePlayerCollisions(state, colliders, 'y');
+
+    // Floor Safety (Fall Limit)
+    if (state.position.y < -20) {
+        state.position.x = 0;
+        state.position.y = 5;
+        state.position.z = 5;
+        velocity.x = 0;
+        velocity.y = 0;
+        velocity.z = 0;
+    }
+
+    return state;
+}
+
+const playerBox = { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+
+function updatePlayerBox(pos) {
+    const w = MOVEMENT.width / 2;
+    playerBox.min.x = pos.x - w; playerBox.min.y = pos.y - MOVEMENT.height; playerBox.min.z = pos.z - w;
+    playerBox.max.x = pos.x + w; playerBox.max.y = pos.y; playerBox.max.z = pos.z + w;
+}
+
+// Resolves only the axis that just moved; this prevents "corner sliding"
+export function resolvePlayerCollisions(state, colliders, axis) {
+    const pos = state.position;
+    const velocity = state.velocity;
+    updatePlayerBox(pos);
+
+    for (const box of colliders) {
+        const overlapX = Math.min(playerBox.max.x, box.max.x) - Math.max(playerBox.min.x, box.min.x);
+        const overlapY = Math.min(playerBox.max.y, box.max.y) - Math.max(playerBox.min.y, box.min.y);
+        const overlapZ = Math.min(playerBox.max.z, box.max.z) - Math.max(playerBox.min.z, box.min.z);
+
+        // Ignore separated boxes and tiny touches (floating point error)
+        if (overlapX < 0.001 || overlapY < 0.001 || overlapZ < 0.001) continue;
+
+        if (axis === 'x') {
+            // Push opposite to velocity if moving, else away from the box center
+            const dir = pos.x - (box.min.x + box.max.x) / 2;
+            const sign = (velocity.x !== 0) ? -Math.sign(velocity.x) : Math.sign(dir);
+            pos.x += overlapX * sign;
+            velocity.x = 0;
+        } else if (axis === 'z') {
+            const dir = pos.z - (box.min.z + box.max.z) / 2;
+            const sign = (velocity.z !== 0) ? -Math.sign(velocity.z) : Math.sign(dir);
+            pos.z += overlapZ * sign;
+            velocity.z = 0;
+        } else if (pos.y - MOVEMENT.height / 2 >= (box.min.y + box.max.y) / 2) {
+            // Body above the box's middle: landed, or resting overlap (spawn
+            // or jitter) - push UP out of it
+            pos.y += overlapY;
+            state.onGround = true;
+            if (velocity.y < 0) velocity.y = 0;
+        } else {
+            // Head hit (also while already falling, e.g. under the rim) - push
+            // DOWN so thin boxes overhead never lift the player on top of them
+            pos.y -= overlapY;
+            if (velocity.y > 0) velocity.y = 0;
+        }
+
+        // Re-update box after correction to prevent double correction
+        updatePlayerBox(pos);
+    }
+}
+
+// --- Player vs player ---
+// Bodies are upright capsules, radius half the body width, from the feet
+// to the eyes. Pushes are horizontal only: nobody stands on a head.
+
+const CAPSULE_RADIUS = MOVEMENT.width / 2;
+const bodyContact = { depth: 0, nx: 0, nz: 0 };
+
+// Pushes two overlapping players (eye positions) apart: a by shareA of the
+// overlap, b by the rest. Returns the contact (normal from b towards a) or null.
+export function separateBodies(a, b, shareA = 0.5) {
+    const reach = 2 * CAPSULE_RADIUS;
+    // Vertical gap between the capsules' core segments
+    const gapY = Math.max(0, Math.abs(a.y - b.y) - (MOVEMENT.height - reach));
+    if (gapY >= reach) return null;
+
+    const dx = a.x - b.x;
+    const dz = a.z - b.z;
+    const flat = Math.sqrt(dx * dx + dz * dz);
+    const depth = Math.sqrt(reach * reach - gapY * gapY) - flat;
+    if (depth <= 0) return null;
+
+    // Exactly on top of each other: any direction will do
+    bodyContact.nx = flat > 1e-6 ? dx / flat : 1;
+    bodyContact.nz = flat > 1e-6 ? dz / flat : 0;
+    bodyContact.depth = depth;
+
+    a.x += bodyContact.nx * depth * shareA;
+    a.z += bodyContact.nz * depth * shareA;
+    b.x -= bodyContact.nx * depth * (1 - shareA);
+    b.z -= bodyContact.nz * depth * (1 - shareA);
+    return bodyContact;
+}
@@ -0,0 +1,431 @@
+// Shared ball physics on plain {x, y, z} objects (no DOM, no THREE).
+// Ball, Trajectory, Bot and the Node server all integrate through here,
+// so the preview arc and the bot's aim match the real flight.
+// THREE.Vector3 / Box3 work too since only x, y, z (and min/max) are read.
+
+import { MOVEMENT } from './Movement.js';
+
+export const BALL = {
+    radius: 0.15,
+    gravity: 15.0,
+    drag: 0.5,
+    restitution: 0.8, // Bounciness
+    boardRestitution: 0.7, // Backboard: bounces the normal speed only (no spin, no friction)
+    rimRestitution: 0.55,
+    friction: 2.0,
+    subStepSize: 0.01, // 10ms steps
+    maxFlightTime: 5.0 // Shot solver gives up after this long in the air
+};
+
+// Ball handling rules shared by Player and the server
+export const HANDLING = {
+    pickupRange: 2.0,
+    stealRange: 3.0,
+    stealDot: 0.9, // ~25 degree cone
+    throwCooldown: 0.5, // Prevent instant pickup after a shot
+    minPower: 10,
+    maxPower: 35,
+    holdDistance: 1.0, // 1m in front of the eyes
+    holdDrop: 0.2 // Slightly down
+};
+
+// Passes: aim assist picks the receiver, the server throws the ball to them
+export const PASSING = {
+    maxDistance: 18,
+    assistAngle: 20, // Degrees off the crosshair a teammate can be and still get the pass
+    chestAngles: [5, 15, 25], // Release angles tried in order (degrees)
+    lobAngles: [40, 50],
+    minSpeed: 4,
+    catchWindow: 1.5, // Seconds the receiver catches the ball on contact
+    catchRange: 1.2, // Ball this close to the receiver's body is caught...
+    interceptRange: 0.6 // ...and this close to a defender's body is picked off
+};
+
+// Shot meter and accuracy. Holding the mouse fills the meter (the release
+// speed, minPower to maxPower); the server judges the release against the
+// speed the aim needed and adds a random spread for how hard the shot was.
+export const SHOOTING = {
+    fillTime: 2.0, // Seconds from an empty to a full meter
+    perfectWindow: 0.03, // Meter fraction either side of the ideal release
+    goodWindow: 0.08,
+    perfectSpreadScale: 0.5, // A perfect release halves the spread
+    baseSpread: 0.5, // Degrees, for an open shot standing still
+    freeDistance: 3, // Metres from the rim before distance starts to count...
+    distanceSpread: 0.15, // ...then degrees per metre
+    movingSpread: 2.5, // At full sprint
+    tiredStamina: 0.5, // Share of the tank below which fatigue starts to count...
+    fatigueSpread: 2.0, // ...up to this with none left
+    contestSpread: 3.0, // A defender right in the shooter's face
+    contestRadius: 2.5
+};
+
+export function boxesIntersect(a, b) {
+    return a.min.x <= b.max.x && a.max.x >= b.min.x &&
+        a.min.y <= b.max.y && a.max.y >= b.min.y &&
+        a.min.z <= b.max.z && a.max.z >= b.min.z;
+}
+
+export function getBallBox(position, out) {
+    const r = BALL.radius;
+    out.min.x = position.x - r; out.min.y = position.y - r; out.min.z = position.z - r;
+    out.max.x = position.x + r; out.max.y = position.y + r; out.max.z = position.z + r;
+    return out;
+}
+
+// Camera forward (0, 0, -1) rotated by a quaternion
+export function getForward(q, out) {
+    // v' = v + 2w(q x v) + 2q x (q x v), with v = (0, 0, -1)
+    const x = -2 * (q.x * q.z + q.w * q.y);
+    const y = -2 * (q.y * q.z - q.w * q.x);
+    const z = -(1 - 2 * (q.x * q.x + q.y * q.y));
+    const len = Math.sqrt(x * x + y * y + z * z) || 1;
+    out.x = x / len;
+    out.y = y / len;
+    out.z = z / len;
+    return out;
+}
+
+// Where a player carries the ball, given their eye position and look rotation
+export function getHoldPosition(position, quaternion, out) {
+    const dir = getForward(quaternion, out);
+    out.x = position.x + dir.x * HANDLING.holdDistance;
+    out.y = position.y + dir.y * HANDLING.holdDistance - HANDLING.holdDrop;
+    out.z = position.z + dir.z * HANDLING.holdDistance;
+    return out;
+}
+
+// Dribbling: the ball bounces between the hand (in front of the player and
+// to the right, at waist height) and the floor
+export const DRIBBLE = {
+    handForward: 0.5,
+    handSide: 0.35,
+    handDrop: 0.7, // Below the eyes
+    pushSpeed: 4.5, // Down from the hand on every bounce
+    catchBelow: 0.1 // The hand meets a rising ball this far under it
+};
+
+export function getDribbleHand(position, quaternion, out) {
+    const dir = getForward(quaternion, out);
+    const len = Math.sqrt(dir.x * dir.x + dir.z * dir.z) || 1;
+    const fx = dir.x / len;
+    const fz = dir.z / len;
+    // Right of the flat forward (fx, fz) is (-fz, fx)
+    out.x = position.x + fx * DRIBBLE.handForward - fz * DRIBBLE.handSide;
+    out.y = position.y - DRIBBLE.handDrop;
+    out.z = position.z + fz * DRIBBLE.handForward + fx * DRIBBLE.handSide;
+    return out;
+}
+
+// Advances a dribbled ball: it stays under the hand while its height runs
+// through the usual ball physics (gravity, floor bounce)
+export function stepDribble(ball, hand, delta, colliders) {
+    const position = ball.position;
+    const velocity = ball.velocity;
+
+    // Back up at the hand: push it down again
+    if (velocity.y >= 0 && position.y >= hand.y - DRIBBLE.catchBelow) {
+        position.y = hand.y;
+        velocity.y = -DRIBBLE.pushSpeed;
+    }
+
+    position.x = hand.x;
+    position.z = hand.z;
+    velocity.x = 0;
+    velocity.z = 0;
+    simulateBall(ball, delta, colliders);
+    position.x = hand.x;
+    position.z = hand.z;
+}
+
+// One fixed physics step. ball = { position, velocity }, colliders = [{ min, max }]
+// boxes and rims (kind 'rim', see Court.createTorusData). Returns the last
+// collider the ball touched, or null.
+const ballBox = { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+const potentialPos = { x: 0, y: 0, z: 0 };
+
+export function stepBall(ball, dt, colliders) {
+    const velocity = ball.velocity;
+
+    // Apply Gravity
+    velocity.y -= BALL.gravity * dt;
+
+    // Air Resistance (Drag)
+    velocity.x -= velocity.x * BALL.drag * dt;
+    velocity.z -= velocity.z * BALL.drag * dt;
+
+    // Move
+    potentialPos.x = ball.position.x + velocity.x * dt;
+    potentialPos.y = ball.position.y + velocity.y * dt;
+    potentialPos.z = ball.position.z + velocity.z * dt;
+
+    let touched = null;
+
+    for (const collider of colliders) {
+        const hit = collider.kind === 'rim'
+            ? resolveRimCollision(potentialPos, velocity, collider)
+            : resolveBallCollision(potentialPos, velocity, collider, dt);
+        if (hit) touched = collider;
+    }
+
+    ball.position.x = potentialPos.x;
+    ball.position.y = potentialPos.y;
+    ball.position.z = potentialPos.z;
+
+    return touched;
+}
+
+// AABB resolution of the ball (at position) against one box.
+// Pushes position out along the axis of least penetration and reflects velocity.
+export function resolveBallCollision(position, velocity, box, dt) {
+    getBallBox(position, ballBox);
+    if (!boxesIntersect(ballBox, box)) return false;
+
+    // Minimum Translation Vector: push out along the axis of least penetration
+    const overlapX = Math.min(ballBox.max.x, box.max.x) - Math.max(ballBox.min.x, box.min.x);
+    const overlapY = Math.min(ballBox.max.y, box.max.y) - Math.max(ballBox.min.y, box.min.y);
+    const overlapZ = Math.min(ballBox.max.z, box.max.z) - Math.max(ballBox.min.z, box.min.z);
+
+    let axis = 'y';
+    let minOverlap = overlapY;
+    if (overlapX < minOverlap) {
+        minOverlap = overlapX;
+        axis = 'x';
+    }
+    if (overlapZ < minOverlap) {
+        minOverlap = overlapZ;
+        axis = 'z';
+    }
+
+    // Normal points from box center towards the ball
+    const boxCenter = (box.min[axis] + box.max[axis]) / 2;
+    const sign = Math.sign(position[axis] - boxCenter);
+    position[axis] += minOverlap * sign;
+
+    // Reflect Velocity
+    const dot = velocity[axis] * sign;
+    if (dot < 0 && box.kind === 'board') {
+        // Bank shots: the ball keeps its speed along the glass
+        velocity[axis] -= (1 + BALL.boardRestitution) * dot * sign;
+    } else if (dot < 0) {
+        velocity[axis] -= 2 * dot * sign;
+        velocity.x *= BALL.restitution;
+        velocity.y *= BALL.restitution;
+        velocity.z *= BALL.restitution;
+
+        // Friction (only when hitting floor/top)
+        if (axis === 'y') {
+            velocity.x -= velocity.x * BALL.friction * dt;
+            velocity.z -= velocity.z * BALL.friction * dt;
+        }
+    }
+
+    return true;
+}
+
+// Sphere vs torus: rim = { center, radius, tube }, a ring lying flat. Pushes
+// the ball out along the contact normal and bounces the normal speed.
+export function resolveRimCollision(position, velocity, rim) {
+    const reach = rim.tube + BALL.radius;
+    const dx = position.x - rim.center.x;
+    const dy = position.y - rim.center.y;
+    const dz = position.z - rim.center.z;
+    if (Math.abs(dy) >= reach) return false;
+
+    const flat = Math.sqrt(dx * dx + dz * dz);
+    if (Math.abs(flat - rim.radius) >= reach) return false;
+
+    // From the nearest point of the ring's centre line to the ball
+    const ringX = flat > 1e-6 ? (dx / flat) * rim.radius : rim.radius;
+    const ringZ = flat > 1e-6 ? (dz / flat) * rim.radius : 0;
+    const nx = dx - ringX;
+    const nz = dz - ringZ;
+    const dist = Math.sqrt(nx * nx + dy * dy + nz * nz);
+    if (dist >= reach || dist < 1e-9) return false;
+
+    const ux = nx / dist;
+    const uy = dy / dist;
+    const uz = nz / dist;
+    const push = reach - dist;
+    position.x += ux * push;
+    position.y += uy * push;
+    position.z += uz * push;
+
+    const dot = velocity.x * ux + velocity.y * uy + velocity.z * uz;
+    if (dot < 0) {
+        const bounce = (1 + BALL.rimRestitution) * dot;
+        velocity.x -= bounce * ux;
+        velocity.y -= bounce * uy;
+        velocity.z -= bounce * uz;
+    }
+    return true;
+}
+
+// Players in the ball's way: the body box, plus raised hands above the head
+// while airborne (blocks)
+export const BLOCKING = {
+    headroom: 0.1, // Body box reaches this far above the eyes
+    handReach: 0.7, // Raised hands above the eyes
+    handSpan: 1.0, // Width of the raised-hands box
+    goaltendRadius: 0.6 // Touching a falling shot above the rim this close to its centre
+};
+
+// Hitbox of a player (eye position) part: 'body' or 'hands'
+export function getPlayerHitbox(position, part, out) {
+    const w = (part === 'hands' ? BLOCKING.handSpan : MOVEMENT.width) / 2;
+    out.min.x = position.x - w; out.max.x = position.x + w;
+    out.min.z = position.z - w; out.max.z = position.z + w;
+    if (part === 'hands') {
+        out.min.y = position.y + BLOCKING.headroom;
+        out.max.y = position.y + BLOCKING.handReach;
+    } else {
+        out.min.y = position.y - MOVEMENT.height;
+        out.max.y = position.y + BLOCKING.headroom;
+    }
+    return out;
+}
+
+// Bounces the ball off player bodies (after a stepBall).
+// bodies = [{ position, airborne }]; returns the first contact or null
+const hitbox = { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+const contact = { body: null, part: null, falling: false };
+
+export function collideBallWithPlayers(ball, bodies, dt) {
+    const falling = ball.velocity.y < 0;
+    let touched = null;
+
+    for (const body of bodies) {
+        for (const part of body.airborne ? ['hands', 'body'] : ['body']) {
+            getPlayerHitbox(body.position, part, hitbox);
+            if (!resolveBallCollision(ball.position, ball.velocity, hitbox, dt) || touched) continue;
+            touched = contact;
+            contact.body = body;
+            contact.part = part;
+            contact.falling = falling;
+        }
+    }
+    return touched;
+}
+
+// Advances the ball by delta using fixed sub-steps, like Ball.update
+export function simulateBall(ball, delta, colliders) {
+    let remainingTime = delta;
+    let collided = false;
+
+    while (remainingTime > 0) {
+        const dt = Math.min(remainingTime, BALL.subStepSize);
+        remainingTime -= dt;
+        if (stepBall(ball, dt, colliders)) collided = true;
+    }
+
+    return collided;
+}
+
+// Launch velocity for a fixed launch angle so that the ball, integrated with
+// the same sub-steps as simulateBall (gravity + drag), passes through target.
+// Returns null if the target cannot be reached at that angle.
+export function solveShotVelocity(start, target, angleDeg = 60, out = { x: 0, y: 0, z: 0 }) {
+    const dx = target.x - start.x;
+    const dz = target.z - start.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const height = target.y - start.y;
+    if (distance < 0.001) return null;
+
+    const angle = angleDeg * (Math.PI / 180);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    // Height of the ball when it has travelled `distance` horizontally
+    const heightAtTarget = (speed) => {
+        const dt = BALL.subStepSize;
+        let vh = speed * cos;
+        let vy = speed * sin;
+        let d = 0;
+        let h = 0;
+
+        for (let t = 0; t < BALL.maxFlightTime; t += dt) {
+            vy -= BALL.gravity * dt;
+            vh -= vh * BALL.drag * dt;
+
+            const prevD = d;
+            const prevH = h;
+            d += vh * dt;
+            h += vy * dt;
+
+            if (d >= distance) {
+                const f = (distance - prevD) / (d - prevD);
+                return prevH + (h - prevH) * f;
+            }
+        }
+        return -Infinity; // Drag stopped it short
+    };
+
+    // Height at the target grows with speed for a fixed angle: bisect
+    let low = 0;
+    let high = HANDLING.maxPower * 2;
+    if (heightAtTarget(high) < height) return null;
+
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (heightAtTarget(mid) < height) low = mid;
+        else high = mid;
+    }
+
+    const speed = high;
+    out.x = (dx / distance) * speed * cos;
+    out.y = speed * sin;
+    out.z = (dz / distance) * speed * cos;
+    return out;
+}
+
+// Launch velocity of a pass ('chest' or 'lob') from start to target, at the
+// first release angle that needs a throwable speed; null if none does
+export function solvePassVelocity(start, target, type, out = { x: 0, y: 0, z: 0 }) {
+    const angles = type === 'lob' ? PASSING.lobAngles : PASSING.chestAngles;
+    for (const angle of angles) {
+        if (!solveShotVelocity(start, target, angle, out)) continue;
+        const speed = Math.sqrt(out.x * out.x + out.y * out.y + out.z * out.z);
+        if (speed >= PASSING.minSpeed && speed <= HANDLING.maxPower) return out;
+    }
+    return null;
+}
+
+// Meter fraction that sends a shot along `direction` (its elevation) from
+// start through target; null if no release speed on the meter does
+export function getIdealRelease(start, direction, target) {
+    const len = Math.sqrt(direction.x ** 2 + direction.y ** 2 + direction.z ** 2) || 1;
+    const elevation = Math.asin(direction.y / len) * (180 / Math.PI);
+    if (elevation <= 0) return null;
+
+    const velocity = solveShotVelocity(start, target, elevation);
+    if (!velocity) return null;
+    const speed = Math.sqrt(velocity.x ** 2 + velocity.y ** 2 + velocity.z ** 2);
+    const ideal = (speed - HANDLING.minPower) / (HANDLING.maxPower - HANDLING.minPower);
+    return ideal >= 0 && ideal <= 1 ? ideal : null;
+}
+
+// 'perfect', 'good', 'early' (too little on the meter) or 'late'; null when
+// the aim had no ideal release
+export function judgeRelease(meter, ideal) {
+    if (ideal === null) return null;
+    const error = meter - ideal;
+    if (Math.abs(error) <= SHOOTING.perfectWindow) return 'perfect';
+    if (Math.abs(error) <= SHOOTING.goodWindow) return 'good';
+    return error < 0 ? 'early' : 'late';
+}
+
+// Standard normal sample (Box-Muller)
+export function gaussian() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// Random aim error (degrees) of a shot. distance in metres; moving (share of
+// sprint speed), fatigue (how far into the tired part of the tank) and
+// contest are 0 to 1
+export function getShotSpread({ distance, moving, fatigue, contest, timing }) {
+    const spread = SHOOTING.baseSpread +
+        Math.max(0, distance - SHOOTING.freeDistance) * SHOOTING.distanceSpread +
+        moving * SHOOTING.movingSpread +
+        fatigue * SHOOTING.fatigueSpread +
+        contest * SHOOTING.contestSpread;
+    return timing === 'perfect' ? spread * SHOOTING.perfectSpreadScale : spread;
+}
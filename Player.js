@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 import { Trajectory } from './Trajectory.js';
+import { HANDLING, PASSING, SHOOTING, getHoldPosition, getDribbleHand, stepDribble, getIdealRelease } from './Physics.js';
+import { getNearestHoop } from './Court.js';
+import { MOVEMENT, createMovementState, stepMovement, separateBodies } from './Movement.js';
+import { quantizeInput } from './Protocol.js';
 
 export class Player {
     constructor(camera, scene) {
@@ -7,23 +11,34 @@ export class Player {
         this.scene = scene;
         this.ball = null; // Reference to the shared ball
         this.hasBall = false;
+        this.dribbling = false;
+        this.hasDribbled = false; // Picking the ball up after this ends the dribble for good
+        this.dribbleHand = new THREE.Vector3();
 
         // Trajectory Helper
         this.trajectory = new Trajectory(this.scene);
 
-        // Parameters
-        this.speed = 10.0;
-        this.runSpeed = 18.0;
-        this.jumpForce = 12.0;
-        this.gravity = 30.0;
+        // Parameters (shared with the server via Movement.js)
+        this.speed = MOVEMENT.speed;
+        this.sprintMultiplier = MOVEMENT.sprintMultiplier;
+        this.jumpForce = MOVEMENT.jumpForce;
 
         // Dimensions
-        this.height = 1.6;
-        this.width = 0.6; // Player is a 0.6x1.6x0.6 box conceptually
+        this.height = MOVEMENT.height;
+        this.width = MOVEMENT.width;
 
-        // State
+        // State: the camera position IS the predicted player position
         this.velocity = new THREE.Vector3();
-        this.onGround = false;
+        this.state = createMovementState(this.camera.position);
+        this.state.position = this.camera.position;
+        this.state.velocity = this.velocity;
+
+        // Prediction: inputs not yet acknowledged by the server
+        this.inputSeq = 0;
+        this.pendingInputs = [];
+        this.jumpQueued = false;
+        this.dtCarry = 0; // Frame time lost to input quantization, added to the next input
+        this.onInput = null; // (input) wired by Game, sends it to the server
 
         // Input State
         this.moveForward = false;
@@ -32,66 +47,96 @@ export class Player {
         this.moveRight = false;
         this.canJump = false;
         this.isRunning = false;
-        this.currentPower = 20.0; // Default power via +/-
+        this.currentPower = HANDLING.minPower; // Shot meter: fills while the mouse is held
+        this.charging = false;
+        this.chargeTime = 0;
         this.showTrajectory = true; // Default ON
         this.throwCooldown = 0.0; // Prevent instant pickup
+        this.pickupRequestTimer = 0.0; // Throttle pickup requests to the server
 
-        // Stamina System
-        this.maxStamina = 60;
-        this.stamina = 60;
-        this.staminaDrainRate = 30; // Per second
-        this.staminaRegenRate = 15; // Per second
-
-        // Sprinting
-        this.speed = 6.0;
-        this.sprintMultiplier = 1.7; // ~10.2 speed when sprinting
+        // Network intents (wired by Game). The server decides the outcome.
+        this.onShoot = null; // (direction, power)
+        this.onPickupRequest = null;
+        this.onStealRequest = null;
+        this.onPass = null; // (targetId, type)
+        this.onNoPassTarget = null; // Pass pressed with nobody to throw to
+        this.getPassTargets = null; // () => [{ id, position }] of teammates, wired by Game
+        this.inputBlocked = false; // True while menus (lobby) are open
 
-        // Optimization: Reusable Vectors
-        this.tempVec = new THREE.Vector3();
-        this.tempDir = new THREE.Vector3();
-
-        // AABB Helpers (reused to avoid GC)
-        this.playerBox = new THREE.Box3();
-        this.elementBox = new THREE.Box3();
+        // Stamina System
+        this.maxStamina = MOVEMENT.maxStamina;
 
         this.initControls();
         this.setupCamera();
     }
 
+    get stamina() { return this.state.stamina; }
+    get onGround() { return this.state.onGround; }
+
     assignBall(ball) {
         this.ball = ball;
     }
 
+    // Hard placement (spawn); drops any unacknowledged inputs
+    setPosition(position) {
+        this.camera.position.set(position.x, position.y, position.z);
+        this.velocity.set(0, 0, 0);
+        this.pendingInputs = [];
+    }
+
+    // Server acknowledged inputs up to ack.seq at ack's authoritative state:
+    // rewind to it and replay what the server has not seen yet
+    reconcile(ack, collidables, bodies = []) {
+        this.pendingInputs = this.pendingInputs.filter((input) => input.seq > ack.seq);
+
+        this.camera.position.set(ack.position.x, ack.position.y, ack.position.z);
+        this.velocity.set(ack.velocity.x, ack.velocity.y, ack.velocity.z);
+        this.state.onGround = ack.onGround;
+        this.state.stamina = ack.stamina;
+
+        for (const input of this.pendingInputs) {
+            this.step(input, collidables, bodies);
+        }
+    }
+
+    // One predicted movement frame. Other players (eye positions) are solid;
+    // the server splits a push between both of us, we can only move ourselves.
+    step(input, collidables, bodies) {
+        stepMovement(this.state, input, collidables);
+        for (const position of bodies) separateBodies(this.state.position, position, 1);
+    }
+
     setupCamera() {
         this.camera.rotation.order = 'YXZ';
     }
 
     initControls() {
         document.addEventListener('click', () => {
+            if (this.inputBlocked) return;
             if (document.pointerLockElement !== document.body) {
                 document.body.requestPointerLock();
             }
         });
 
+        // Shot meter: hold to fill it, release to shoot
         document.addEventListener('mousedown', (e) => {
-            console.log("Mouse Down:", e.button, "Locked:", document.pointerLockElement === document.body);
             if (document.pointerLockElement === document.body && e.button === 0) {
-
-                // If has ball, throw it
                 if (this.hasBall && this.ball) {
-                    console.log("Shooting!");
-                    const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion).normalize();
-                    const velocity = dir.multiplyScalar(this.currentPower);
-
-                    this.ball.release(velocity);
-                    this.hasBall = false;
-                    this.throwCooldown = 0.5; // 0.5s cooldown
+                    this.charging = true;
+                    this.chargeTime = 0;
+                    this.currentPower = HANDLING.minPower;
                 } else {
                     console.log("Click ignored: No Ball or Ball ref null", this.hasBall, this.ball);
                 }
             }
         });
 
+        document.addEventListener('mouseup', (e) => {
+            if (e.button !== 0 || !this.charging) return;
+            this.charging = false;
+            if (this.hasBall && this.ball && document.pointerLockElement === document.body) this.shoot();
+        });
+
         document.addEventListener('mousemove', (event) => {
             if (document.pointerLockElement === document.body) {
                 this.camera.rotation.y -= event.movementX * 0.002;
@@ -109,7 +154,7 @@ export class Player {
                 case 'ArrowLeft': case 'KeyA': this.moveLeft = true; break;
                 case 'ArrowDown': case 'KeyS': this.moveBackward = true; break;
                 case 'ArrowRight': case 'KeyD': this.moveRight = true; break;
-                case 'Space': if (this.onGround) this.velocity.y = this.jumpForce; break;
+                case 'Space': this.jumpQueued = true; break; // Applied on the next input frame
                 case 'ShiftLeft': case 'ShiftRight': this.isRunning = true; break;
 
                 // New Controls
@@ -119,13 +164,14 @@ export class Player {
                 case 'KeyE':
                     this.attemptSteal();
                     break;
-                case 'Equal': // +
-                case 'NumpadAdd':
-                    this.currentPower = Math.min(this.currentPower + 35, 35);
+                case 'KeyQ':
+                    this.attemptPass('chest');
                     break;
-                case 'Minus': // -
-                case 'NumpadSubtract':
-                    this.currentPower = Math.max(this.currentPower - 1, 10);
+                case 'KeyF':
+                    this.attemptPass('lob');
+                    break;
+                case 'KeyC':
+                    this.toggleDribble();
                     break;
             }
         };
@@ -144,96 +190,50 @@ export class Player {
         document.addEventListener('keyup', (e) => onKeyUp(e.code));
     }
 
-    update(delta, collidables) {
+    update(delta, collidables, bodies = []) {
         if (document.pointerLockElement !== document.body) {
             this.velocity.set(0, 0, 0);
+            this.jumpQueued = false;
             return;
         }
 
-        // --- 1. Physics Constants & Damping ---
-        const damping = 10.0;
-        this.velocity.x -= this.velocity.x * damping * delta;
-        this.velocity.z -= this.velocity.z * damping * delta;
-        this.velocity.y -= this.gravity * delta; // Gravity always applies
-
-        // --- 2. Input Handling (Movement) ---
-        // Stamina Logic
-        let usingSprint = false;
-        if (this.isRunning && this.stamina > 0) {
-            // Moving?
-            if (this.moveForward || this.moveBackward || this.moveLeft || this.moveRight) {
-                usingSprint = true;
-                this.stamina -= this.staminaDrainRate * delta;
-                if (this.stamina < 0) this.stamina = 0;
-            }
-        } else {
-            this.stamina += this.staminaRegenRate * delta;
-            if (this.stamina > this.maxStamina) this.stamina = this.maxStamina;
-        }
-
-        const targetSpeed = this.speed * (usingSprint ? this.sprintMultiplier : 1.0);
-        const acceleration = 200.0; // High acceleration for snappy movement
-
-        // Strict Camera-Forward Movement (Y-projected)
-        // Optimization: Use this.tempVec and this.tempDir to avoid GC
-        this.tempDir.set(0, 0, 0);
-
-        // Forward
-        this.tempVec.set(0, 0, -1).applyQuaternion(this.camera.quaternion);
-        this.tempVec.y = 0;
-        this.tempVec.normalize();
-        if (this.moveForward) this.tempDir.add(this.tempVec);
-        if (this.moveBackward) this.tempDir.sub(this.tempVec);
-
-        // Right
-        this.tempVec.set(1, 0, 0).applyQuaternion(this.camera.quaternion);
-        this.tempVec.y = 0;
-        this.tempVec.normalize();
-        if (this.moveRight) this.tempDir.add(this.tempVec);
-        if (this.moveLeft) this.tempDir.sub(this.tempVec);
-
-        if (this.tempDir.lengthSq() > 0) {
-            this.tempDir.normalize();
-            this.velocity.x += this.tempDir.x * acceleration * delta;
-            this.velocity.z += this.tempDir.z * acceleration * delta;
-        }
-
-        // Cap horizontal speed
-        const currentHorizSpeed = Math.sqrt(this.velocity.x ** 2 + this.velocity.z ** 2);
-        if (currentHorizSpeed > targetSpeed) {
-            const ratio = targetSpeed / currentHorizSpeed;
-            this.velocity.x *= ratio;
-            this.velocity.z *= ratio;
-        }
-
-        // --- 3. Sequential Axis Collision Resolution ---
-        // We apply velocity and resolve collisions immediately per axis.
-        // If we are overlapping (even with V=0), we push out by Minimum Translations.
-
-        this.onGround = false; // Reset, prove grounded in Y check
-
-        // X Axis
-        this.camera.position.x += this.velocity.x * delta;
-        this.resolveCollisions(collidables, 'x');
-
-        // Z Axis
-        this.camera.position.z += this.velocity.z * delta;
-        this.resolveCollisions(collidables, 'z');
-
-        // Y Axis
-        this.camera.position.y += this.velocity.y * delta;
-        this.resolveCollisions(collidables, 'y');
+        // --- 1-3. Predicted Movement ---
+        // Sample this frame's input, run the shared movement step right away,
+        // and send the same input to the server with a sequence number
+        const input = {
+            seq: ++this.inputSeq,
+            dt: Math.min(delta + this.dtCarry, MOVEMENT.maxInputDt),
+            forward: this.moveForward,
+            backward: this.moveBackward,
+            left: this.moveLeft,
+            right: this.moveRight,
+            sprint: this.isRunning,
+            jump: this.jumpQueued,
+            yaw: this.camera.rotation.y,
+            pitch: this.camera.rotation.x
+        };
+        this.jumpQueued = false;
 
-        // Floor Safety (Fall Limit)
-        if (this.camera.position.y < -20) {
-            this.camera.position.set(0, 5, 5); // Respawn with offset
-            this.velocity.set(0, 0, 0);
-        }
+        // Predict with exactly what the server will receive
+        this.dtCarry = quantizeInput(input);
+        this.step(input, collidables, bodies);
+        this.pendingInputs.push(input);
+        if (this.pendingInputs.length > 600) this.pendingInputs.shift(); // No acks (server gone)
+        if (this.onInput) this.onInput(input);
 
         // --- 4. Ball Interaction ---
+        if (this.charging) {
+            if (!this.hasBall) this.charging = false; // Lost it mid-shot
+            this.chargeTime += delta;
+            const fill = Math.min(1, this.chargeTime / SHOOTING.fillTime);
+            this.currentPower = HANDLING.minPower + fill * (HANDLING.maxPower - HANDLING.minPower);
+        }
         if (this.throwCooldown > 0) {
             this.throwCooldown -= delta;
         }
+        if (this.pickupRequestTimer > 0) {
+            this.pickupRequestTimer -= delta;
+        }
 
         if (this.hasBall && this.ball) {
             // Check if we still own it (Bot might have stolen it)
@@ -242,21 +242,30 @@ export class Player {
                 return;
             }
 
-            // Carry Ball
-            // Position it in front of camera
-            const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion).normalize();
-            const holdPos = this.camera.position.clone().add(dir.multiplyScalar(1.0)); // 1m in front
-            holdPos.y -= 0.2; // Slightly down
-            this.ball.mesh.position.copy(holdPos);
+            // Setting off with a fresh ball starts the dribble (walking with it is travelling)
+            if (!this.hasDribbled && (input.forward || input.backward || input.left || input.right)) {
+                this.startDribble();
+            }
+
+            if (this.dribbling) {
+                getDribbleHand(this.camera.position, this.camera.quaternion, this.dribbleHand);
+                stepDribble(this.ball.state, this.dribbleHand, delta, collidables);
+            } else {
+                // Carry Ball
+                // Position it in front of camera
+                const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion).normalize();
+                const holdPos = this.camera.position.clone().add(dir.multiplyScalar(HANDLING.holdDistance)); // 1m in front
+                holdPos.y -= HANDLING.holdDrop; // Slightly down
+                this.ball.mesh.position.copy(holdPos);
+            }
         } else if (this.ball && !this.ball.owner) {
             // Check Pickup only if cooldown allows
-            if (this.throwCooldown <= 0) {
+            if (this.throwCooldown <= 0 && this.pickupRequestTimer <= 0) {
                 const dist = this.camera.position.distanceTo(this.ball.mesh.position);
-                if (dist < 2.0) {
-                    // Grab!
-                    console.log("Picked up ball!");
-                    this.ball.grab(this);
-                    this.hasBall = true;
+                if (dist < HANDLING.pickupRange) {
+                    // Ask the server, it grants ownership via ball_state
+                    this.pickupRequestTimer = 0.2;
+                    if (this.onPickupRequest) this.onPickupRequest();
                 }
             }
         }
@@ -264,87 +273,26 @@ export class Player {
         // --- 5. Trajectory Update ---
         if (this.showTrajectory && this.hasBall) {
             const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion).normalize();
-            const spawnPos = this.camera.position.clone().add(dir.clone().multiplyScalar(0.5));
             const velocity = dir.multiplyScalar(this.currentPower);
 
-            this.trajectory.update(spawnPos, velocity, collidables);
+            // Launch from the hold position, exactly where the real shot starts
+            this.trajectory.update(this.ball.mesh.position, velocity, collidables);
         } else {
             this.trajectory.setVisibility(false);
         }
     }
 
-    resolveCollisions(collidables, axis) {
-        const pos = this.camera.position;
-        const w = this.width / 2;
-        const h = this.height;
-
-        // Update Player Box
-        this.playerBox.set(
-            new THREE.Vector3(pos.x - w, pos.y - h, pos.z - w),
-            new THREE.Vector3(pos.x + w, pos.y, pos.z + w)
-        );
-
-        for (const object of collidables) {
-            if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
-            this.elementBox.copy(object.geometry.boundingBox).applyMatrix4(object.matrixWorld);
-
-            if (this.playerBox.intersectsBox(this.elementBox)) {
-                // Get Overlaps
-                const overlapX = Math.min(this.playerBox.max.x, this.elementBox.max.x) - Math.max(this.playerBox.min.x, this.elementBox.min.x);
-                const overlapY = Math.min(this.playerBox.max.y, this.elementBox.max.y) - Math.max(this.playerBox.min.y, this.elementBox.min.y);
-                const overlapZ = Math.min(this.playerBox.max.z, this.elementBox.max.z) - Math.max(this.playerBox.min.z, this.elementBox.min.z);
-
-                // Ignore tiny touches (floating point error)
-                if (Math.abs(overlapX) < 0.001 || Math.abs(overlapY) < 0.001 || Math.abs(overlapZ) < 0.001) continue;
-
-                // Resolve based on CURRENT AXIS of movement loop
-                // This prevents "corner sliding" by only correcting the component we just changed.
-
-                if (axis === 'x') {
-                    // If we moved X, correct X.
-                    if (overlapX > 0) {
-                        const dir = pos.x - this.elementBox.getCenter(this.tempVec).x;
-                        // Push away from center of box, OR opposite to velocity if moving
-                        const sign = (this.velocity.x !== 0) ? -Math.sign(this.velocity.x) : Math.sign(dir);
-
-                        pos.x += overlapX * sign;
-                        this.velocity.x = 0;
-                    }
-                } else if (axis === 'z') {
-                    if (overlapZ > 0) {
-                        const dir = pos.z - this.elementBox.getCenter(this.tempVec).z;
-                        const sign = (this.velocity.z !== 0) ? -Math.sign(this.velocity.z) : Math.sign(dir);
-
-                        pos.z += overlapZ * sign;
-                        this.velocity.z = 0;
-                    }
-                } else if (axis === 'y') {
-                    if (overlapY > 0) {
-                        // Check if we are moving down (landing) or up (hitting head)
-                        if (this.velocity.y < 0) {
-                            // Landed
-                            pos.y += overlapY;
-                            this.onGround = true;
-                            this.velocity.y = 0;
-                        } else if (this.velocity.y > 0) {
-                            // Head hit
-                            pos.y -= overlapY;
-                            this.velocity.y = 0;
-                        } else {
-                            // Resting overlap (spawn or jitter) - push UP out of floor
-                            pos.y += overlapY;
-                            this.onGround = true;
-                        }
-                    }
-                }
+    shoot() {
+        this.gatherBall();
+        const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion).normalize();
+        if (this.onShoot) this.onShoot(dir.clone(), this.currentPower);
 
-                // Re-update box after correction to prevent double correction
-                this.playerBox.set(
-                    new THREE.Vector3(pos.x - w, pos.y - h, pos.z - w),
-                    new THREE.Vector3(pos.x + w, pos.y, pos.z + w)
-                );
-            }
-        }
+        // Predict the release locally; the server adds the shot's spread and
+        // the prediction restarts from its release
+        const velocity = dir.multiplyScalar(this.currentPower);
+        this.ball.release(velocity);
+        this.hasBall = false;
+        this.throwCooldown = HANDLING.throwCooldown;
     }
 
     attemptSteal() {
@@ -352,27 +300,89 @@ export class Player {
 
         // Check Distance
         const dist = this.camera.position.distanceTo(this.ball.mesh.position);
-        if (dist > 3.0) return; // Must be close
+        if (dist > HANDLING.stealRange) return; // Must be close
 
-        // Check Aim
-        // Dot product of Camera Forward vs Dir to Ball
-        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion).normalize();
-        const toBall = this.ball.mesh.position.clone().sub(this.camera.position).normalize();
-        const dot = forward.dot(toBall);
-
-        if (dot > 0.9) { // ~25 degree cone
-            console.log("Stolen!");
-            this.ball.grab(this);
-            this.hasBall = true;
-            this.throwCooldown = 0.5; // Prevent instant throw? No, cooldown is for pickup.
+        // Server checks range and aim (~25 degree cone) before handing over
+        // the ball; a reach-in that misses counts as a missed steal
+        if (this.onStealRequest) this.onStealRequest();
+    }
+
+    attemptPass(type) {
+        if (!this.hasBall || !this.ball || document.pointerLockElement !== document.body) return;
+
+        const target = this.findPassTarget();
+        if (!target) {
+            if (this.onNoPassTarget) this.onNoPassTarget();
+            return;
+        }
+
+        // The server throws it (and may refuse); the ball follows its snapshots
+        this.gatherBall();
+        if (this.onPass) this.onPass(target.id, type);
+        this.throwCooldown = HANDLING.throwCooldown;
+    }
+
+    // C: pick up the dribble, or start one. Starting again after a pickup
+    // still goes to the server, which calls the double dribble
+    toggleDribble() {
+        if (!this.hasBall || document.pointerLockElement !== document.body) return;
+        if (this.dribbling) {
+            this.dribbling = false;
+            if (this.onDribble) this.onDribble(false);
+        } else if (this.hasDribbled) {
+            if (this.onDribble) this.onDribble(true);
         } else {
-            console.log("Steal Missed: Bad Aim", dot);
+            this.startDribble();
+        }
+    }
+
+    startDribble() {
+        if (this.dribbling || this.hasDribbled) return;
+        this.dribbling = true;
+        this.hasDribbled = true;
+        if (this.onDribble) this.onDribble(true);
+    }
+
+    // Ball back in both hands before a shot or pass, which start from there
+    gatherBall() {
+        this.dribbling = false;
+        getHoldPosition(this.camera.position, this.camera.quaternion, this.ball.mesh.position);
+    }
+
+    // Aim assist: the teammate closest to the crosshair, within assistAngle
+    findPassTarget() {
+        if (!this.getPassTargets) return null;
+
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion).normalize();
+        const toTarget = new THREE.Vector3();
+        let best = null;
+        let bestDot = Math.cos(PASSING.assistAngle * (Math.PI / 180));
+
+        for (const target of this.getPassTargets()) {
+            toTarget.copy(target.position).sub(this.camera.position);
+            const dist = toTarget.length();
+            if (dist < 0.5 || dist > PASSING.maxDistance) continue;
+
+            const dot = forward.dot(toTarget.divideScalar(dist));
+            if (dot > bestDot) {
+                best = target;
+                bestDot = dot;
+            }
         }
+        return best;
+    }
+
+    // Meter fraction to release at for the current aim (null: no good release)
+    getIdealRelease() {
+        if (!this.hasBall) return null;
+        const start = getHoldPosition(this.camera.position, this.camera.quaternion, new THREE.Vector3());
+        const dir = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        return getIdealRelease(start, dir, getNearestHoop(this.camera.position).rimCenter);
     }
 
     getPowerRatio() {
-        const min = 10;
-        const max = 35;
+        const min = HANDLING.minPower;
+        const max = HANDLING.maxPower;
         return (this.currentPower - min) / (max - min);
     }
 }
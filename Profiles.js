@@ -0,0 +1,194 @@
+// Player profiles (server only): a display name and a secret token the
+// browser keeps, so a player is the same person across reconnects (socket
+// ids are not). Profiles are only made on an explicit sign-up (rate limited
+// by the server); each adds its finished matches up into career stats.
+// Everything lives in one JSON file, rewritten shortly after each change.
+
+import { randomBytes, randomUUID, createHash } from 'crypto';
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import path from 'path';
+import { COUNTING_FIELDS } from './Stats.js';
+
+export const PROFILES = {
+    nameLength: 16,
+    saveDelay: 1000, // ms: changes close together are written once
+    leaderboardSize: 20, // Default rows, at most `maxLeaderboardSize`
+    maxLeaderboardSize: 100
+};
+
+// Sortable career columns; per-game ones divide by games played
+export const LEADERBOARD_STATS = ['wins', 'games', ...COUNTING_FIELDS, 'ppg', 'apg', 'rpg'];
+const PER_GAME = {
+    ppg: (c) => c.points,
+    apg: (c) => c.assists,
+    rpg: (c) => c.offRebounds + c.defRebounds
+};
+
+// Only the hash is stored: a leaked profiles file can't sign anyone in
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+// Printable, trimmed and short; null if nothing is left
+export function sanitizeName(name) {
+    if (typeof name !== 'string') return null;
+    const clean = name.replace(/[^\p{L}\p{N} _.-]/gu, '').trim().slice(0, PROFILES.nameLength);
+    return clean || null;
+}
+
+function createCareer() {
+    const career = { games: 0, wins: 0, losses: 0 };
+    for (const field of COUNTING_FIELDS) career[field] = 0;
+    return career;
+}
+
+export class ProfileStore {
+    constructor(file) {
+        this.file = file;
+        this.profiles = {}; // id -> { id, name, tokenHash, created, lastSeen, career }
+        this.byToken = new Map(); // Token hash -> id
+        this.saveTimer = null;
+        this.saving = Promise.resolve(); // Writes run one after another
+    }
+
+    // A missing file is a fresh store; an unreadable one is not overwritten
+    async load() {
+        let text;
+        try {
+            text = await readFile(this.file, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return;
+            throw e;
+        }
+        this.profiles = JSON.parse(text).profiles || {};
+        for (const id in this.profiles) {
+            const profile = this.profiles[id];
+            profile.career = { ...createCareer(), ...profile.career }; // Columns added since it was saved
+            this.byToken.set(profile.tokenHash, id);
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, PROFILES.saveDelay);
+    }
+
+    save() {
+        this.saving = this.saving.then(() => this.write());
+        return this.saving;
+    }
+
+    // Written next to the old file then swapped in, so a crash mid-write
+    // leaves the previous version
+    async write() {
+        const temp = `${this.file}.tmp`;
+        try {
+            await mkdir(path.dirname(this.file), { recursive: true });
+            await writeFile(temp, JSON.stringify({ profiles: this.profiles }));
+            await rename(temp, this.file);
+        } catch (e) {
+            console.error('Profiles not saved:', e.message);
+        }
+    }
+
+    // --- Accounts ---
+
+    // Signs in with a stored token; a given name renames the profile.
+    // Returns the profile, or null for an unknown token.
+    login(token, name) {
+        const id = typeof token === 'string' ? this.byToken.get(hashToken(token)) : undefined;
+        if (!id) return null;
+
+        const profile = this.profiles[id];
+        const cleanName = sanitizeName(name);
+        if (cleanName) profile.name = cleanName;
+        profile.lastSeen = Date.now();
+        this.scheduleSave();
+        return profile;
+    }
+
+    // New profile; returns { profile, token }. The token is only ever sent
+    // back here, the browser keeps it to sign in later.
+    signUp(name) {
+        const now = Date.now();
+        const token = randomBytes(24).toString('hex');
+        const profile = {
+            id: randomUUID(),
+            name: sanitizeName(name) || `Player ${randomBytes(2).toString('hex').toUpperCase()}`,
+            tokenHash: hashToken(token),
+            created: now,
+            lastSeen: now,
+            career: createCareer()
+        };
+        this.profiles[profile.id] = profile;
+        this.byToken.set(profile.tokenHash, profile.id);
+        this.scheduleSave();
+        return { profile, token };
+    }
+
+    // What anyone may see of a profile
+    getPublicProfile(profile) {
+        return { id: profile.id, name: profile.name, created: profile.created, career: { ...profile.career } };
+    }
+
+    getProfile(id) {
+        return Object.hasOwn(this.profiles, id) ? this.profiles[id] : null;
+    }
+
+    // --- Careers ---
+
+    // A finished match (Room.getBoxScore at the final buzzer): every
+    // signed-in player's lines are added to their career as one game. A
+    // profile can have several lines (rejoined mid-match, or two tabs); the
+    // result is that of the team they were on at the buzzer, or last played
+    // for if they had left. A tied score is neither a win nor a loss.
+    recordMatch(boxScore) {
+        const { home, away } = boxScore.score;
+        const winner = home === away ? null : (home > away ? 'home' : 'away');
+
+        const linesByProfile = new Map();
+        for (const line of boxScore.players) {
+            if (!line.profileId || !this.getProfile(line.profileId)) continue;
+            if (!linesByProfile.has(line.profileId)) linesByProfile.set(line.profileId, []);
+            linesByProfile.get(line.profileId).push(line);
+        }
+
+        for (const [id, lines] of linesByProfile) {
+            const career = this.profiles[id].career;
+            const onCourt = lines.filter((line) => line.onCourt);
+            const last = onCourt.length ? onCourt[onCourt.length - 1] : lines[lines.length - 1];
+
+            career.games++;
+            if (winner) career[last.teamId === winner ? 'wins' : 'losses']++;
+            for (const line of lines) {
+                for (const field of COUNTING_FIELDS) career[field] += line[field];
+            }
+        }
+        this.scheduleSave();
+    }
+
+    // Top careers by `stat` (one of LEADERBOARD_STATS); profiles without a
+    // finished game are left out
+    getLeaderboard(stat, limit = PROFILES.leaderboardSize) {
+        const perGame = PER_GAME[stat];
+        const value = (career) => (perGame ? perGame(career) / career.games : career[stat]);
+
+        return Object.values(this.profiles)
+            .filter((profile) => profile.career.games > 0)
+            .map((profile) => ({ id: profile.id, name: profile.name, value: value(profile.career), career: profile.career }))
+            .sort((a, b) => b.value - a.value || b.career.games - a.career.games)
+            .slice(0, limit)
+            .map((row, i) => ({
+                rank: i + 1,
+                id: row.id,
+                name: row.name,
+                value: perGame ? Math.round(row.value * 10) / 10 : row.value,
+                games: row.career.games,
+                wins: row.career.wins,
+                losses: row.career.losses
+            }));
+    }
+}
@@ -0,0 +1,295 @@
+// Binary wire format shared by client and server (plain JS, no THREE).
+// Movement inputs go up in batches at a fixed rate; world snapshots come
+// down delta-encoded against the last snapshot the client acknowledged.
+// All values are little-endian.
+
+export const NETWORK = {
+    inputSendRate: 30, // Client input batches per second
+    maxInputsPerPacket: 32,
+    snapshotHistory: 32, // Snapshots kept on both ends as delta baselines
+    noBaseline: 0xFFFF
+};
+
+// Quantization steps
+const POSITION_SCALE = 100; // 1 cm
+const VELOCITY_SCALE = 100; // 1 cm/s
+const ANGLE_SCALE = 10000; // 0.0001 rad
+const DT_SCALE = 10000; // 0.1 ms
+
+const INPUT_KEYS = ['forward', 'backward', 'left', 'right', 'sprint', 'jump'];
+const INPUT_SIZE = 11; // u32 seq, u16 dt, u8 keys, i16 yaw, i16 pitch
+
+// Snapshot flags and field masks
+const HAS_ACK = 1;
+const HAS_BALL = 2;
+const HAS_REMOVED = 4;
+const BALL_OWNER = 1;
+const BALL_POSITION = 2;
+const BALL_VELOCITY = 4;
+const PLAYER_POSITION = 1;
+const PLAYER_LOOK = 2;
+export const NO_SLOT = 0xFF; // Ball owner slot when loose
+
+// Sequence numbers wrap at 16 bits
+export function isNewerId(a, b) {
+    const diff = (a - b) & 0xFFFF;
+    return diff !== 0 && diff < 0x8000;
+}
+
+function wrapAngle(angle) {
+    return angle - Math.PI * 2 * Math.floor((angle + Math.PI) / (Math.PI * 2));
+}
+
+// Rounds an input to what survives the wire, so the client predicts with the
+// exact values the server will step. Returns the dt lost to rounding.
+export function quantizeInput(input) {
+    const dt = input.dt;
+    input.dt = Math.round(Math.min(Math.max(dt, 0), 6) * DT_SCALE) / DT_SCALE;
+    input.yaw = Math.round(wrapAngle(input.yaw) * ANGLE_SCALE) / ANGLE_SCALE;
+    input.pitch = Math.round(Math.max(-Math.PI / 2, Math.min(Math.PI / 2, input.pitch)) * ANGLE_SCALE) / ANGLE_SCALE;
+    return dt - input.dt;
+}
+
+function toDataView(data) {
+    if (data instanceof ArrayBuffer) return new DataView(data);
+    if (ArrayBuffer.isView(data)) return new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return null;
+}
+
+// --- Client -> Server: input batch ---
+// u16 ack (last snapshot id received), u8 count, count x input
+
+export function encodeInputs(ack, inputs) {
+    const count = Math.min(inputs.length, NETWORK.maxInputsPerPacket);
+    const view = new DataView(new ArrayBuffer(3 + count * INPUT_SIZE));
+    view.setUint16(0, ack, true);
+    view.setUint8(2, count);
+
+    let offset = 3;
+    for (let i = inputs.length - count; i < inputs.length; i++) {
+        const input = inputs[i];
+        let keys = 0;
+        INPUT_KEYS.forEach((key, bit) => { if (input[key]) keys |= 1 << bit; });
+
+        view.setUint32(offset, input.seq, true);
+        view.setUint16(offset + 4, Math.round(input.dt * DT_SCALE), true);
+        view.setUint8(offset + 6, keys);
+        view.setInt16(offset + 7, Math.round(input.yaw * ANGLE_SCALE), true);
+        view.setInt16(offset + 9, Math.round(input.pitch * ANGLE_SCALE), true);
+        offset += INPUT_SIZE;
+    }
+    return view.buffer;
+}
+
+// Returns { ack, inputs } or null if the packet is malformed
+export function decodeInputs(data) {
+    const view = toDataView(data);
+    if (!view || view.byteLength < 3) return null;
+
+    const count = view.getUint8(2);
+    if (count > NETWORK.maxInputsPerPacket || view.byteLength !== 3 + count * INPUT_SIZE) return null;
+
+    const inputs = [];
+    let offset = 3;
+    for (let i = 0; i < count; i++) {
+        const keys = view.getUint8(offset + 6);
+        const input = {
+            seq: view.getUint32(offset, true),
+            dt: view.getUint16(offset + 4, true) / DT_SCALE,
+            yaw: view.getInt16(offset + 7, true) / ANGLE_SCALE,
+            pitch: view.getInt16(offset + 9, true) / ANGLE_SCALE
+        };
+        INPUT_KEYS.forEach((key, bit) => { input[key] = (keys & (1 << bit)) !== 0; });
+        inputs.push(input);
+        offset += INPUT_SIZE;
+    }
+    return { ack: view.getUint16(0, true), inputs };
+}
+
+// --- Server -> Client: world snapshot ---
+// World state in wire units, so deltas compare exactly:
+// { ball: { owner, px, py, pz, vx, vy, vz }, players: { [slot]: { px, py, pz, yaw, pitch } } }
+
+export function quantizeWorld(ball, ownerSlot, players) {
+    const world = {
+        ball: {
+            owner: ownerSlot,
+            px: Math.round(ball.position.x * POSITION_SCALE),
+            py: Math.round(ball.position.y * POSITION_SCALE),
+            pz: Math.round(ball.position.z * POSITION_SCALE),
+            vx: Math.round(ball.velocity.x * VELOCITY_SCALE),
+            vy: Math.round(ball.velocity.y * VELOCITY_SCALE),
+            vz: Math.round(ball.velocity.z * VELOCITY_SCALE)
+        },
+        players: {}
+    };
+    for (const player of players) {
+        world.players[player.slot] = {
+            px: Math.round(player.position.x * POSITION_SCALE),
+            py: Math.round(player.position.y * POSITION_SCALE),
+            pz: Math.round(player.position.z * POSITION_SCALE),
+            yaw: Math.round(wrapAngle(player.yaw) * ANGLE_SCALE),
+            pitch: Math.round(player.pitch * ANGLE_SCALE)
+        };
+    }
+    return world;
+}
+
+// Back to world units
+export function dequantizeWorld(world) {
+    const b = world.ball;
+    const players = {};
+    for (const slot in world.players) {
+        const p = world.players[slot];
+        players[slot] = {
+            position: { x: p.px / POSITION_SCALE, y: p.py / POSITION_SCALE, z: p.pz / POSITION_SCALE },
+            yaw: p.yaw / ANGLE_SCALE,
+            pitch: p.pitch / ANGLE_SCALE
+        };
+    }
+    return {
+        ball: {
+            owner: b.owner,
+            position: { x: b.px / POSITION_SCALE, y: b.py / POSITION_SCALE, z: b.pz / POSITION_SCALE },
+            velocity: { x: b.vx / VELOCITY_SCALE, y: b.vy / VELOCITY_SCALE, z: b.vz / VELOCITY_SCALE }
+        },
+        players
+    };
+}
+
+// Header: u16 id, u16 baseline id, f64 server time, u8 flags
+// [ack]  u32 seq, f32 x3 position, f32 x3 velocity, u8 onGround, f32 stamina
+// [ball] u8 mask, [u8 owner], [i16 x3 position], [i16 x3 velocity]
+// u8 player count, per player: u8 slot, u8 mask, [i16 x3 position], [i16 x2 yaw/pitch]
+// [removed] u8 count, u8 slot each: baseline players no longer in the world
+// Players and ball fields equal to the baseline are left out.
+export function encodeSnapshot(id, t, world, baseline, baselineId, ack) {
+    const removed = baseline ? Object.keys(baseline.players).filter((slot) => !world.players[slot]) : [];
+    const view = new DataView(new ArrayBuffer(64 + Object.keys(world.players).length * 12 + removed.length));
+    let offset = 0;
+    const u8 = (v) => { view.setUint8(offset, v); offset += 1; };
+    const i16 = (v) => { view.setInt16(offset, v, true); offset += 2; };
+    const f32 = (v) => { view.setFloat32(offset, v, true); offset += 4; };
+
+    const ball = world.ball;
+    const baseBall = baseline ? baseline.ball : null;
+    let ballMask = 0;
+    if (!baseBall || ball.owner !== baseBall.owner) ballMask |= BALL_OWNER;
+    if (!baseBall || ball.px !== baseBall.px || ball.py !== baseBall.py || ball.pz !== baseBall.pz) ballMask |= BALL_POSITION;
+    if (!baseBall || ball.vx !== baseBall.vx || ball.vy !== baseBall.vy || ball.vz !== baseBall.vz) ballMask |= BALL_VELOCITY;
+
+    view.setUint16(0, id, true);
+    view.setUint16(2, baseline ? baselineId : NETWORK.noBaseline, true);
+    view.setFloat64(4, t, true);
+    offset = 12;
+    u8((ack ? HAS_ACK : 0) | (ballMask ? HAS_BALL : 0) | (removed.length ? HAS_REMOVED : 0));
+
+    if (ack) {
+        view.setUint32(offset, ack.seq, true);
+        offset += 4;
+        f32(ack.position.x); f32(ack.position.y); f32(ack.position.z);
+        f32(ack.velocity.x); f32(ack.velocity.y); f32(ack.velocity.z);
+        u8(ack.onGround ? 1 : 0);
+        f32(ack.stamina);
+    }
+
+    if (ballMask) {
+        u8(ballMask);
+        if (ballMask & BALL_OWNER) u8(ball.owner);
+        if (ballMask & BALL_POSITION) { i16(ball.px); i16(ball.py); i16(ball.pz); }
+        if (ballMask & BALL_VELOCITY) { i16(ball.vx); i16(ball.vy); i16(ball.vz); }
+    }
+
+    const countOffset = offset;
+    let count = 0;
+    u8(0);
+    for (const slot in world.players) {
+        const p = world.players[slot];
+        const base = baseline ? baseline.players[slot] : null;
+        let mask = 0;
+        if (!base || p.px !== base.px || p.py !== base.py || p.pz !== base.pz) mask |= PLAYER_POSITION;
+        if (!base || p.yaw !== base.yaw || p.pitch !== base.pitch) mask |= PLAYER_LOOK;
+        if (!mask) continue;
+
+        u8(Number(slot));
+        u8(mask);
+        if (mask & PLAYER_POSITION) { i16(p.px); i16(p.py); i16(p.pz); }
+        if (mask & PLAYER_LOOK) { i16(p.yaw); i16(p.pitch); }
+        count++;
+    }
+    view.setUint8(countOffset, count);
+
+    if (removed.length) {
+        u8(removed.length);
+        for (const slot of removed) u8(Number(slot));
+    }
+
+    return view.buffer.slice(0, offset);
+}
+
+// Rebuilds the full world from a snapshot and its baseline.
+// baselines: Map of snapshot id -> world. Returns { id, t, ack, world }, or
+// null if the packet is malformed or its baseline is no longer known.
+export function decodeSnapshot(data, baselines) {
+    const view = toDataView(data);
+    if (!view) return null;
+
+    try {
+        let offset = 0;
+        const u8 = () => { const v = view.getUint8(offset); offset += 1; return v; };
+        const i16 = () => { const v = view.getInt16(offset, true); offset += 2; return v; };
+        const f32 = () => { const v = view.getFloat32(offset, true); offset += 4; return v; };
+
+        const id = view.getUint16(0, true);
+        const baselineId = view.getUint16(2, true);
+        const t = view.getFloat64(4, true);
+        offset = 12;
+
+        const baseline = baselineId === NETWORK.noBaseline ? null : baselines.get(baselineId);
+        if (baselineId !== NETWORK.noBaseline && !baseline) return null;
+
+        const flags = u8();
+        let ack = null;
+        if (flags & HAS_ACK) {
+            const seq = view.getUint32(offset, true);
+            offset += 4;
+            ack = {
+                seq,
+                position: { x: f32(), y: f32(), z: f32() },
+                velocity: { x: f32(), y: f32(), z: f32() },
+                onGround: u8() === 1,
+                stamina: f32()
+            };
+        }
+
+        // Start from the baseline, then overwrite what changed
+        const ball = baseline ? { ...baseline.ball } : { owner: NO_SLOT, px: 0, py: 0, pz: 0, vx: 0, vy: 0, vz: 0 };
+        if (flags & HAS_BALL) {
+            const mask = u8();
+            if (mask & BALL_OWNER) ball.owner = u8();
+            if (mask & BALL_POSITION) { ball.px = i16(); ball.py = i16(); ball.pz = i16(); }
+            if (mask & BALL_VELOCITY) { ball.vx = i16(); ball.vy = i16(); ball.vz = i16(); }
+        }
+
+        const players = {};
+        if (baseline) {
+            for (const slot in baseline.players) players[slot] = { ...baseline.players[slot] };
+        }
+        const count = u8();
+        for (let i = 0; i < count; i++) {
+            const slot = u8();
+            const mask = u8();
+            const p = players[slot] || (players[slot] = { px: 0, py: 0, pz: 0, yaw: 0, pitch: 0 });
+            if (mask & PLAYER_POSITION) { p.px = i16(); p.py = i16(); p.pz = i16(); }
+            if (mask & PLAYER_LOOK) { p.yaw = i16(); p.pitch = i16(); }
+        }
+        if (flags & HAS_REMOVED) {
+            const removed = u8();
+            for (let i = 0; i < removed; i++) delete players[u8()];
+        }
+
+        return { id, t, ack, world: { ball, players } };
+    } catch (e) {
+        return null; // RangeError: truncated packet
+    }
+}
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { TEAMS } from './Teams.js';
+import { SnapshotBuffer } from './Interpolation.js';
 
 export class RemotePlayer {
     constructor(scene, id, initialData) {
@@ -7,14 +9,14 @@ export class RemotePlayer {
         this.position = new THREE.Vector3().copy(initialData.position || { x: 0, y: 0, z: 0 });
         this.quaternion = new THREE.Quaternion().copy(initialData.quaternion || { x: 0, y: 0, z: 0, w: 1 });
 
-        // Target for interpolation
-        this.targetPosition = this.position.clone();
-        this.targetQuaternion = this.quaternion.clone();
+        // Server snapshots, rendered a little in the past
+        this.snapshots = new SnapshotBuffer();
 
-        // Mesh (Blue Capsule to look different)
+        // Mesh (Capsule in team colour)
         const geometry = new THREE.CapsuleGeometry(0.5, 1.8, 4, 8);
-        const material = new THREE.MeshStandardMaterial({ color: 0x0000ff }); // Blue
+        const material = new THREE.MeshStandardMaterial({ color: 0x0000ff });
         this.mesh = new THREE.Mesh(geometry, material);
+        this.setTeam(initialData.teamId);
         this.mesh.castShadow = true;
         this.mesh.position.copy(this.position);
 
@@ -24,16 +26,23 @@ export class RemotePlayer {
         this.scene.add(this.mesh);
     }
 
+    setTeam(teamId) {
+        this.teamId = teamId;
+        const team = TEAMS[teamId];
+        this.mesh.material.color.setHex(team ? team.color : 0x0000ff);
+    }
+
+    // data.t is the server time the snapshot was taken
     updateData(data) {
-        if (data.position) this.targetPosition.set(data.position.x, data.position.y, data.position.z);
-        if (data.quaternion) this.targetQuaternion.set(data.quaternion.x, data.quaternion.y, data.quaternion.z, data.quaternion.w);
+        if (!data.position || !data.quaternion) return;
+        this.snapshots.push(data.t, data.position, data.quaternion);
     }
 
-    update(delta) {
-        // Interpolate smooth movement
-        const lerpFactor = 10.0 * delta; // Adjust for smoothness
-        this.mesh.position.lerp(this.targetPosition, lerpFactor);
-        this.mesh.quaternion.slerp(this.targetQuaternion, lerpFactor);
+    update(renderTime) {
+        if (this.snapshots.sample(renderTime, this.position, this.quaternion)) {
+            this.mesh.position.copy(this.position);
+            this.mesh.quaternion.copy(this.quaternion);
+        }
     }
 
     dispose() {
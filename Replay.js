@@ -0,0 +1,117 @@
+// Match replay file format, shared by the server (recording) and the client
+// viewer (plain JS, no THREE). A replay is the room's world snapshots, each
+// delta-encoded against the one before it with the snapshot wire format, plus
+// a timeline of the game events broadcast to the room.
+//
+// File: 'RPLY', u16 version, u32 header length, header (UTF-8 JSON),
+// u32 frame count, per frame: u16 length, snapshot bytes.
+// Header: { code, name, mode, start, end, players: [{ id, slot, teamId, isBot }],
+// events: [{ t, event, data }] }. Times are server ms (Date.now()).
+
+import { encodeSnapshot, decodeSnapshot, dequantizeWorld } from './Protocol.js';
+
+export const REPLAY = {
+    magic: 'RPLY',
+    version: 1,
+    extension: '.replay'
+};
+
+// Roster entry: who was in a snapshot slot
+export function getReplayPlayer(player) {
+    return { id: player.id, slot: player.slot, teamId: player.teamId, isBot: player.isBot };
+}
+
+// Collects one room's match while it is played
+export class ReplayRecorder {
+    constructor(room, players) {
+        this.header = {
+            code: room.code,
+            name: room.name,
+            mode: room.mode,
+            start: Date.now(),
+            end: null,
+            players: players.map(getReplayPlayer)
+        };
+        this.frames = []; // Encoded snapshots
+        this.events = []; // JSON, serialized when they happen (the data objects live on)
+        this.previous = null; // Last world, baseline for the next frame
+    }
+
+    // world: quantized (Protocol.quantizeWorld), t: server time
+    recordFrame(t, world) {
+        const id = this.frames.length & 0xFFFF;
+        const baselineId = (id - 1) & 0xFFFF;
+        this.frames.push(new Uint8Array(encodeSnapshot(id, t, world, this.previous, baselineId, null)));
+        this.previous = world;
+    }
+
+    recordEvent(t, event, data) {
+        this.events.push(JSON.stringify({ t, event, data }));
+    }
+
+    // Returns the finished file as an ArrayBuffer
+    encode() {
+        this.header.end = Date.now();
+        const json = JSON.stringify(this.header);
+        const header = new TextEncoder().encode(`${json.slice(0, -1)},"events":[${this.events.join(',')}]}`);
+
+        let size = 10 + header.length + 4;
+        for (const frame of this.frames) size += 2 + frame.length;
+
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+        for (let i = 0; i < 4; i++) bytes[i] = REPLAY.magic.charCodeAt(i);
+        view.setUint16(4, REPLAY.version, true);
+        view.setUint32(6, header.length, true);
+        bytes.set(header, 10);
+
+        let offset = 10 + header.length;
+        view.setUint32(offset, this.frames.length, true);
+        offset += 4;
+        for (const frame of this.frames) {
+            view.setUint16(offset, frame.length, true);
+            bytes.set(frame, offset + 2);
+            offset += 2 + frame.length;
+        }
+        return bytes.buffer;
+    }
+}
+
+// Reads a replay file. Returns { header, events, frames: [{ t, world }] }
+// with worlds in world units (Protocol.dequantizeWorld), or null if the file
+// is not a replay this version can read.
+export function decodeReplay(data) {
+    const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    try {
+        const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+        if (magic !== REPLAY.magic || view.getUint16(4, true) !== REPLAY.version) return null;
+
+        const headerLength = view.getUint32(6, true);
+        const header = JSON.parse(new TextDecoder().decode(bytes.subarray(10, 10 + headerLength)));
+        const events = header.events;
+        delete header.events;
+
+        let offset = 10 + headerLength;
+        const count = view.getUint32(offset, true);
+        offset += 4;
+
+        // Each frame is the baseline of the next
+        const baselines = new Map();
+        const frames = [];
+        for (let i = 0; i < count; i++) {
+            const length = view.getUint16(offset, true);
+            const snapshot = decodeSnapshot(bytes.subarray(offset + 2, offset + 2 + length), baselines);
+            if (!snapshot) return null;
+            offset += 2 + length;
+
+            baselines.clear();
+            baselines.set(snapshot.id, snapshot.world);
+            frames.push({ t: snapshot.t, world: dequantizeWorld(snapshot.world) });
+        }
+        return { header, events, frames };
+    } catch (e) {
+        return null; // RangeError or bad JSON: truncated or not a replay
+    }
+}
@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import { World } from './World.js';
+import { Ball } from './Ball.js';
+import { RemotePlayer } from './RemotePlayer.js';
+import { ParticleSystem } from './ParticleSystem.js';
+import { NO_SLOT } from './Protocol.js';
+import { quaternionFromYawPitch } from './Movement.js';
+
+const LOOKAHEAD = 100; // ms of frames fed ahead of the playhead, so there is one to interpolate to
+
+// A court of its own that plays recorded world snapshots back: every player
+// (us included) as a RemotePlayer, and a Ball following the frames. Used by
+// the replay viewer and the in-game instant replay.
+// frames: [{ t, world }] with worlds from Protocol.dequantizeWorld.
+export class ReplayScene {
+    constructor() {
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x87CEEB);
+        this.scene.fog = new THREE.Fog(0x87CEEB, 10, 50);
+
+        this.world = new World(this.scene);
+        this.ball = new Ball(this.scene);
+        this.particleSystem = new ParticleSystem(this.scene);
+
+        this.players = {}; // id -> RemotePlayer
+        this.slotIds = {}; // Snapshot slot -> player id
+        this.frames = [];
+        this.nextFrame = 0; // First frame not yet fed to the renderers
+        this.renderedTime = null;
+    }
+
+    // --- Roster ---
+
+    // player: { id, slot, teamId }
+    addPlayer(player) {
+        this.removePlayer(player.id);
+        this.slotIds[player.slot] = player.id;
+        this.players[player.id] = new RemotePlayer(this.scene, player.id, player);
+    }
+
+    removePlayer(id) {
+        if (!this.players[id]) return;
+        this.players[id].dispose();
+        delete this.players[id];
+    }
+
+    setTeam(id, teamId) {
+        if (this.players[id]) this.players[id].setTeam(teamId);
+    }
+
+    clearPlayers() {
+        for (const id in this.players) this.players[id].dispose();
+        this.players = {};
+        this.slotIds = {};
+    }
+
+    // --- Playback ---
+
+    setFrames(frames) {
+        this.frames = frames;
+        this.nextFrame = 0;
+        this.ball.snapshots.clear();
+        this.renderedTime = null;
+    }
+
+    // Moves the playhead anywhere: frames resume from the one at or before `time`
+    seek(time) {
+        const frames = this.frames;
+        let i = 0;
+        while (i < frames.length - 1 && frames[i + 1].t <= time) i++;
+        this.nextFrame = i;
+        for (const id in this.players) this.players[id].snapshots.clear();
+        this.ball.snapshots.clear();
+        this.renderedTime = null;
+        this.feedFrames(time);
+    }
+
+    feedFrames(time) {
+        const frames = this.frames;
+        while (this.nextFrame < frames.length && frames[this.nextFrame].t <= time + LOOKAHEAD) {
+            this.applyFrame(frames[this.nextFrame++]);
+        }
+    }
+
+    applyFrame(frame) {
+        const world = frame.world;
+        for (const slot in world.players) {
+            const remote = this.players[this.slotIds[slot]];
+            if (!remote) continue;
+            const p = world.players[slot];
+            remote.updateData({
+                t: frame.t,
+                position: p.position,
+                quaternion: quaternionFromYawPitch(p.yaw, p.pitch, new THREE.Quaternion())
+            });
+        }
+
+        const ball = world.ball;
+        const ownerId = ball.owner === NO_SLOT ? null : this.slotIds[ball.owner];
+        this.ball.owner = ownerId ? (this.players[ownerId] || null) : null;
+        this.ball.applySnapshot(frame.t, ball.position, ball.velocity);
+    }
+
+    // Draws the recording at `time`; delta: seconds of playback since the last
+    // call (effects run at the playback speed). A paused playhead holds
+    // everything where it is, the ball trail included.
+    update(time, delta) {
+        this.feedFrames(time);
+        if (time === this.renderedTime) return;
+        this.renderedTime = time;
+
+        for (const id in this.players) this.players[id].update(time);
+        this.ball.update(delta, this.world.getColliderBoxes(), time);
+        this.particleSystem.update(delta);
+        this.world.update(delta);
+    }
+}
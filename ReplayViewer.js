@@ -0,0 +1,363 @@
+import * as THREE from 'three';
+import { TEAMS } from './Teams.js';
+import { HUD } from './HUD.js';
+import { decodeReplay } from './Replay.js';
+import { ReplayScene } from './ReplayScene.js';
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2];
+const SKIP_SECONDS = 5; // Arrow keys
+const FLY_SPEED = 8; // m/s, x3 with Shift
+
+function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return `${m}:${s < 10 ? '0' : ''}${s}`;
+}
+
+// Replay viewer (/?replay): loads a recorded match file and plays it back in
+// a ReplayScene. The playhead is a time on the recording's server clock;
+// events up to it rebuild the roster and scoreboard.
+export class ReplayViewer {
+    constructor() {
+        this.container = document.body;
+        this.replay = null; // Decoded file: { header, events, frames }
+        this.time = 0; // Playhead (server ms)
+        this.playing = false;
+        this.speed = 1;
+        this.nextEvent = 0; // First event not yet applied
+        this.keys = {};
+        this.init();
+    }
+
+    init() {
+        this.renderer = new THREE.WebGLRenderer({ antialias: false, powerPreference: "high-performance" });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.container.appendChild(this.renderer.domElement);
+
+        this.replayScene = new ReplayScene();
+
+        // Free-fly camera, starting in the stands at half-court
+        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 100);
+        this.camera.rotation.order = 'YXZ';
+        this.camera.position.set(-14, 7, 0);
+        this.camera.rotation.set(-0.35, -Math.PI / 2, 0);
+
+        this.createUI();
+        this.bindControls();
+
+        window.addEventListener('resize', this.onWindowResize.bind(this));
+
+        this.clock = new THREE.Clock();
+        this.animate();
+    }
+
+    // --- Loading ---
+
+    load(file) {
+        this.errorText.innerText = '';
+        file.arrayBuffer().then((data) => {
+            const replay = decodeReplay(data);
+            if (!replay || replay.frames.length < 2) {
+                this.errorText.innerText = 'Not a replay file (or from another version)';
+                return;
+            }
+            this.start(replay);
+        }).catch((e) => {
+            this.errorText.innerText = `Could not read the file (${e.message})`;
+        });
+    }
+
+    start(replay) {
+        this.replay = replay;
+        this.startTime = replay.frames[0].t;
+        this.endTime = replay.frames[replay.frames.length - 1].t;
+
+        const header = replay.header;
+        const date = new Date(header.start).toLocaleString();
+        this.titleText.innerText = `${header.name} [${header.code}] ${header.mode} - ${date}`;
+        this.scrubber.max = String((this.endTime - this.startTime) / 1000);
+        this.loadPanel.style.display = 'none';
+        this.controls.style.display = 'flex';
+        this.replayScene.setFrames(replay.frames);
+
+        this.seek(this.startTime);
+        this.setPlaying(true);
+    }
+
+    // --- Playback ---
+
+    setPlaying(playing) {
+        // Play again from the start once the end is reached
+        if (playing && this.time >= this.endTime) this.seek(this.startTime);
+        this.playing = playing;
+        this.playButton.innerText = playing ? 'Pause' : 'Play';
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.speedSelect.value = String(speed);
+    }
+
+    // Jumps the playhead: everything is rebuilt from the start of the
+    // recording up to `time` (roster, score), then frames resume just before it
+    seek(time) {
+        const scene = this.replayScene;
+        this.time = Math.max(this.startTime, Math.min(this.endTime, time));
+
+        scene.clearPlayers();
+        this.hud.reset();
+        for (const player of this.replay.header.players) scene.addPlayer(player);
+
+        this.nextEvent = 0;
+        this.applyEvents(this.time, false);
+        scene.seek(this.time);
+    }
+
+    // Events up to `time`; announce: shown as they are passed while playing
+    applyEvents(time, announce) {
+        const events = this.replay.events;
+        while (this.nextEvent < events.length && events[this.nextEvent].t <= time) {
+            this.applyEvent(events[this.nextEvent++], announce);
+        }
+    }
+
+    applyEvent(entry, announce) {
+        const data = entry.data;
+        const scene = this.replayScene;
+        switch (entry.event) {
+            case 'player_joined':
+                scene.addPlayer(data);
+                break;
+            case 'player_left':
+                scene.removePlayer(data);
+                break;
+            case 'player_team':
+                scene.setTeam(data.id, data.teamId);
+                break;
+            case 'match_state':
+                this.hud.setMatchState(data, entry.t, announce);
+                break;
+            case 'basket_scored':
+                if (!announce) break;
+                if (!data.goaltenderId) scene.world.shakeNet(data.hoopIndex, data.finish === 'swish' ? 1 : 0.6);
+                scene.particleSystem.emit(new THREE.Vector3().copy(data.position), 100);
+                this.hud.announceEvent(entry.event, data);
+                break;
+            case 'match_violation':
+            case 'match_foul':
+            case 'shot_blocked':
+            case 'pass_intercepted':
+                if (announce) this.hud.announceEvent(entry.event, data);
+                break;
+        }
+    }
+
+    // How announcements name a player: by their team
+    getPlayerName(id) {
+        const player = this.replayScene.players[id];
+        return player ? TEAMS[player.teamId].name : null;
+    }
+
+    // --- Camera ---
+
+    bindControls() {
+        // Drag to look around, so the controls stay clickable
+        let dragging = false;
+        this.renderer.domElement.addEventListener('mousedown', () => { dragging = true; });
+        document.addEventListener('mouseup', () => { dragging = false; });
+        document.addEventListener('mousemove', (event) => {
+            if (!dragging) return;
+            this.camera.rotation.y -= event.movementX * 0.003;
+            this.camera.rotation.x -= event.movementY * 0.003;
+            this.camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camera.rotation.x));
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (['INPUT', 'SELECT', 'BUTTON'].includes(event.target.tagName)) return;
+            this.keys[event.code] = true;
+            if (!this.replay) return;
+            switch (event.code) {
+                case 'Space':
+                    event.preventDefault();
+                    this.setPlaying(!this.playing);
+                    break;
+                case 'ArrowLeft':
+                    this.seek(this.time - SKIP_SECONDS * 1000);
+                    break;
+                case 'ArrowRight':
+                    this.seek(this.time + SKIP_SECONDS * 1000);
+                    break;
+            }
+        });
+        document.addEventListener('keyup', (event) => { this.keys[event.code] = false; });
+    }
+
+    // WASD along the view, E/Q up and down, Shift to go faster
+    updateCamera(delta) {
+        const keys = this.keys;
+        const move = new THREE.Vector3(
+            (keys.KeyD ? 1 : 0) - (keys.KeyA ? 1 : 0),
+            (keys.KeyE ? 1 : 0) - (keys.KeyQ ? 1 : 0),
+            (keys.KeyS ? 1 : 0) - (keys.KeyW ? 1 : 0)
+        );
+        if (move.lengthSq() === 0) return;
+
+        const up = move.y;
+        move.y = 0;
+        move.applyQuaternion(this.camera.quaternion);
+        move.y += up;
+        move.normalize().multiplyScalar(FLY_SPEED * (keys.ShiftLeft || keys.ShiftRight ? 3 : 1) * delta);
+        this.camera.position.add(move);
+    }
+
+    // --- UI ---
+
+    createUI() {
+        // Score and clock, as in the game
+        this.hud = new HUD((id) => this.getPlayerName(id));
+
+        this.titleText = document.createElement('div');
+        this.titleText.style.position = 'absolute';
+        this.titleText.style.top = '10px';
+        this.titleText.style.right = '10px';
+        this.titleText.style.color = 'white';
+        this.titleText.style.fontFamily = 'monospace';
+        this.titleText.style.textShadow = '1px 1px 1px black';
+        document.body.appendChild(this.titleText);
+
+        // File picker, until a replay is loaded
+        this.loadPanel = document.createElement('div');
+        this.loadPanel.style.position = 'absolute';
+        this.loadPanel.style.top = '50%';
+        this.loadPanel.style.left = '50%';
+        this.loadPanel.style.transform = 'translate(-50%, -50%)';
+        this.loadPanel.style.width = '420px';
+        this.loadPanel.style.padding = '20px';
+        this.loadPanel.style.backgroundColor = '#222';
+        this.loadPanel.style.border = '2px solid white';
+        this.loadPanel.style.borderRadius = '10px';
+        this.loadPanel.style.color = 'white';
+        this.loadPanel.style.fontFamily = 'Arial, sans-serif';
+        document.body.appendChild(this.loadPanel);
+
+        const title = document.createElement('h2');
+        title.innerText = 'REPLAY VIEWER';
+        title.style.marginTop = '0';
+        this.loadPanel.appendChild(title);
+
+        const help = document.createElement('p');
+        help.innerText = 'Open a .replay file saved by the server. Drag to look around, WASD to fly, ' +
+            'E/Q up and down, Shift faster, Space to pause, arrows to skip.';
+        this.loadPanel.appendChild(help);
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.replay';
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files[0]) this.load(this.fileInput.files[0]);
+        });
+        this.loadPanel.appendChild(this.fileInput);
+
+        this.errorText = document.createElement('div');
+        this.errorText.style.color = 'tomato';
+        this.errorText.style.minHeight = '20px';
+        this.errorText.style.marginTop = '10px';
+        this.loadPanel.appendChild(this.errorText);
+
+        const back = document.createElement('a');
+        back.href = '/';
+        back.innerText = 'Back to the game';
+        back.style.color = 'white';
+        this.loadPanel.appendChild(back);
+
+        // Playback controls
+        this.controls = document.createElement('div');
+        this.controls.style.position = 'absolute';
+        this.controls.style.bottom = '20px';
+        this.controls.style.left = '50%';
+        this.controls.style.transform = 'translateX(-50%)';
+        this.controls.style.width = '640px';
+        this.controls.style.padding = '8px';
+        this.controls.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        this.controls.style.borderRadius = '8px';
+        this.controls.style.color = 'white';
+        this.controls.style.fontFamily = 'monospace';
+        this.controls.style.display = 'none';
+        this.controls.style.alignItems = 'center';
+        this.controls.style.gap = '8px';
+        document.body.appendChild(this.controls);
+
+        this.playButton = document.createElement('button');
+        this.playButton.innerText = 'Play';
+        this.playButton.style.width = '60px';
+        this.playButton.addEventListener('click', () => this.setPlaying(!this.playing));
+        this.controls.appendChild(this.playButton);
+
+        this.scrubber = document.createElement('input');
+        this.scrubber.type = 'range';
+        this.scrubber.min = '0';
+        this.scrubber.step = '0.05';
+        this.scrubber.value = '0';
+        this.scrubber.style.flex = '1';
+        this.scrubber.addEventListener('input', () => {
+            this.seek(this.startTime + Number(this.scrubber.value) * 1000);
+        });
+        this.controls.appendChild(this.scrubber);
+
+        this.timeText = document.createElement('span');
+        this.controls.appendChild(this.timeText);
+
+        this.speedSelect = document.createElement('select');
+        for (const speed of PLAYBACK_SPEEDS) {
+            const option = document.createElement('option');
+            option.value = String(speed);
+            option.innerText = `${speed}x`;
+            this.speedSelect.appendChild(option);
+        }
+        this.speedSelect.value = String(this.speed);
+        this.speedSelect.addEventListener('change', () => this.setSpeed(Number(this.speedSelect.value)));
+        this.controls.appendChild(this.speedSelect);
+
+        const openButton = document.createElement('button');
+        openButton.innerText = 'Open...';
+        openButton.addEventListener('click', () => this.fileInput.click());
+        this.controls.appendChild(openButton);
+    }
+
+    updateScoreboard(delta) {
+        this.hud.update(delta, this.time);
+
+        const duration = (this.endTime - this.startTime) / 1000;
+        const position = (this.time - this.startTime) / 1000;
+        this.timeText.innerText = `${formatTime(position)} / ${formatTime(duration)}`;
+        if (document.activeElement !== this.scrubber) this.scrubber.value = String(position);
+    }
+
+    onWindowResize() {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+
+    animate() {
+        requestAnimationFrame(this.animate.bind(this));
+        const delta = Math.min(this.clock.getDelta(), 0.1);
+        this.updateCamera(delta);
+
+        if (this.replay) {
+            if (this.playing) {
+                this.time = Math.min(this.endTime, this.time + delta * 1000 * this.speed);
+                if (this.time >= this.endTime) this.setPlaying(false);
+            }
+            this.applyEvents(this.time, true);
+            this.replayScene.update(this.time, delta * this.speed);
+            this.updateScoreboard(delta);
+        }
+
+        this.renderer.render(this.replayScene.scene, this.camera);
+    }
+}
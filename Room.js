@@ -0,0 +1,1014 @@
+import {
+    COLLIDERS, HOOPS, BALL_SPAWN, getNearestHoop, getShotDistance, findBasket, isBehindArc, isOutOfBounds, isInBackcourt
+} from './Court.js';
+import {
+    BALL, HANDLING, PASSING, BLOCKING, SHOOTING, stepBall, getForward, getHoldPosition, solvePassVelocity,
+    getDribbleHand, stepDribble, collideBallWithPlayers, getIdealRelease, judgeRelease, getShotSpread, gaussian
+} from './Physics.js';
+import { Match, MATCH_STATES } from './Match.js';
+import {
+    MOVEMENT, MAX_HORIZONTAL_SPEED, MAX_JUMP_HEIGHT, createMovementState, stepMovement, quaternionFromYawPitch, separateBodies
+} from './Movement.js';
+import { TEAM_IDS } from './Teams.js';
+import { Bot } from './Bot.js';
+import { BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY } from './BotDifficulties.js';
+import { NETWORK, NO_SLOT, isNewerId, decodeInputs, encodeSnapshot, quantizeWorld } from './Protocol.js';
+import { ReplayRecorder, getReplayPlayer } from './Replay.js';
+import { createPlayerStats } from './Stats.js';
+
+// Max players per room for each mode
+export const ROOM_MODES = {
+    '1v1': 2,
+    '2v2': 4,
+    '3v3': 6
+};
+
+const SNAPSHOT_EVERY = 3; // World snapshot every 3rd tick (20 Hz at 60 Hz)
+const MATCH_SYNC_EVERY = 60; // Resync match clocks about once per second
+const INPUT_BUDGET_MAX = 0.25; // Seconds of movement input a client may send ahead of real time
+const INTENT_RANGE_SLACK = 1.5; // Steal/pickup requests further than range x this are not lag
+const MAX_EYE_HEIGHT = MOVEMENT.height + MAX_JUMP_HEIGHT + 0.1; // Standing on the floor at the top of a jump
+const TRAVEL_DISTANCE = 1.5; // Metres a holder may slide/step from the pivot without dribbling
+const FOUL_SPEED = MOVEMENT.speed + 0.5; // Sprinting into someone (m/s) is a foul...
+const SET_SPEED = 1; // ...unless they were moving into you too (a set defender stays under this)
+const SCRAMBLE_TIME = 0.5; // Seconds after gaining the ball when contact is still part of the scramble
+const ASSIST_TIME = 6; // Seconds from catching a pass to scoring for the passer to get the assist
+
+function distanceSq(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+// Distance from a point to a player's body (the segment from feet to eyes)
+function distanceToBody(point, eye) {
+    const y = Math.max(eye.y - MOVEMENT.height, Math.min(eye.y, point.y));
+    return Math.sqrt(distanceSq(point, { x: eye.x, y, z: eye.z }));
+}
+
+// One game: its own players, ball and match. Everything is broadcast to the
+// socket.io room named after the join code.
+export class Room {
+    constructor(io, code, name, mode, options = {}) {
+        this.io = io;
+        this.code = code;
+        this.name = name;
+        this.mode = mode;
+        this.maxPlayers = ROOM_MODES[mode];
+        this.fillWithBots = !!options.fillWithBots; // Keep empty slots taken by bots
+        this.botDifficulty = BOT_DIFFICULTIES[options.botDifficulty] ? options.botDifficulty : DEFAULT_BOT_DIFFICULTY;
+
+        this.players = {}; // Humans and bots alike
+        this.bots = {}; // player id -> Bot (AI driving that player record)
+        this.botCounter = 0;
+        // socket.id -> { sent: Map(snapshot id -> world), ackId, ackSentIn } for delta baselines
+        this.clients = {};
+        this.snapshotId = 0;
+        // ballState: { ownerId: string | null, position: {x,y,z}, velocity: {x,y,z} }
+        // Owned by the server: clients only send intents (shoot, pickup, steal)
+        this.ballState = {
+            ownerId: null,
+            position: { ...BALL_SPAWN },
+            velocity: { x: 0, y: 0, z: 0 }
+        };
+        this.pickupBlockedUntil = {}; // socket.id -> timestamp (throw cooldown)
+        this.lastShot = null; // { shooterId, teamId, origin, touched, rim, board, chart } of the last release, for scoring
+        this.activePass = null; // { passerId, receiverId, teamId, expires } while a pass is in the air
+        this.assist = null; // { passerId, receiverId, time } from a caught pass until the receiver loses the ball
+        // The holder's dribble: pivot is where they stood since gathering the ball
+        // (null until they touch the floor), airborne once they jump with it
+        this.handling = { dribbling: false, hasDribbled: false, pivot: null, airborne: false, since: 0 };
+        this.handPosition = { x: 0, y: 0, z: 0 };
+        this.lastTouchTeamId = null; // Loses the ball if it goes out of bounds
+        this.reachedFrontcourt = false; // Backcourt rule: set once the ball crosses half-court
+        this.tickCount = 0;
+        this.stats = {}; // player id -> box score line (createPlayerStats) for this match, kept after they leave
+
+        // Match: clocks, score and state machine are decided here, clients only render
+        this.match = new Match();
+        this.matchRunning = false; // Between tip-off and the final buzzer
+        this.match.on('state', () => {
+            // A match runs from tip-off to the final buzzer: fresh box score, recorded.
+            // 'state' also fires for score and clock changes, so only transitions count.
+            const state = this.match.state;
+            if (state === MATCH_STATES.WARMUP) this.matchRunning = false;
+            else if (!this.matchRunning && state !== MATCH_STATES.FINAL) {
+                this.matchRunning = true;
+                this.startMatch();
+            }
+            this.emit('match_state', this.match.getSnapshot());
+            if (this.matchRunning && state === MATCH_STATES.FINAL) {
+                this.matchRunning = false;
+                this.endMatch();
+            }
+        });
+        this.match.on('basket', (data) => {
+            this.countBasket(data);
+            const finish = data.goaltenderId ? null : this.getFinish();
+            this.emit('basket_scored', { ...data, finish, position: { ...this.ballState.position } });
+            this.endShot();
+        });
+        this.match.on('violation', (data) => {
+            // Charged to the player who lost the ball, if there was one
+            const holder = this.players[this.ballState.ownerId];
+            const playerId = data.playerId || (holder && holder.teamId === data.teamId ? holder.id : null);
+            this.addStat(playerId, 'turnovers');
+            this.emit('match_violation', data);
+        });
+        this.match.on('foul', (data) => {
+            this.addStat(data.playerId, 'fouls');
+            if (data.type === 'charging') this.addStat(data.playerId, 'turnovers');
+            this.emit('match_foul', data);
+        });
+        this.match.on('reset_ball', (data) => {
+            this.resetBall(data.position);
+            if (data.teamId) this.giveBallToTeam(data.teamId, data.position);
+            this.broadcastBall();
+        });
+
+        this.lastBallPosition = { x: 0, y: 0, z: 0 };
+        this.onViolation = null; // (socket, type, detail) set by the server: logs and kicks
+        this.recorder = null; // ReplayRecorder while a match is being played
+        this.onReplay = null; // (room, file ArrayBuffer) set by the server: saves finished recordings
+        this.onMatchEnd = null; // (room, final box score) set by the server: career stats
+    }
+
+    // How the last shot went in: 'swish', 'rim' (rolled in) or 'bank'; null
+    // for a ball nobody shot
+    getFinish() {
+        const shot = this.lastShot;
+        if (!shot) return null;
+        if (shot.rim) return 'rim';
+        return shot.board ? 'bank' : 'swish';
+    }
+
+    // Bots are trusted; humans are reported through their socket
+    reportViolation(id, type, detail) {
+        if (this.bots[id] || !this.onViolation) return;
+        const socket = this.io.sockets.sockets.get(id);
+        if (socket) this.onViolation(socket, type, detail);
+    }
+
+    emit(event, data) {
+        this.io.to(this.code).emit(event, data);
+        if (this.recorder) this.recorder.recordEvent(Date.now(), event, data);
+    }
+
+    startMatch() {
+        this.resetStats();
+        this.startRecording();
+    }
+
+    // Everyone gets the final box score with the buzzer
+    endMatch() {
+        const boxScore = this.getBoxScore();
+        this.emit('box_score', boxScore);
+        if (this.onMatchEnd) this.onMatchEnd(this, boxScore);
+        this.finishRecording();
+    }
+
+    // --- Stats ---
+
+    resetStats() {
+        this.stats = {};
+        for (const id in this.players) this.stats[id] = createPlayerStats(this.players[id]);
+    }
+
+    // Counts only in live play: warmup and dead balls don't make the box score
+    addStat(id, field, amount = 1) {
+        const line = this.stats[id];
+        if (line && this.match.state === MATCH_STATES.LIVE) line[field] += amount;
+    }
+
+    // Made field goal (goaltending counts as made), and the assist if the
+    // shooter scored off a teammate's pass
+    countBasket(data) {
+        if (!data.counted || !data.shooterId) return;
+        const shot = this.lastShot;
+        if (shot && shot.chart && shot.shooterId === data.shooterId) shot.chart.made = true;
+        this.addStat(data.shooterId, 'points', data.points);
+        this.addStat(data.shooterId, data.points === 3 ? 'fgm3' : 'fgm2');
+
+        const assist = this.assist;
+        if (assist && assist.receiverId === data.shooterId && Date.now() - assist.time < ASSIST_TIME * 1000) {
+            this.addStat(assist.passerId, 'assists');
+        }
+        this.assist = null;
+    }
+
+    // The last shot is over: in, rebounded, or the ball was reset. Counted
+    // attempts go out for the clients' shot charts.
+    endShot() {
+        const shot = this.lastShot;
+        this.lastShot = null;
+        if (shot && shot.chart) {
+            this.emit('shot_charted', { playerId: shot.shooterId, teamId: shot.teamId, ...shot.chart });
+        }
+    }
+
+    getBoxScore() {
+        return {
+            code: this.code,
+            name: this.name,
+            mode: this.mode,
+            quarter: this.match.quarter,
+            final: this.match.state === MATCH_STATES.FINAL,
+            score: { ...this.match.score },
+            players: Object.values(this.stats)
+        };
+    }
+
+    // --- Replay ---
+
+    startRecording() {
+        this.recorder = new ReplayRecorder(this, Object.values(this.players));
+    }
+
+    // Match over, or the room closing mid-match: hand the file to the server
+    finishRecording() {
+        const recorder = this.recorder;
+        if (!recorder) return;
+        this.recorder = null;
+        if (this.onReplay) this.onReplay(this, recorder.encode());
+    }
+
+    getPlayerCount() {
+        return Object.keys(this.players).length;
+    }
+
+    getBotCount() {
+        return Object.keys(this.bots).length;
+    }
+
+    getHumanCount() {
+        return this.getPlayerCount() - this.getBotCount();
+    }
+
+    // Bots give their slot up to humans, so only humans make a room full
+    isFull() {
+        return this.getHumanCount() >= this.maxPlayers;
+    }
+
+    isEmpty() {
+        return this.getHumanCount() === 0;
+    }
+
+    // Lobby listing entry
+    getSummary() {
+        return {
+            code: this.code,
+            name: this.name,
+            mode: this.mode,
+            players: this.getPlayerCount(),
+            bots: this.getBotCount(),
+            botDifficulty: this.botDifficulty,
+            maxPlayers: this.maxPlayers,
+            state: this.match.state
+        };
+    }
+
+    getTeamCounts() {
+        const counts = { home: 0, away: 0 };
+        for (const id in this.players) {
+            counts[this.players[id].teamId]++;
+        }
+        return counts;
+    }
+
+    // Auto-balance: join the team with fewer players (home on a tie)
+    pickTeam() {
+        const counts = this.getTeamCounts();
+        return counts.away < counts.home ? 'away' : 'home';
+    }
+
+    // After someone leaves, move a player over if one team is 2+ bigger
+    rebalanceTeams() {
+        const counts = this.getTeamCounts();
+        const [small, big] = counts.home < counts.away ? TEAM_IDS : [...TEAM_IDS].reverse();
+        if (counts[big] - counts[small] < 2) return;
+
+        // Prefer someone without the ball
+        const candidates = Object.values(this.players).filter((p) => p.teamId === big);
+        const mover = candidates.find((p) => p.id !== this.ballState.ownerId) || candidates[0];
+        mover.teamId = small;
+        if (this.stats[mover.id]) this.stats[mover.id].teamId = small;
+        this.emit('player_team', { id: mover.id, teamId: small });
+    }
+
+    getTeamOf(id) {
+        return this.players[id] ? this.players[id].teamId : null;
+    }
+
+    // Spawn in our own half, facing the hoop we attack
+    getSpawn(teamId) {
+        const side = teamId === 'home' ? 1 : -1;
+        return { position: { x: 0, y: 2, z: 5 * side }, yaw: side > 0 ? 0 : Math.PI };
+    }
+
+    // Small per-room index that identifies a player in snapshots
+    getFreeSlot() {
+        const used = new Set(Object.values(this.players).map((p) => p.slot));
+        let slot = 0;
+        while (used.has(slot)) slot++;
+        return slot;
+    }
+
+    // profile: { id, name } of a signed-in human (Profiles), null for bots and guests
+    createPlayer(id, isBot, profile = null) {
+        const teamId = this.pickTeam();
+        const spawn = this.getSpawn(teamId);
+        this.players[id] = {
+            id,
+            slot: this.getFreeSlot(),
+            teamId,
+            isBot,
+            name: profile ? profile.name : null,
+            profileId: profile ? profile.id : null,
+            ...createMovementState(spawn.position), // position, velocity, onGround, stamina
+            yaw: spawn.yaw,
+            pitch: 0,
+            quaternion: quaternionFromYawPitch(spawn.yaw, 0, {}),
+            animState: 'idle',
+            lastInputSeq: 0, // Last movement input applied (acked back to the client)
+            inputBudget: INPUT_BUDGET_MAX,
+            ackPending: false
+        };
+        this.stats[id] = createPlayerStats(this.players[id]);
+        return this.players[id];
+    }
+
+    addPlayer(socket, profile = null) {
+        socket.join(this.code);
+
+        // Take a bot's place if the room is full of them
+        if (this.getPlayerCount() >= this.maxPlayers) this.removeBot();
+
+        this.createPlayer(socket.id, false, profile);
+        this.clients[socket.id] = { sent: new Map(), ackId: null, ackSentIn: null };
+
+        // Send current state to new player
+        socket.emit('init', {
+            room: this.getSummary(),
+            players: this.players,
+            ballState: this.getBallSnapshot(),
+            match: this.match.getSnapshot()
+        });
+
+        // Broadcast new player to others
+        socket.to(this.code).emit('player_joined', this.players[socket.id]);
+        if (this.recorder) this.recorder.recordEvent(Date.now(), 'player_joined', getReplayPlayer(this.players[socket.id]));
+    }
+
+    removePlayer(socket) {
+        socket.leave(this.code);
+        this.removeParticipant(socket.id);
+        if (this.fillWithBots && !this.isEmpty()) this.fillBots();
+    }
+
+    // Human or bot
+    removeParticipant(id) {
+        if (this.stats[id]) this.stats[id].onCourt = false;
+        delete this.players[id];
+        delete this.bots[id];
+        delete this.clients[id];
+        delete this.pickupBlockedUntil[id];
+        this.emit('player_left', id);
+
+        // If they had the ball, reset it
+        if (this.ballState.ownerId === id) {
+            this.resetBall();
+            this.broadcastBall();
+        }
+
+        this.rebalanceTeams();
+    }
+
+    // --- Bots ---
+
+    // Returns the bot's player record, or null if every slot is taken
+    addBot() {
+        if (this.getPlayerCount() >= this.maxPlayers) return null;
+
+        const player = this.createPlayer(`bot-${++this.botCounter}`, true);
+        this.bots[player.id] = new Bot(this, player, this.botDifficulty);
+        this.emit('player_joined', player);
+        return player;
+    }
+
+    // Removes a bot from the bigger team; false if there are none
+    removeBot() {
+        const counts = this.getTeamCounts();
+        const bots = Object.values(this.bots).map((bot) => bot.player);
+        if (bots.length === 0) return false;
+
+        bots.sort((a, b) => counts[b.teamId] - counts[a.teamId]);
+        this.removeParticipant(bots[0].id);
+        return true;
+    }
+
+    fillBots() {
+        while (this.addBot());
+    }
+
+    resetBall(position = BALL_SPAWN) {
+        this.activePass = null;
+        this.endShot();
+        this.handling.dribbling = false;
+        this.ballState.ownerId = null;
+        this.ballState.position = { ...position };
+        this.ballState.velocity = { x: 0, y: 0, z: 0 };
+        this.reachedFrontcourt = false;
+    }
+
+    setBallOwner(id) {
+        const teamId = this.getTeamOf(id);
+        if (teamId !== this.lastTouchTeamId) this.reachedFrontcourt = false; // New possession
+
+        // Off a shot that hit something: a rebound
+        const shot = this.lastShot;
+        if (shot && shot.touched) this.addStat(id, teamId === shot.teamId ? 'offRebounds' : 'defRebounds');
+        this.assist = null;
+
+        this.ballState.ownerId = id;
+        this.ballState.velocity = { x: 0, y: 0, z: 0 };
+        this.endShot();
+        this.activePass = null;
+        this.handling = { dribbling: false, hasDribbled: false, pivot: null, airborne: false, since: Date.now() };
+        this.lastTouchTeamId = teamId;
+        this.match.setPossession(teamId);
+    }
+
+    // Inbound: the team's player closest to the spot gets the ball
+    giveBallToTeam(teamId, spot) {
+        let closest = null;
+        let closestDist = Infinity;
+        for (const id in this.players) {
+            const player = this.players[id];
+            if (player.teamId !== teamId) continue;
+            const dist = distanceSq(player.position, spot);
+            if (dist < closestDist) {
+                closest = player;
+                closestDist = dist;
+            }
+        }
+        if (closest) this.setBallOwner(closest.id);
+    }
+
+    // Ball state stamped with server time (clients interpolate on it)
+    getBallSnapshot() {
+        return { ...this.ballState, dribbling: this.handling.dribbling, t: Date.now() };
+    }
+
+    broadcastBall() {
+        this.emit('ball_state', this.getBallSnapshot());
+    }
+
+    // --- Client Messages ---
+
+    // Binary batch of movement inputs, plus the client's latest snapshot ack
+    handleInputs(socket, data) {
+        const player = this.players[socket.id];
+        if (!player) return;
+        const packet = decodeInputs(data);
+        if (!packet) return this.reportViolation(socket.id, 'malformed', 'input batch');
+
+        const client = this.clients[socket.id];
+        if (client.sent.has(packet.ack)) client.ackId = packet.ack;
+
+        for (const input of packet.inputs) this.applyInput(player, input);
+    }
+
+    // One frame of movement input. The server runs the same step as the
+    // client's prediction; the client can't send more input time than has passed.
+    applyInput(player, input) {
+        if (!(input.seq > player.lastInputSeq)) return; // Old or duplicate
+        player.lastInputSeq = input.seq;
+        player.ackPending = true;
+
+        if (Math.abs(input.yaw) > Math.PI + 0.001 || Math.abs(input.pitch) > Math.PI / 2 + 0.001) {
+            return this.reportViolation(player.id, 'malformed', 'look angles');
+        }
+
+        const dt = Math.min(input.dt, MOVEMENT.maxInputDt);
+        if (!(dt > 0)) return;
+        if (dt > player.inputBudget) {
+            // Dropped; the ack corrects the client. A lag burst does this now and
+            // then, a speed hack (inputs faster than real time) all the time
+            return this.reportViolation(player.id, 'input_overrun');
+        }
+        player.inputBudget -= dt;
+
+        const before = { ...player.position };
+        stepMovement(player, { ...input, dt }, COLLIDERS);
+        this.checkMovement(player, before, dt);
+        this.setLook(player, input.yaw, input.pitch);
+    }
+
+    setLook(player, yaw, pitch) {
+        player.yaw = yaw;
+        player.pitch = pitch;
+        quaternionFromYawPitch(yaw, pitch, player.quaternion);
+    }
+
+    // Plausibility of one movement step: nobody outruns a sprint or outjumps
+    // the jump force. Fails put the player back where the step started.
+    checkMovement(player, before, dt) {
+        const pos = player.position;
+        const dx = pos.x - before.x;
+        const dz = pos.z - before.z;
+        const maxStep = MAX_HORIZONTAL_SPEED * dt + 0.05; // Slack for collision push-out
+
+        let problem = null;
+        if (!Number.isFinite(pos.x) || !Number.isFinite(pos.y) || !Number.isFinite(pos.z)) problem = 'non-finite position';
+        else if (dx * dx + dz * dz > maxStep * maxStep) problem = 'too fast';
+        else if (pos.y > MAX_EYE_HEIGHT) problem = 'too high';
+        if (!problem) return;
+
+        this.reportViolation(player.id, 'impossible_movement', problem);
+        player.position = Number.isFinite(before.x) ? before : { ...this.getSpawn(player.teamId).position };
+        player.velocity = { x: 0, y: 0, z: 0 };
+    }
+
+    // Authoritative movement and ball, delta-encoded per client against the
+    // last snapshot it acknowledged. Volatile: a dropped one is just skipped.
+    sendSnapshots() {
+        const players = Object.values(this.players);
+        const owner = this.players[this.ballState.ownerId];
+        const world = quantizeWorld(this.ballState, owner ? owner.slot : NO_SLOT, players);
+        const id = this.snapshotId = (this.snapshotId + 1) & 0xFFFF;
+        const t = Date.now();
+        if (this.recorder) this.recorder.recordFrame(t, world);
+
+        for (const player of players) {
+            const client = this.clients[player.id];
+            if (!client) continue; // Bot
+            const baseline = client.ackId !== null ? client.sent.get(client.ackId) : null;
+
+            // Input ack: new, or repeated until a snapshot carrying it is acknowledged
+            const ackUnconfirmed = client.ackSentIn !== null &&
+                (client.ackId === null || isNewerId(client.ackSentIn, client.ackId));
+            let ack = null;
+            if (player.ackPending || ackUnconfirmed) {
+                player.ackPending = false;
+                client.ackSentIn = id;
+                ack = {
+                    seq: player.lastInputSeq,
+                    position: player.position,
+                    velocity: player.velocity,
+                    onGround: player.onGround,
+                    stamina: player.stamina
+                };
+            }
+
+            const packet = encodeSnapshot(id, t, world, baseline, client.ackId, ack);
+            this.io.to(player.id).volatile.emit('snapshot', packet);
+
+            client.sent.set(id, world);
+            client.sent.delete((id - NETWORK.snapshotHistory) & 0xFFFF);
+        }
+    }
+
+    // Ball intents: the server decides whether each is allowed and broadcasts the result.
+
+    handleShoot(socket, data) {
+        const player = this.players[socket.id];
+        if (player && data) this.shoot(player, data.direction, data.power);
+    }
+
+    handlePickup(socket) {
+        const player = this.players[socket.id];
+        if (player) this.pickup(player);
+    }
+
+    handleSteal(socket) {
+        const player = this.players[socket.id];
+        if (player) this.steal(player);
+    }
+
+    handleDribble(socket, data) {
+        const player = this.players[socket.id];
+        if (!player) return;
+        if (data.dribble) this.startDribble(player);
+        else this.gatherDribble(player);
+    }
+
+    handlePass(socket, data) {
+        const player = this.players[socket.id];
+        if (player) this.pass(player, this.players[data.targetId], data.type);
+    }
+
+    // Same rules for humans and bots from here on
+
+    shoot(player, dir, power) {
+        const ball = this.ballState;
+        if (ball.ownerId !== player.id || !this.match.isBallLive() || !dir) return;
+
+        const len = Math.sqrt(dir.x * dir.x + dir.y * dir.y + dir.z * dir.z);
+        if (!(len > 0)) return;
+
+        power = Math.max(HANDLING.minPower, Math.min(HANDLING.maxPower, Number(power) || 0));
+
+        getHoldPosition(player.position, player.quaternion, ball.position);
+        const quality = this.rateShot(player, dir, power);
+
+        // Attempt, by where it was taken from
+        const points = isBehindArc(player.position) ? 3 : 2;
+        const line = this.match.state === MATCH_STATES.LIVE ? this.stats[player.id] : null;
+        const chart = line ? { x: player.position.x, z: player.position.z, points, made: false } : null;
+        this.addStat(player.id, points === 3 ? 'fga3' : 'fga2');
+        if (chart) line.shots.push(chart);
+
+        // Off the aimed line by the shot's spread
+        const spread = quality.spread * (Math.PI / 180);
+        const heading = Math.atan2(dir.x, dir.z) + gaussian() * spread;
+        const elevation = Math.asin(dir.y / len) + gaussian() * spread;
+        ball.velocity = {
+            x: Math.sin(heading) * Math.cos(elevation) * power,
+            y: Math.sin(elevation) * power,
+            z: Math.cos(heading) * Math.cos(elevation) * power
+        };
+        ball.ownerId = null;
+        this.activePass = null;
+        this.handling.dribbling = false;
+        // touched: hit the rim, board, floor or a player since the release;
+        // rim/board: hit those (swish, rim-in or bank when it drops)
+        this.lastShot = {
+            shooterId: player.id, teamId: player.teamId, origin: { ...player.position },
+            touched: false, rim: false, board: false, chart
+        };
+        this.reachedFrontcourt = false; // Offensive rebounds may come back from anywhere
+        this.pickupBlockedUntil[player.id] = Date.now() + HANDLING.throwCooldown * 1000;
+        this.broadcastBall();
+        if (this.clients[player.id]) this.io.to(player.id).emit('shot_quality', quality);
+    }
+
+    // How hard a shot (released from the ball's position) is: the release
+    // timing on the meter, what made it harder, and the resulting spread
+    rateShot(player, dir, power) {
+        const hoop = getNearestHoop(player.position);
+        const meter = (power - HANDLING.minPower) / (HANDLING.maxPower - HANDLING.minPower);
+        const speed = Math.sqrt(player.velocity.x ** 2 + player.velocity.z ** 2);
+
+        const quality = {
+            timing: judgeRelease(meter, getIdealRelease(this.ballState.position, dir, hoop.rimCenter)),
+            distance: getShotDistance(player.position, hoop),
+            moving: Math.min(1, speed / MAX_HORIZONTAL_SPEED),
+            fatigue: Math.max(0, 1 - player.stamina / (MOVEMENT.maxStamina * SHOOTING.tiredStamina)),
+            contest: this.getContest(player, hoop)
+        };
+        // Bots aim as well as their difficulty preset
+        const bot = this.bots[player.id];
+        quality.spread = getShotSpread(quality) * (bot ? bot.skill.angleError : 1);
+        return quality;
+    }
+
+    // 0 (open) to 1 (an opponent in the shooter's face, on the way to the hoop)
+    getContest(player, hoop) {
+        const pos = player.position;
+        const toHoopX = hoop.rimCenter.x - pos.x;
+        const toHoopZ = hoop.rimCenter.z - pos.z;
+        let contest = 0;
+
+        for (const id in this.players) {
+            const other = this.players[id];
+            if (other.teamId === player.teamId) continue;
+            const dx = other.position.x - pos.x;
+            const dz = other.position.z - pos.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (dist >= SHOOTING.contestRadius || dx * toHoopX + dz * toHoopZ < 0) continue;
+            contest = Math.max(contest, 1 - dist / SHOOTING.contestRadius);
+        }
+        return contest;
+    }
+
+    // A second dribble after picking the ball up is a double dribble
+    startDribble(player) {
+        const handling = this.handling;
+        if (this.ballState.ownerId !== player.id || handling.dribbling) return;
+        if (handling.hasDribbled) {
+            this.match.turnover(player.teamId, 'double_dribble', player.position);
+            return;
+        }
+
+        handling.dribbling = true;
+        handling.hasDribbled = true;
+        this.broadcastBall();
+    }
+
+    // Picks up the dribble: from here on it's pass or shoot
+    gatherDribble(player) {
+        const handling = this.handling;
+        if (this.ballState.ownerId !== player.id || !handling.dribbling) return;
+
+        handling.dribbling = false;
+        handling.pivot = player.onGround ? { ...player.position } : null;
+        handling.airborne = false;
+        this.broadcastBall();
+    }
+
+    // Thrown at where the receiver will be; caught or picked off in updatePass.
+    // A pass is not a shot, so a pass that drops in does not credit anyone.
+    pass(player, receiver, type) {
+        const ball = this.ballState;
+        if (ball.ownerId !== player.id || !this.match.isBallLive()) return;
+        if (!receiver || receiver === player || receiver.teamId !== player.teamId) return;
+        if (distanceSq(player.position, receiver.position) > PASSING.maxDistance ** 2) return;
+
+        getHoldPosition(player.position, player.quaternion, ball.position);
+        const target = { x: receiver.position.x, y: receiver.position.y - HANDLING.holdDrop, z: receiver.position.z };
+        let velocity = solvePassVelocity(ball.position, target, type);
+        if (!velocity) return;
+
+        // Lead a moving receiver by the flight time of the straight pass
+        const flightTime = Math.sqrt(distanceSq(ball.position, target)) / (Math.sqrt(velocity.x ** 2 + velocity.z ** 2) || 1);
+        target.x += receiver.velocity.x * flightTime;
+        target.z += receiver.velocity.z * flightTime;
+        velocity = solvePassVelocity(ball.position, target, type) || velocity;
+
+        ball.velocity = { x: velocity.x, y: velocity.y, z: velocity.z };
+        ball.ownerId = null;
+        this.handling.dribbling = false;
+        this.lastShot = null;
+        this.activePass = {
+            passerId: player.id,
+            receiverId: receiver.id,
+            teamId: player.teamId,
+            expires: Date.now() + PASSING.catchWindow * 1000
+        };
+        this.pickupBlockedUntil[player.id] = Date.now() + HANDLING.throwCooldown * 1000;
+        this.emit('pass', { passerId: player.id, receiverId: receiver.id, type });
+        this.broadcastBall();
+    }
+
+    pickup(player) {
+        const ball = this.ballState;
+        if (ball.ownerId || !this.match.isBallLive()) return;
+        if (Date.now() < (this.pickupBlockedUntil[player.id] || 0)) return;
+
+        const distSq = distanceSq(player.position, ball.position);
+        if (distSq > (HANDLING.pickupRange * INTENT_RANGE_SLACK) ** 2) {
+            return this.reportViolation(player.id, 'pickup_out_of_range', `${Math.sqrt(distSq).toFixed(1)}m`);
+        }
+        if (distSq > HANDLING.pickupRange ** 2) return;
+
+        this.setBallOwner(player.id);
+        this.broadcastBall();
+    }
+
+    steal(player) {
+        const ball = this.ballState;
+        if (!ball.ownerId || ball.ownerId === player.id) return;
+        if (!this.match.isBallLive()) return;
+
+        // Same range and aim cone as Player.attemptSteal; well outside them is not lag
+        const dist = Math.sqrt(distanceSq(player.position, ball.position));
+        if (dist > HANDLING.stealRange * INTENT_RANGE_SLACK) {
+            return this.reportViolation(player.id, 'steal_out_of_range', `${dist.toFixed(1)}m`);
+        }
+
+        // Must be looking at the ball; a reach-in that isn't is a missed steal
+        const forward = getForward(player.quaternion, {});
+        const dot = (forward.x * (ball.position.x - player.position.x) +
+            forward.y * (ball.position.y - player.position.y) +
+            forward.z * (ball.position.z - player.position.z)) / (dist || 1);
+        if (dist > HANDLING.stealRange || dot <= HANDLING.stealDot) {
+            this.addStat(player.id, 'missedSteals');
+            return;
+        }
+
+        this.addStat(player.id, 'steals');
+        this.addStat(ball.ownerId, 'turnovers');
+        this.setBallOwner(player.id);
+        this.pickupBlockedUntil[player.id] = Date.now() + HANDLING.throwCooldown * 1000;
+        this.broadcastBall();
+    }
+
+    // --- Simulation ---
+
+    // Pass in the air: the receiver catches it on contact, a defender near its
+    // path intercepts. After the catch window it is a loose ball like any other.
+    updatePass() {
+        const pass = this.activePass;
+        if (!pass) return;
+        if (Date.now() > pass.expires || !this.match.isBallLive()) {
+            this.activePass = null;
+            return;
+        }
+
+        const ball = this.ballState.position;
+        const receiver = this.players[pass.receiverId];
+        let catcher = receiver && distanceToBody(ball, receiver.position) <= PASSING.catchRange ? receiver : null;
+        if (!catcher) {
+            catcher = Object.values(this.players).find((player) =>
+                player.teamId !== pass.teamId && distanceToBody(ball, player.position) <= PASSING.interceptRange) || null;
+            if (!catcher) return;
+            this.addStat(catcher.id, 'steals');
+            this.addStat(pass.passerId, 'turnovers');
+            this.emit('pass_intercepted', { passerId: pass.passerId, playerId: catcher.id });
+        }
+
+        this.setBallOwner(catcher.id);
+        if (catcher === receiver) this.assist = { passerId: pass.passerId, receiverId: receiver.id, time: Date.now() };
+        this.broadcastBall();
+    }
+
+    // Out of bounds and backcourt violations for the ball holder
+    checkHolderRules(owner) {
+        if (this.match.state !== MATCH_STATES.LIVE) return;
+
+        if (isOutOfBounds(owner.position)) {
+            this.match.turnover(owner.teamId, 'out_of_bounds', owner.position);
+        } else if (!isInBackcourt(owner.position, owner.teamId)) {
+            this.reachedFrontcourt = true;
+        } else if (this.reachedFrontcourt) {
+            this.match.turnover(owner.teamId, 'backcourt', owner.position);
+        }
+
+        // Travelling: moving with the ball, or jumping and coming down with it,
+        // without dribbling
+        const handling = this.handling;
+        if (handling.dribbling) return;
+        if (!owner.onGround) {
+            if (handling.pivot) handling.airborne = true;
+        } else if (handling.airborne) {
+            this.match.turnover(owner.teamId, 'travel', owner.position);
+        } else if (!handling.pivot) {
+            handling.pivot = { ...owner.position }; // Caught in the air: pivot where we land
+        } else {
+            const dx = owner.position.x - handling.pivot.x;
+            const dz = owner.position.z - handling.pivot.z;
+            if (dx * dx + dz * dz > TRAVEL_DISTANCE * TRAVEL_DISTANCE) {
+                this.match.turnover(owner.teamId, 'travel', owner.position);
+            }
+        }
+    }
+
+    // Players don't pass through each other: overlaps are split evenly
+    resolveBodies() {
+        const players = Object.values(this.players);
+        for (let i = 0; i < players.length; i++) {
+            for (let j = i + 1; j < players.length; j++) {
+                const contact = separateBodies(players[i].position, players[j].position);
+                if (contact) this.checkContactFoul(players[i], players[j], contact);
+            }
+        }
+    }
+
+    // Contact with the ball handler: running into a set defender is charging,
+    // a defender running into the handler is blocking. Loose-ball scrambles
+    // play on.
+    checkContactFoul(a, b, contact) {
+        if (this.match.state !== MATCH_STATES.LIVE || a.teamId === b.teamId) return;
+        const ownerId = this.ballState.ownerId;
+        if (ownerId !== a.id && ownerId !== b.id) return;
+        if (Date.now() - this.handling.since < SCRAMBLE_TIME * 1000) return;
+
+        // Normal from the defender towards the handler
+        const handler = ownerId === a.id ? a : b;
+        const defender = handler === a ? b : a;
+        const sign = handler === a ? 1 : -1;
+        const nx = contact.nx * sign;
+        const nz = contact.nz * sign;
+        const handlerSpeed = -(handler.velocity.x * nx + handler.velocity.z * nz);
+        const defenderSpeed = defender.velocity.x * nx + defender.velocity.z * nz;
+
+        if (handlerSpeed > FOUL_SPEED && defenderSpeed < SET_SPEED) {
+            this.match.foul(handler.teamId, 'charging', handler.position, handler.id);
+        } else if (defenderSpeed > FOUL_SPEED) {
+            this.match.foul(defender.teamId, 'blocking', handler.position, defender.id);
+        }
+    }
+
+    // Loose ball: the usual sub-steps. A shot is solid to players until it
+    // first touches anything (blocks); after that it is a rebound, gathered
+    // with a pickup rather than batted around. The shooter is left out while
+    // they may not touch it.
+    stepLooseBall(dt) {
+        const ball = this.ballState;
+        const shot = this.lastShot;
+        const now = Date.now();
+        const bodies = [];
+        for (const id in this.players) {
+            if (this.pickupBlockedUntil[id] > now) continue;
+            const player = this.players[id];
+            bodies.push({ player, position: player.position, airborne: !player.onGround });
+        }
+
+        const from = this.lastBallPosition;
+        let remaining = dt;
+        while (remaining > 0) {
+            const step = Math.min(remaining, BALL.subStepSize);
+            remaining -= step;
+            from.x = ball.position.x; from.y = ball.position.y; from.z = ball.position.z;
+
+            const hit = stepBall(ball, step, COLLIDERS);
+            if (hit && shot) {
+                shot.touched = true;
+                if (hit.kind === 'rim') shot.rim = true;
+                if (hit.kind === 'board') shot.board = true;
+            }
+
+            // Basket: down through a ring
+            const hoopIndex = findBasket(from, ball.position);
+            if (hoopIndex !== -1 && this.match.isBallLive()) this.match.registerBasket(hoopIndex, this.lastShot);
+            if (!shot || shot.touched) continue;
+
+            const contact = collideBallWithPlayers(ball, bodies, step);
+            if (contact) this.touchShot(shot, contact.body.player, contact.part, contact.falling);
+        }
+    }
+
+    // A player got a body or hands on a shot in flight: a block, or goaltending
+    touchShot(shot, player, part, falling) {
+        const ball = this.ballState;
+        shot.touched = true;
+        this.lastTouchTeamId = player.teamId;
+        if (!this.match.isBallLive()) return;
+
+        // Falling towards the rim from above it: the defence gives up the basket,
+        // the offence loses the ball
+        const hoop = getNearestHoop(ball.position);
+        const dx = ball.position.x - hoop.rimCenter.x;
+        const dz = ball.position.z - hoop.rimCenter.z;
+        if (falling && ball.position.y > hoop.rimCenter.y + BALL.radius &&
+            dx * dx + dz * dz < BLOCKING.goaltendRadius * BLOCKING.goaltendRadius) {
+            if (player.teamId === hoop.teamId) {
+                this.match.registerBasket(HOOPS.indexOf(hoop), shot, player.id);
+            } else {
+                this.match.turnover(player.teamId, 'offensive_goaltending', ball.position, player.id);
+            }
+            this.endShot();
+            return;
+        }
+
+        if (player.teamId !== shot.teamId) {
+            this.addStat(player.id, 'blocks');
+            this.emit('shot_blocked', { playerId: player.id, shooterId: shot.shooterId, part, position: { ...ball.position } });
+        }
+    }
+
+    // Fixed-tick ball simulation + match clock
+    tick(dt) {
+        const ball = this.ballState;
+        this.tickCount++;
+
+        const gameClock = this.match.gameClock;
+        this.match.update(dt, this.getPlayerCount());
+        const played = Math.max(0, gameClock - this.match.gameClock); // Minutes played run with the game clock
+
+        // Refill each client's movement input allowance with real time
+        for (const id in this.players) {
+            const player = this.players[id];
+            player.inputBudget = Math.min(INPUT_BUDGET_MAX, player.inputBudget + dt);
+            if (played > 0 && this.stats[id]) this.stats[id].seconds += played;
+        }
+
+        // Bots move with the same step as everyone else, one input per tick
+        for (const id in this.bots) {
+            const bot = this.bots[id];
+            const input = bot.update(dt);
+            input.dt = dt;
+            stepMovement(bot.player, input, COLLIDERS);
+            this.setLook(bot.player, input.yaw, input.pitch);
+        }
+
+        this.resolveBodies();
+
+        if (ball.ownerId) {
+            // Held: ball follows the owner's hands
+            const owner = this.players[ball.ownerId];
+            if (owner) {
+                if (this.handling.dribbling) {
+                    stepDribble(ball, getDribbleHand(owner.position, owner.quaternion, this.handPosition), dt, COLLIDERS);
+                } else {
+                    getHoldPosition(owner.position, owner.quaternion, ball.position);
+                }
+                this.checkHolderRules(owner);
+            } else {
+                this.resetBall();
+            }
+        } else {
+            this.stepLooseBall(dt);
+
+            // Floor safety
+            if (ball.position.y < -10) this.resetBall();
+
+            // Loose ball touching the floor outside the lines
+            if (this.match.state === MATCH_STATES.LIVE &&
+                ball.position.y <= BALL.radius + 0.05 && isOutOfBounds(ball.position)) {
+                this.match.turnover(this.lastTouchTeamId, 'out_of_bounds', ball.position);
+            }
+
+            this.updatePass();
+        }
+
+        if (this.tickCount % SNAPSHOT_EVERY === 0) {
+            this.sendSnapshots();
+        }
+
+        if (this.tickCount % MATCH_SYNC_EVERY === 0) {
+            this.io.to(this.code).volatile.emit('match_state', this.match.getSnapshot());
+        }
+    }
+}
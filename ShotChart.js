@@ -0,0 +1,263 @@
+import { TEAMS } from './Teams.js';
+import { COURT } from './Court.js';
+
+export const SHOT_CHART = {
+    storageKey: 'shotChart',
+    maxShots: 2000, // Oldest shots are dropped past this
+    pixelsPerMeter: 20, // Chart texture resolution
+    cellSize: 0.5, // Heatmap grid (m)
+    spread: 1.0, // Gaussian radius of one attempt on the heatmap (m)
+    markerRadius: 0.2 // Made/missed marks (m)
+};
+
+// Shot chart: every counted attempt the server reports (shot_charted), kept
+// for the browser session, drawn onto a court-sized canvas as a heatmap with
+// made/missed marks. World lays the canvas over the floor.
+// Shots: { playerId, teamId, x, z, points, made, mine }.
+export class ShotChart {
+    constructor() {
+        this.shots = this.load();
+        this.visible = false;
+        this.filter = { player: 'me', result: 'all' }; // player: 'me', 'all' or a player id
+        this.onChange = null; // Redrawn canvas, while visible
+
+        const width = COURT.halfWidth * 2;
+        const length = COURT.halfLength * 2;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width * SHOT_CHART.pixelsPerMeter;
+        this.canvas.height = length * SHOT_CHART.pixelsPerMeter;
+        this.grid = document.createElement('canvas'); // One pixel per heatmap cell, scaled up smoothly
+        this.grid.width = Math.round(width / SHOT_CHART.cellSize);
+        this.grid.height = Math.round(length / SHOT_CHART.cellSize);
+
+        this.createUI();
+    }
+
+    // --- History ---
+
+    load() {
+        try {
+            return JSON.parse(sessionStorage.getItem(SHOT_CHART.storageKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            sessionStorage.setItem(SHOT_CHART.storageKey, JSON.stringify(this.shots));
+        } catch (e) {
+            // Storage full or disabled: the chart still works until reload
+        }
+    }
+
+    // shot: a shot_charted event; myId: our socket id (changes on reconnect, so kept as `mine`)
+    add(shot, myId) {
+        this.shots.push({
+            playerId: shot.playerId,
+            teamId: shot.teamId,
+            x: shot.x,
+            z: shot.z,
+            points: shot.points,
+            made: shot.made,
+            mine: shot.playerId === myId
+        });
+        if (this.shots.length > SHOT_CHART.maxShots) this.shots.splice(0, this.shots.length - SHOT_CHART.maxShots);
+        this.save();
+        this.updatePlayerOptions();
+        if (this.visible) this.redraw();
+    }
+
+    clear() {
+        this.shots = [];
+        this.save();
+        this.updatePlayerOptions();
+        this.redraw();
+    }
+
+    getFilteredShots() {
+        const { player, result } = this.filter;
+        return this.shots.filter((shot) => {
+            if (player === 'me' && !shot.mine) return false;
+            if (player !== 'me' && player !== 'all' && shot.playerId !== player) return false;
+            if (result === 'made') return shot.made;
+            if (result === 'missed') return !shot.made;
+            return true;
+        });
+    }
+
+    // --- UI ---
+
+    createUI() {
+        this.panel = document.createElement('div');
+        this.panel.style.position = 'absolute';
+        this.panel.style.bottom = '20px';
+        this.panel.style.left = '20px';
+        this.panel.style.padding = '10px';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        this.panel.style.borderRadius = '5px';
+        this.panel.style.color = 'white';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '14px';
+        this.panel.style.display = 'none';
+        document.body.appendChild(this.panel);
+
+        const title = document.createElement('div');
+        title.innerText = 'SHOT CHART (H to hide, ESC frees the mouse)';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '5px';
+        this.panel.appendChild(title);
+
+        this.playerSelect = document.createElement('select');
+        this.playerSelect.addEventListener('change', () => this.setFilter({ player: this.playerSelect.value }));
+        this.panel.appendChild(this.playerSelect);
+
+        this.resultSelect = document.createElement('select');
+        this.resultSelect.style.marginLeft = '5px';
+        for (const [value, label] of [['all', 'Made and missed'], ['made', 'Made'], ['missed', 'Missed']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = label;
+            this.resultSelect.appendChild(option);
+        }
+        this.resultSelect.addEventListener('change', () => this.setFilter({ result: this.resultSelect.value }));
+        this.panel.appendChild(this.resultSelect);
+
+        const clearButton = document.createElement('button');
+        clearButton.innerText = 'Clear';
+        clearButton.style.marginLeft = '5px';
+        clearButton.addEventListener('click', () => this.clear());
+        this.panel.appendChild(clearButton);
+
+        this.summaryText = document.createElement('div');
+        this.summaryText.style.marginTop = '5px';
+        this.panel.appendChild(this.summaryText);
+
+        this.updatePlayerOptions();
+    }
+
+    // Me, everyone, then each player in the history
+    updatePlayerOptions() {
+        const options = [['me', 'Me'], ['all', 'Everyone']];
+        const seen = new Set();
+        for (const shot of this.shots) {
+            if (shot.mine || seen.has(shot.playerId)) continue;
+            seen.add(shot.playerId);
+            options.push([shot.playerId, `${TEAMS[shot.teamId].name} ${shot.playerId.slice(0, 8)}`]);
+        }
+        if (!options.some(([value]) => value === this.filter.player)) this.filter.player = 'me';
+
+        this.playerSelect.innerHTML = '';
+        for (const [value, label] of options) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = label;
+            this.playerSelect.appendChild(option);
+        }
+        this.playerSelect.value = this.filter.player;
+    }
+
+    setFilter(filter) {
+        Object.assign(this.filter, filter);
+        this.redraw();
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+        if (this.visible) this.redraw();
+        else if (this.onChange) this.onChange(null);
+    }
+
+    // --- Drawing ---
+
+    redraw() {
+        const shots = this.getFilteredShots();
+        const made = shots.filter((shot) => shot.made).length;
+        this.summaryText.innerText = shots.length
+            ? `${made}/${shots.length} (${Math.round((made / shots.length) * 100)}%)`
+            : 'No shots yet';
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawHeatmap(ctx, shots);
+        for (const shot of shots) this.drawMarker(ctx, shot);
+
+        if (this.visible && this.onChange) this.onChange(this.canvas);
+    }
+
+    // Court metres -> canvas pixels (x across, z down the canvas)
+    toCanvas(x, z) {
+        return {
+            x: (x + COURT.halfWidth) * SHOT_CHART.pixelsPerMeter,
+            y: (z + COURT.halfLength) * SHOT_CHART.pixelsPerMeter
+        };
+    }
+
+    drawHeatmap(ctx, shots) {
+        if (!shots.length) return;
+        const { width, height } = this.grid;
+        const density = new Float32Array(width * height);
+        const reach = Math.ceil((SHOT_CHART.spread * 2) / SHOT_CHART.cellSize);
+        const spread2 = 2 * SHOT_CHART.spread * SHOT_CHART.spread;
+
+        for (const shot of shots) {
+            const col = Math.floor((shot.x + COURT.halfWidth) / SHOT_CHART.cellSize);
+            const row = Math.floor((shot.z + COURT.halfLength) / SHOT_CHART.cellSize);
+            for (let r = Math.max(0, row - reach); r <= Math.min(height - 1, row + reach); r++) {
+                for (let c = Math.max(0, col - reach); c <= Math.min(width - 1, col + reach); c++) {
+                    const dx = (c + 0.5) * SHOT_CHART.cellSize - COURT.halfWidth - shot.x;
+                    const dz = (r + 0.5) * SHOT_CHART.cellSize - COURT.halfLength - shot.z;
+                    density[r * width + c] += Math.exp(-(dx * dx + dz * dz) / spread2);
+                }
+            }
+        }
+
+        let max = 0;
+        for (const value of density) max = Math.max(max, value);
+        const gridCtx = this.grid.getContext('2d');
+        const image = gridCtx.createImageData(width, height);
+        for (let i = 0; i < density.length; i++) {
+            const heat = density[i] / max;
+            if (heat < 0.02) continue;
+            const [r, g, b] = heatColor(heat);
+            image.data.set([r, g, b, Math.round(Math.min(1, heat * 1.5) * 180)], i * 4);
+        }
+        gridCtx.putImageData(image, 0, 0);
+
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.grid, 0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // Made: green dot, missed: red cross; threes are outlined white / lighter
+    drawMarker(ctx, shot) {
+        const { x, y } = this.toCanvas(shot.x, shot.z);
+        const radius = SHOT_CHART.markerRadius * SHOT_CHART.pixelsPerMeter;
+        ctx.lineWidth = 2;
+        if (shot.made) {
+            ctx.fillStyle = '#00e050';
+            ctx.strokeStyle = shot.points === 3 ? 'white' : 'black';
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        } else {
+            ctx.strokeStyle = shot.points === 3 ? '#ff8080' : '#ff2020';
+            ctx.beginPath();
+            ctx.moveTo(x - radius, y - radius);
+            ctx.lineTo(x + radius, y + radius);
+            ctx.moveTo(x + radius, y - radius);
+            ctx.lineTo(x - radius, y + radius);
+            ctx.stroke();
+        }
+    }
+}
+
+// Cold to hot: blue, cyan, yellow, red
+function heatColor(heat) {
+    const stops = [[0, 80, 255], [0, 220, 255], [255, 230, 0], [255, 30, 0]];
+    const scaled = heat * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(scaled));
+    const t = scaled - i;
+    return stops[i].map((value, k) => Math.round(value + (stops[i + 1][k] - value) * t));
+}
@@ -0,0 +1,80 @@
+// Per-player box score: counted by the server during live play (Room), shown
+// and exported by the client (BoxScore), added up into careers (Profiles).
+// Plain JS, shared by both.
+
+// Numbers of a stat line that add up across players and matches
+export const COUNTING_FIELDS = [
+    'seconds', 'points', 'fgm2', 'fga2', 'fgm3', 'fga3',
+    'offRebounds', 'defRebounds', 'assists', 'steals', 'missedSteals', 'blocks', 'turnovers', 'fouls'
+];
+
+// Fields of a stat line, in CSV column order
+const CSV_FIELDS = ['id', 'name', 'teamId', 'isBot', ...COUNTING_FIELDS];
+
+export function createPlayerStats(player) {
+    return {
+        id: player.id,
+        name: player.name || null, // Display name of a signed-in human
+        profileId: player.profileId || null, // Their career (Profiles), null for bots and guests
+        teamId: player.teamId,
+        isBot: player.isBot,
+        onCourt: true, // False once they leave; the line stays in the box score
+        seconds: 0, // On the court while the game clock ran
+        points: 0,
+        fgm2: 0, fga2: 0, // Field goals made/attempted inside the arc...
+        fgm3: 0, fga3: 0, // ...and behind it
+        offRebounds: 0,
+        defRebounds: 0,
+        assists: 0,
+        steals: 0, // Includes intercepted passes
+        missedSteals: 0, // Reach-ins that came away empty
+        blocks: 0,
+        turnovers: 0,
+        fouls: 0,
+        shots: [] // { x, z, points, made } where each attempt was released from
+    };
+}
+
+function formatMinutes(seconds) {
+    const total = Math.floor(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function formatPercent(made, attempted) {
+    return attempted ? `${Math.round((made / attempted) * 100)}%` : '-';
+}
+
+// Box score table columns: label and how to show a stat line (or a team's sum of them)
+export const BOX_SCORE_COLUMNS = [
+    { label: 'MIN', value: (s) => formatMinutes(s.seconds) },
+    { label: 'PTS', value: (s) => s.points },
+    { label: '2PT', value: (s) => `${s.fgm2}-${s.fga2}` },
+    { label: '3PT', value: (s) => `${s.fgm3}-${s.fga3}` },
+    { label: 'FG%', value: (s) => formatPercent(s.fgm2 + s.fgm3, s.fga2 + s.fga3) },
+    { label: 'OREB', value: (s) => s.offRebounds },
+    { label: 'DREB', value: (s) => s.defRebounds },
+    { label: 'AST', value: (s) => s.assists },
+    { label: 'STL', value: (s) => `${s.steals}-${s.steals + s.missedSteals}` },
+    { label: 'BLK', value: (s) => s.blocks },
+    { label: 'TO', value: (s) => s.turnovers },
+    { label: 'PF', value: (s) => s.fouls }
+];
+
+// Totals of several stat lines (a team row)
+export function sumStats(lines) {
+    const total = createPlayerStats({ id: 'TOTAL', teamId: null, isBot: false });
+    for (const line of lines) {
+        for (const field of COUNTING_FIELDS) total[field] += line[field];
+    }
+    return total;
+}
+
+// One row per player, raw numbers (no shot locations)
+export function boxScoreToCSV(boxScore) {
+    const quote = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    const rows = [CSV_FIELDS.join(',')];
+    for (const line of boxScore.players) {
+        rows.push(CSV_FIELDS.map((field) => quote(line[field])).join(','));
+    }
+    return `${rows.join('\n')}\n`;
+}
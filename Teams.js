@@ -0,0 +1,12 @@
+// Team definitions shared by the client (labels, colours) and the server
+// (assignment, scoring).
+export const TEAMS = {
+    home: { id: 'home', name: 'HOME', color: 0x1e90ff }, // Blue
+    away: { id: 'away', name: 'AWAY', color: 0xff3030 } // Red
+};
+
+export const TEAM_IDS = ['home', 'away'];
+
+export function getOpponent(teamId) {
+    return teamId === 'home' ? 'away' : 'home';
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { simulateBall } from './Physics.js';
 
 export class Trajectory {
     constructor(scene) {
@@ -18,20 +19,16 @@ export class Trajectory {
         // Dummy for matrix calculations
         this.dummy = new THREE.Object3D();
 
-        // Physics Params
-        this.gravity = 15.0;
-        this.drag = 0.5;
-
-        this.raycaster = new THREE.Raycaster();
+        // Simulation state, stepped with the same physics as the Ball
+        this.sim = { position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 0 } };
     }
 
-    update(origin, velocity, collidables) {
+    update(origin, velocity, colliders) {
         this.mesh.visible = true;
 
-        // Simulation State
-        const pos = origin.clone();
-        const vel = velocity.clone();
-        const nextPos = new THREE.Vector3();
+        const sim = this.sim;
+        sim.position.x = origin.x; sim.position.y = origin.y; sim.position.z = origin.z;
+        sim.velocity.x = velocity.x; sim.velocity.y = velocity.y; sim.velocity.z = velocity.z;
 
         let stopped = false;
 
@@ -46,41 +43,14 @@ export class Trajectory {
                 continue;
             }
 
-            // Physics Step
-            vel.y -= this.gravity * this.stepSize;
-            vel.x -= vel.x * this.drag * this.stepSize;
-            vel.z -= vel.z * this.drag * this.stepSize;
-
-            nextPos.copy(pos).addScaledVector(vel, this.stepSize);
-
-            // Check Collision (Raycast from pos to nextPos)
-            const direction = nextPos.clone().sub(pos);
-            const distance = direction.length();
-            direction.normalize();
-
-            this.raycaster.set(pos, direction);
-            this.raycaster.far = distance;
-
-            // Filter meshes only? For now intersectObjects is fine
-            // We assume collidables are Meshes
-            const intersects = this.raycaster.intersectObjects(collidables, false);
-
-            if (intersects.length > 0) {
-                // Hit! Move to hit point and stop
-                pos.copy(intersects[0].point);
+            // Advance one dot's worth of time using the Ball's sub-steps.
+            // Stop at the first contact (same contact point the real ball hits).
+            if (simulateBall(sim, this.stepSize, colliders)) {
                 stopped = true;
-            } else {
-                pos.copy(nextPos);
             }
 
             // Render Dot
-            this.dummy.position.copy(pos);
-
-            // Floor check (hardcoded fallback if no floor collider passed)
-            if (pos.y < 0 && !stopped) {
-                // Should have hit floor collider, but just in case
-            }
-
+            this.dummy.position.copy(sim.position);
             this.dummy.scale.set(1, 1, 1);
             this.dummy.updateMatrix();
             this.mesh.setMatrixAt(i, this.dummy.matrix);
@@ -0,0 +1,159 @@
+// Server-side checks on everything a client sends: a schema per socket
+// event, and a per-socket violation log that kicks repeat offenders.
+
+import { ROOM_MODES } from './Room.js';
+import { NETWORK } from './Protocol.js';
+import { BOT_DIFFICULTIES } from './BotDifficulties.js';
+
+// --- Schemas ---
+// Each event lists its arguments in order. Argument specs:
+//   { type: 'string', max, oneOf }        { type: 'number', min, max }
+//   { type: 'boolean' }
+//   { type: 'object', fields: { ... } }   { type: 'binary', maxBytes }
+//   { type: 'function' } (ack callback)   optional: true on any spec
+// Objects may not carry keys outside `fields`.
+
+const ACK = { type: 'function' };
+const VECTOR3 = {
+    type: 'object',
+    fields: {
+        x: { type: 'number', min: -1e3, max: 1e3 },
+        y: { type: 'number', min: -1e3, max: 1e3 },
+        z: { type: 'number', min: -1e3, max: 1e3 }
+    }
+};
+
+export const EVENT_SCHEMAS = {
+    login: [{
+        type: 'object',
+        fields: {
+            token: { type: 'string', max: 64 },
+            name: { type: 'string', max: 64, optional: true }
+        }
+    }, ACK],
+    sign_up: [{ type: 'object', fields: { name: { type: 'string', max: 64, optional: true } } }, ACK],
+    list_rooms: [ACK],
+    create_room: [{
+        type: 'object',
+        fields: {
+            name: { type: 'string', max: 64, optional: true },
+            mode: { type: 'string', oneOf: Object.keys(ROOM_MODES), optional: true },
+            fillWithBots: { type: 'boolean', optional: true },
+            botDifficulty: { type: 'string', oneOf: Object.keys(BOT_DIFFICULTIES), optional: true }
+        }
+    }, ACK],
+    join_room: [{ type: 'object', fields: { code: { type: 'string', max: 8 } } }, ACK],
+    add_bot: [{ type: 'object', fields: { code: { type: 'string', max: 8 } } }, ACK],
+    remove_bot: [{ type: 'object', fields: { code: { type: 'string', max: 8 } } }, ACK],
+    leave_room: [],
+    inputs: [{ type: 'binary', maxBytes: 3 + NETWORK.maxInputsPerPacket * 11 }],
+    ball_shoot: [{
+        type: 'object',
+        fields: {
+            direction: VECTOR3,
+            power: { type: 'number', min: 0, max: 1e3 }
+        }
+    }],
+    ball_pickup: [],
+    ball_steal: [],
+    ball_pass: [{
+        type: 'object',
+        fields: {
+            targetId: { type: 'string', max: 64 },
+            type: { type: 'string', oneOf: ['chest', 'lob'] }
+        }
+    }],
+    ball_dribble: [{ type: 'object', fields: { dribble: { type: 'boolean' } } }],
+    get_box_score: [ACK]
+};
+
+function checkValue(spec, value, path) {
+    if (value === undefined || value === null) {
+        return spec.optional ? null : `${path} is missing`;
+    }
+
+    switch (spec.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${path} must be a string`;
+            if (spec.max !== undefined && value.length > spec.max) return `${path} is too long`;
+            if (spec.oneOf && !spec.oneOf.includes(value)) return `${path} is not allowed`;
+            return null;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a finite number`;
+            if (value < spec.min || value > spec.max) return `${path} is out of range`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+        case 'function':
+            return typeof value === 'function' ? null : `${path} must be a callback`;
+        case 'binary': {
+            const size = value instanceof ArrayBuffer || ArrayBuffer.isView(value) ? value.byteLength : -1;
+            if (size < 0) return `${path} must be binary`;
+            return size > spec.maxBytes ? `${path} is too large` : null;
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+            for (const key in value) {
+                if (!Object.prototype.hasOwnProperty.call(spec.fields, key)) return `${path}.${key} is not allowed`;
+            }
+            for (const key in spec.fields) {
+                const error = checkValue(spec.fields[key], value[key], `${path}.${key}`);
+                if (error) return error;
+            }
+            return null;
+        }
+        default:
+            return `${path} has no schema`;
+    }
+}
+
+// Validates one incoming packet ([event, ...args]); returns an error message or null
+export function validateEvent(event, args) {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) return `unknown event "${event}"`;
+    if (args.length > schema.length) return `${event}: too many arguments`;
+
+    for (let i = 0; i < schema.length; i++) {
+        const error = checkValue(schema[i], args[i], `${event}[${i}]`);
+        if (error) return error;
+    }
+    return null;
+}
+
+// --- Violations ---
+
+// Score added per violation; a socket is kicked once its score reaches
+// VIOLATION_LIMITS.kickScore. Scores drain over time so honest clients with
+// the odd late packet never get there.
+export const VIOLATION_WEIGHTS = {
+    flooding: 1, // Message past the rate limit
+    malformed: 10, // Failed a schema or could not be decoded
+    input_overrun: 1, // More movement time than has passed
+    impossible_movement: 20, // Faster or higher than a player can move
+    steal_out_of_range: 5,
+    pickup_out_of_range: 5
+};
+
+export const VIOLATION_LIMITS = {
+    kickScore: 100,
+    decayPerSecond: 1
+};
+
+export class ViolationLog {
+    constructor() {
+        this.score = 0;
+        this.last = Date.now();
+        this.counts = {}; // type -> total, for the log
+    }
+
+    // Returns true once the socket should be kicked
+    record(type) {
+        const now = Date.now();
+        this.score = Math.max(0, this.score - ((now - this.last) / 1000) * VIOLATION_LIMITS.decayPerSecond);
+        this.last = now;
+
+        this.counts[type] = (this.counts[type] || 0) + 1;
+        this.score += VIOLATION_WEIGHTS[type] || 1;
+        return this.score >= VIOLATION_LIMITS.kickScore;
+    }
+}
@@ -1,10 +1,13 @@
 import * as THREE from 'three';
+import { FLOOR, WALLS, HOOPS, COLLIDERS, COURT, getCourtMarkings } from './Court.js';
 
 export class World {
     constructor(scene) {
         this.scene = scene;
         this.collidables = [];
-        this.triggers = []; // For scoring
+        this.nets = []; // Per hoop: { mesh, rest (vertex positions), depths (0 at the rim, 1 at the bottom), center, energy }
+        this.time = 0;
+        this.shotChart = null; // Floor overlay mesh, made on first use
         this.init();
     }
 
@@ -21,41 +24,31 @@ export class World {
         this.scene.add(dirLight);
 
         // Floor (Wood Court)
-        // Size: 30m length (Z), 15m width (X)
-        const floorGeometry = new THREE.BoxGeometry(20, 1, 34);
+        // Size: 34m length (Z), 20m width (X). Layout shared with the server via Court.js
+        const floorGeometry = new THREE.BoxGeometry(FLOOR.size.x, FLOOR.size.y, FLOOR.size.z);
         const floorMaterial = new THREE.MeshStandardMaterial({
-            color: 0xD2691E, // Chocolate/Wood
+            color: FLOOR.color, // Chocolate/Wood
             roughness: 0.1,
             metalness: 0.1
         });
         const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-        floor.position.y = -0.5;
+        floor.position.copy(FLOOR.center);
         floor.receiveShadow = true;
         this.scene.add(floor);
         this.collidables.push(floor);
 
-        // Lines (Optional Grid helper just to see)
-        const grid = new THREE.GridHelper(34, 34);
-        this.scene.add(grid);
-
-        // Walls (invisible or simple fences) to keep ball in
-        const wallMat = new THREE.MeshStandardMaterial({ color: 0x888888, transparent: true, opacity: 0.3 });
+        // Court Lines (three-point arcs, keys, centre circle, boundary)
+        this.createMarkings();
 
         // Side Walls
-        this.createBox(new THREE.Vector3(10.5, 2, 0), new THREE.Vector3(1, 5, 34), true, 0x888888); // Right
-        this.createBox(new THREE.Vector3(-10.5, 2, 0), new THREE.Vector3(1, 5, 34), true, 0x888888); // Left
-        this.createBox(new THREE.Vector3(0, 2, -17.5), new THREE.Vector3(22, 5, 1), true, 0x888888); // Far
-        this.createBox(new THREE.Vector3(0, 2, 17.5), new THREE.Vector3(22, 5, 1), true, 0x888888); // Near
+        for (const wall of WALLS) {
+            this.createBox(new THREE.Vector3().copy(wall.center), new THREE.Vector3().copy(wall.size), true, wall.color);
+        }
 
         // Hoops
-        // Hoop 1 (Far / Enemy Hoop) at Z = -15
-        this.createHoop(new THREE.Vector3(0, 0, -15), true);
-
-        // Hoop 2 (Near / Player Hoop) at Z = +15, rotated 180?
-        // My simple createHoop builds it facing +Z or similar?
-        // Let's modify createHoop or just build it manually/mirrored.
-        // Actually simplest is to just build it at +15 facing -Z.
-        this.createHoop(new THREE.Vector3(0, 0, 15), false);
+        for (const hoop of HOOPS) {
+            this.createHoop(hoop);
+        }
     }
 
     createBox(pos, size, isStatic, color) {
@@ -76,56 +69,156 @@ export class World {
         return mesh;
     }
 
-    createHoop(pos, facingForward) {
-        const postColor = 0x333333;
-        const boardColor = 0xffffff;
-        const rimColor = 0xff4500;
+    createMarkings() {
+        // Each polyline segment becomes a thin flat quad, merged into one mesh
+        const positions = [];
+        const halfWidth = COURT.lineWidth / 2;
+        const y = 0.005; // Just above the floor to avoid z-fighting
+
+        for (const line of getCourtMarkings()) {
+            for (let i = 0; i < line.length - 1; i++) {
+                const a = line[i];
+                const b = line[i + 1];
+                const dx = b.x - a.x;
+                const dz = b.z - a.z;
+                const len = Math.sqrt(dx * dx + dz * dz);
+                if (len === 0) continue;
+
+                // Perpendicular offset
+                const ox = (-dz / len) * halfWidth;
+                const oz = (dx / len) * halfWidth;
+
+                positions.push(
+                    a.x + ox, y, a.z + oz, b.x + ox, y, b.z + oz, b.x - ox, y, b.z - oz,
+                    a.x + ox, y, a.z + oz, b.x - ox, y, b.z - oz, a.x - ox, y, a.z - oz
+                );
+            }
+        }
 
-        // Z-offset direction for board/rim
-        // If facingForward (Far hoop), board is behind rim (Z min), playing towards +Z?
-        // No, standard: Far hoop is at -15. Board is at -15.5. Rim at -14.5.
-        // Near hoop is at +15. Board at +15.5. Rim at +14.5.
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        const material = new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide });
+        this.markings = new THREE.Mesh(geometry, material);
+        this.scene.add(this.markings);
+    }
 
-        const zDir = facingForward ? 1 : -1;
+    createHoop(hoop) {
+        // Post and backboard, static colliders
+        for (const part of [hoop.post, hoop.board]) {
+            this.createBox(new THREE.Vector3().copy(part.center), new THREE.Vector3().copy(part.size), true, part.color);
+        }
 
-        // Post
-        this.createBox(new THREE.Vector3(pos.x, 1.5, pos.z - (0.5 * zDir)), new THREE.Vector3(0.3, 3, 0.3), true, postColor);
+        // Round rim (the shared physics collides with the torus itself)
+        const rim = hoop.rim;
+        const rimMesh = new THREE.Mesh(
+            new THREE.TorusGeometry(rim.radius, rim.tube, 12, 48),
+            new THREE.MeshStandardMaterial({ color: rim.color })
+        );
+        rimMesh.rotation.x = Math.PI / 2; // Lie flat
+        rimMesh.position.copy(rim.center);
+        rimMesh.castShadow = true;
+        this.scene.add(rimMesh);
+
+        this.createNet(rim);
+    }
 
-        // Backboard
-        const boardPos = new THREE.Vector3(pos.x, 3, pos.z);
-        this.createBox(boardPos, new THREE.Vector3(1.8, 1.2, 0.1), true, boardColor);
+    // Net: strands hanging from the rim to a narrower bottom ring, joined by
+    // rings of string. Visual only; it swings when the ball drops through.
+    createNet(rim) {
+        const strands = 16;
+        const rings = 4;
+        const length = 0.45;
+        const bottomScale = 0.6; // Bottom ring radius, as a share of the rim's
+
+        // Knots: rings x strands, from the rim down
+        const knots = [];
+        for (let r = 0; r <= rings; r++) {
+            const depth = r / rings;
+            const radius = rim.radius * (1 - (1 - bottomScale) * depth);
+            for (let s = 0; s < strands; s++) {
+                const angle = (s / strands) * Math.PI * 2;
+                knots.push({
+                    x: rim.center.x + Math.cos(angle) * radius,
+                    y: rim.center.y - length * depth,
+                    z: rim.center.z + Math.sin(angle) * radius,
+                    depth
+                });
+            }
+        }
 
-        // Rim
-        const rimCenter = new THREE.Vector3(pos.x, 2.8, pos.z + (0.45 * zDir));
-        const radius = 0.3;
-        const thickness = 0.05;
+        // Strand segments between rings, plus the rings themselves
+        const positions = [];
+        const depths = [];
+        const addSegment = (a, b) => {
+            positions.push(a.x, a.y, a.z, b.x, b.y, b.z);
+            depths.push(a.depth, b.depth);
+        };
+        for (let r = 0; r < rings; r++) {
+            for (let s = 0; s < strands; s++) {
+                const knot = knots[r * strands + s];
+                addSegment(knot, knots[(r + 1) * strands + s]);
+                addSegment(knots[(r + 1) * strands + s], knots[(r + 1) * strands + (s + 1) % strands]);
+            }
+        }
 
-        // Simple square rim for collision
-        this.createBox(new THREE.Vector3(rimCenter.x - radius, rimCenter.y, rimCenter.z), new THREE.Vector3(thickness, thickness, radius * 2), true, rimColor);
-        this.createBox(new THREE.Vector3(rimCenter.x + radius, rimCenter.y, rimCenter.z), new THREE.Vector3(thickness, thickness, radius * 2), true, rimColor);
-        this.createBox(new THREE.Vector3(rimCenter.x, rimCenter.y, rimCenter.z - radius), new THREE.Vector3(radius * 2, thickness, thickness), true, rimColor);
-        this.createBox(new THREE.Vector3(rimCenter.x, rimCenter.y, rimCenter.z + radius), new THREE.Vector3(radius * 2, thickness, thickness), true, rimColor);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        const mesh = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xffffff }));
+        this.scene.add(mesh);
+        this.nets.push({ mesh, rest: Float32Array.from(positions), depths, center: rim.center, energy: 0 });
+    }
 
-        // Score Trigger (Make it specific to this hoop?)
-        // storing triggers with metadata would be good. For now just list.
-        this.createTrigger(new THREE.Vector3(rimCenter.x, rimCenter.y - 0.3, rimCenter.z), new THREE.Vector3(0.5, 0.2, 0.5));
+    // Ball dropped through hoop `index`: a swish snaps the net hardest
+    shakeNet(index, strength = 1) {
+        const net = this.nets[index];
+        if (net) net.energy = Math.max(net.energy, strength);
     }
 
-    createTrigger(position, size) {
-        // Invisible box for scoring detection
-        const geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
-        // Use BasicMaterial with visible: false logic if needed, or simple transparent
-        // checking bounding box overlaps logically
-        const trigger = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ visible: false }));
-        trigger.position.copy(position);
-        trigger.geometry.computeBoundingBox();
-        trigger.updateMatrixWorld();
-
-        // We add it to scene for debug (wireframe helper could be nice), but for now just logical
-        this.scene.add(trigger); // Needed for matrix update? yes
-        this.triggers.push(trigger);
+    update(delta) {
+        this.time += delta;
+
+        for (const net of this.nets) {
+            if (net.energy <= 0) continue;
+            net.energy = net.energy < 0.01 ? 0 : net.energy * Math.exp(-3 * delta);
+
+            // Pulled down and in, then swinging back, more at the bottom
+            const attr = net.mesh.geometry.getAttribute('position');
+            const wave = Math.sin(this.time * 18);
+            for (let i = 0; i < net.depths.length; i++) {
+                const depth = net.depths[i];
+                const squeeze = 1 - 0.3 * net.energy * depth * (0.5 + 0.5 * wave);
+                const x = net.rest[i * 3] - net.center.x;
+                const z = net.rest[i * 3 + 2] - net.center.z;
+                attr.setXYZ(i,
+                    net.center.x + x * squeeze,
+                    net.rest[i * 3 + 1] - 0.15 * net.energy * depth * (0.5 + 0.5 * wave),
+                    net.center.z + z * squeeze);
+            }
+            attr.needsUpdate = true;
+        }
+    }
+
+    // Lays a court-sized canvas (ShotChart) over the floor inside the lines;
+    // null hides it. Redraws of the same canvas just refresh the texture.
+    setShotChart(canvas) {
+        if (!canvas) {
+            if (this.shotChart) this.shotChart.visible = false;
+            return;
+        }
+        if (!this.shotChart || this.shotChart.material.map.image !== canvas) {
+            if (this.shotChart) this.scene.remove(this.shotChart);
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            const material = new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false });
+            this.shotChart = new THREE.Mesh(new THREE.PlaneGeometry(COURT.halfWidth * 2, COURT.halfLength * 2), material);
+            this.shotChart.rotation.x = -Math.PI / 2; // Face up, canvas top at z = -halfLength, like ShotChart.toCanvas
+            this.shotChart.position.y = 0.01; // Above the court lines
+            this.scene.add(this.shotChart);
+        }
+        this.shotChart.material.map.needsUpdate = true;
+        this.shotChart.visible = true;
     }
 
     getCollidables() { return this.collidables; }
-    getTriggers() { return this.triggers; }
+    getColliderBoxes() { return COLLIDERS; } // Boxes and rims for the shared physics
 }
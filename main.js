@@ -1,7 +1,9 @@
 import { Game } from './Game.js';
+import { ReplayViewer } from './ReplayViewer.js';
 
 try {
-    const game = new Game();
+    // /?replay opens the replay viewer instead of the game
+    const game = new URLSearchParams(window.location.search).has('replay') ? new ReplayViewer() : new Game();
 } catch (e) {
     console.error(e);
     alert("Game Init Error: " + e.message + "\n" + e.stack);
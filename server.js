@@ -1,7 +1,15 @@
-const express = require('express');
-const { createServer } = require('http');
-const { Server } = require('socket.io');
-const path = require('path');
+import express from 'express';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import path from 'path';
+import { mkdir, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { Room, ROOM_MODES } from './Room.js';
+import { validateEvent, ViolationLog } from './Validation.js';
+import { REPLAY } from './Replay.js';
+import { ProfileStore, LEADERBOARD_STATS, PROFILES } from './Profiles.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const httpServer = createServer(app);
@@ -9,74 +17,330 @@ const io = new Server(httpServer, {
     cors: {
         origin: "*",
         methods: ["GET", "POST"]
-    }
+    },
+    maxHttpBufferSize: 16 * 1024 // Largest client message is an input batch (~400 bytes)
 });
 
 // Serve static files from Vite build
 app.use(express.static(path.join(__dirname, 'dist')));
 
-// Game State
-const players = {};
-// ballState: { ownerId: string | null, position: {x,y,z}, velocity: {x,y,z} }
-let ballState = {
-    ownerId: null,
-    position: { x: 0, y: 5, z: 0 },
-    velocity: { x: 0, y: 0, z: 0 }
+// Profiles: local accounts (display name + token) with career stats
+const PROFILES_FILE = process.env.PROFILES_FILE || path.join(__dirname, 'data', 'profiles.json');
+const profiles = new ProfileStore(PROFILES_FILE);
+await profiles.load();
+
+// Top careers: /api/leaderboard?stat=wins&limit=20 (stat: one of LEADERBOARD_STATS)
+app.get('/api/leaderboard', (req, res) => {
+    const stat = LEADERBOARD_STATS.includes(req.query.stat) ? req.query.stat : 'wins';
+    const limit = Math.min(PROFILES.maxLeaderboardSize, Math.max(1, parseInt(req.query.limit, 10) || PROFILES.leaderboardSize));
+    res.json({ stat, players: profiles.getLeaderboard(stat, limit) });
+});
+
+// Sign-ups per client address, so nobody can fill the profiles file
+const SIGN_UP_LIMIT = {
+    perAddress: 5,
+    windowMs: 60 * 60 * 1000
+};
+const signUps = new Map(); // Address -> { count, since }
+
+// True if `address` may make one more profile now
+function allowSignUp(address) {
+    const now = Date.now();
+    for (const [key, entry] of signUps) {
+        if (now - entry.since >= SIGN_UP_LIMIT.windowMs) signUps.delete(key);
+    }
+    const entry = signUps.get(address) || { count: 0, since: now };
+    if (entry.count >= SIGN_UP_LIMIT.perAddress) return false;
+    entry.count++;
+    signUps.set(address, entry);
+    return true;
+}
+
+// One player's career
+app.get('/api/profiles/:id', (req, res) => {
+    const profile = profiles.getProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Profile not found' });
+    res.json(profiles.getPublicProfile(profile));
+});
+
+// Simulation
+const TICK_RATE = 60; // Physics steps per second
+
+// Per-socket message limit (token bucket). Clients send ~30 input batches/s
+// plus the odd intent; anything past the burst is dropped and logged as a
+// violation, so sockets that keep flooding end up kicked.
+const RATE_LIMIT = {
+    messagesPerSecond: 60,
+    burst: 120
 };
 
+function createRateLimiter() {
+    return { tokens: RATE_LIMIT.burst, last: Date.now() };
+}
+
+// True if the socket may send one more message now
+function consumeToken(limiter) {
+    const now = Date.now();
+    const elapsed = (now - limiter.last) / 1000;
+    limiter.last = now;
+    limiter.tokens = Math.min(RATE_LIMIT.burst, limiter.tokens + elapsed * RATE_LIMIT.messagesPerSecond);
+
+    if (limiter.tokens < 1) return false;
+    limiter.tokens--;
+    return true;
+}
+
+// Logs a cheat/abuse signal and kicks the socket past the threshold
+function reportViolation(socket, type, detail) {
+    const log = socket.data.violations;
+    const kick = log.record(type);
+    if (type !== 'flooding') {
+        console.warn(`Violation by ${socket.id}: ${type}${detail ? ` (${detail})` : ''}`);
+    }
+
+    if (kick && socket.connected) {
+        console.warn(`Player ${socket.id} kicked:`, log.counts);
+        socket.emit('kicked', { reason: type });
+        socket.disconnect(true);
+    }
+}
+
+// Replays: one file per match, <join code>-<end time>.replay, loaded
+// into the client's viewer (/?replay)
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, 'replays');
+
+async function saveReplay(room, data) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(REPLAY_DIR, `${room.code}-${stamp}${REPLAY.extension}`);
+    try {
+        await mkdir(REPLAY_DIR, { recursive: true });
+        await writeFile(file, new Uint8Array(data));
+        console.log(`Room ${room.code} replay saved to ${file} (${Math.round(data.byteLength / 1024)} KB)`);
+    } catch (e) {
+        console.error(`Room ${room.code} replay not saved:`, e.message);
+    }
+}
+
+// Rooms: several games per process, keyed by join code
+const rooms = {};
+const LOBBY = 'lobby'; // socket.io room for sockets browsing the room list
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const CODE_LENGTH = 4;
+
+function createJoinCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+        }
+    } while (rooms[code]);
+    return code;
+}
+
+function getOpenRooms() {
+    return Object.values(rooms)
+        .filter((room) => !room.isFull())
+        .map((room) => room.getSummary());
+}
+
+function broadcastRoomList() {
+    io.to(LOBBY).emit('room_list', getOpenRooms());
+}
+
+function joinRoom(socket, room) {
+    socket.leave(LOBBY);
+    socket.data.room = room;
+    room.addPlayer(socket, socket.data.profile);
+    console.log(`Player ${socket.id} joined room ${room.code}`);
+    broadcastRoomList();
+}
+
+function leaveRoom(socket) {
+    const room = socket.data.room;
+    if (!room) return;
+
+    room.removePlayer(socket);
+    socket.data.room = null;
+    console.log(`Player ${socket.id} left room ${room.code}`);
+
+    // Cleanup when the last player leaves
+    if (room.isEmpty()) {
+        room.finishRecording();
+        delete rooms[room.code];
+        console.log(`Room ${room.code} closed`);
+    }
+    broadcastRoomList();
+}
+
 io.on('connection', (socket) => {
     console.log('Player connected:', socket.id);
 
-    // Add new player
-    players[socket.id] = {
-        id: socket.id,
-        position: { x: 0, y: 2, z: 0 },
-        quaternion: { x: 0, y: 0, z: 0, w: 1 },
-        animState: 'idle'
-    };
-
-    // Send current state to new player
-    socket.emit('init', { players, ballState });
-
-    // Broadcast new player to others
-    socket.broadcast.emit('player_joined', players[socket.id]);
-
-    // Handle Player Movement
-    socket.on('player_update', (data) => {
-        if (players[socket.id]) {
-            players[socket.id] = { ...players[socket.id], ...data };
-            // Volatile for smooth movement (drops packets if congested)
-            socket.broadcast.volatile.emit('player_moved', {
-                id: socket.id,
-                ...data
-            });
+    socket.data.room = null;
+    socket.data.profile = null; // Guest until login
+    socket.data.limiter = createRateLimiter();
+    socket.data.violations = new ViolationLog();
+    socket.join(LOBBY);
+
+    // Every incoming event: rate limit, then schema
+    socket.use((packet, next) => {
+        if (socket.disconnected) return; // Already kicked; rest of the backlog is dropped
+
+        if (!consumeToken(socket.data.limiter)) {
+            reportViolation(socket, 'flooding');
+            return next(new Error('rate_limited'));
         }
+
+        const error = validateEvent(packet[0], packet.slice(1));
+        if (error) {
+            reportViolation(socket, 'malformed', error);
+            return next(new Error('invalid'));
+        }
+        next();
     });
 
-    // Handle Ball Updates (Ownership change, Shot)
-    socket.on('ball_update', (data) => {
-        // Simple trust-client logic for prototype
-        ballState = { ...ballState, ...data };
-        socket.broadcast.emit('ball_updated', ballState);
+    // Rejected by the checks above; the message is simply dropped
+    socket.on('error', () => {});
+    socket.emit('room_list', getOpenRooms());
+
+    // --- Profile ---
+
+    // Profiles take effect from the next room joined.
+    // { token, name }: token from sign_up; a name renames the profile.
+    // Replies { ok, profile } or { ok: false, error }.
+    socket.on('login', (data, ack) => {
+        const profile = profiles.login(data.token, data.name);
+        if (!profile) return ack({ ok: false, error: 'Unknown profile' });
+        socket.data.profile = profile;
+        ack({ ok: true, profile: profiles.getPublicProfile(profile) });
+    });
+
+    // { name }: replies { ok, profile, token } (token kept by the browser to log in)
+    socket.on('sign_up', (data, ack) => {
+        if (!allowSignUp(socket.handshake.address)) {
+            return ack({ ok: false, error: 'Too many new profiles, try again later' });
+        }
+        const { profile, token } = profiles.signUp(data.name);
+        socket.data.profile = profile;
+        ack({ ok: true, profile: profiles.getPublicProfile(profile), token });
+    });
+
+    // --- Lobby ---
+    // Replies go through the acknowledgement callback: { ok, code } or { ok: false, error }
+
+    socket.on('list_rooms', (ack) => {
+        if (typeof ack === 'function') ack(getOpenRooms());
+    });
+
+    socket.on('create_room', (data, ack) => {
+        if (typeof ack !== 'function') return;
+        const mode = data && ROOM_MODES[data.mode] ? data.mode : '1v1';
+
+        leaveRoom(socket);
+        const code = createJoinCode();
+        const name = (data && typeof data.name === 'string' && data.name.trim().slice(0, 24)) || `Room ${code}`;
+        const room = new Room(io, code, name, mode, {
+            fillWithBots: !!(data && data.fillWithBots),
+            botDifficulty: data && data.botDifficulty
+        });
+        room.onViolation = reportViolation;
+        room.onReplay = saveReplay;
+        room.onMatchEnd = (room, boxScore) => profiles.recordMatch(boxScore);
+        rooms[code] = room;
+        console.log(`Room ${code} created (${mode})`);
+
+        joinRoom(socket, room);
+        if (room.fillWithBots) {
+            room.fillBots();
+            broadcastRoomList();
+        }
+        ack({ ok: true, code });
+    });
+
+    socket.on('join_room', (data, ack) => {
+        if (typeof ack !== 'function') return;
+        const code = data && typeof data.code === 'string' ? data.code.trim().toUpperCase() : '';
+        const room = rooms[code];
+
+        if (!room) return ack({ ok: false, error: 'Room not found' });
+        if (room === socket.data.room) return ack({ ok: true, code });
+        if (room.isFull()) return ack({ ok: false, error: 'Room is full' });
+
+        leaveRoom(socket);
+        joinRoom(socket, room);
+        ack({ ok: true, code });
+    });
+
+    // Bots: anyone can add one to a room with a free slot, or take one out
+    socket.on('add_bot', (data, ack) => {
+        const room = rooms[data.code.trim().toUpperCase()];
+        if (!room) return ack({ ok: false, error: 'Room not found' });
+        if (!room.addBot()) return ack({ ok: false, error: 'No free slot for a bot' });
+        broadcastRoomList();
+        ack({ ok: true });
+    });
+
+    socket.on('remove_bot', (data, ack) => {
+        const room = rooms[data.code.trim().toUpperCase()];
+        if (!room) return ack({ ok: false, error: 'Room not found' });
+        if (!room.removeBot()) return ack({ ok: false, error: 'No bots in this room' });
+        broadcastRoomList();
+        ack({ ok: true });
+    });
+
+    socket.on('leave_room', () => {
+        leaveRoom(socket);
+        socket.join(LOBBY);
+        socket.emit('room_list', getOpenRooms());
+    });
+
+    // --- In-game (routed to the socket's room) ---
+
+    socket.on('inputs', (data) => {
+        if (socket.data.room) socket.data.room.handleInputs(socket, data);
+    });
+
+    socket.on('ball_shoot', (data) => {
+        if (socket.data.room) socket.data.room.handleShoot(socket, data);
+    });
+
+    socket.on('ball_pickup', () => {
+        if (socket.data.room) socket.data.room.handlePickup(socket);
+    });
+
+    socket.on('ball_steal', () => {
+        if (socket.data.room) socket.data.room.handleSteal(socket);
+    });
+
+    socket.on('ball_pass', (data) => {
+        if (socket.data.room) socket.data.room.handlePass(socket, data);
+    });
+
+    socket.on('ball_dribble', (data) => {
+        if (socket.data.room) socket.data.room.handleDribble(socket, data);
+    });
+
+    // Box score of the room's match so far; null outside a room
+    socket.on('get_box_score', (ack) => {
+        ack(socket.data.room ? socket.data.room.getBoxScore() : null);
     });
 
     socket.on('disconnect', () => {
         console.log('Player disconnected:', socket.id);
-        delete players[socket.id];
-        io.emit('player_left', socket.id);
-
-        // If they had the ball, reset it
-        if (ballState.ownerId === socket.id) {
-            ballState.ownerId = null;
-            ballState.velocity = { x: 0, y: 0, z: 0 };
-            ballState.position = { x: 0, y: 5, z: 0 }; // Center
-            io.emit('ball_updated', ballState);
-        }
+        leaveRoom(socket);
     });
 });
 
+// Fixed-tick simulation of every room
+setInterval(() => {
+    const dt = 1 / TICK_RATE;
+    for (const code in rooms) {
+        rooms[code].tick(dt);
+    }
+}, 1000 / TICK_RATE);
+
 // Serve index.html for all other routes (SPA support)
-app.get('*', (req, res) => {
+app.get('/{*splat}', (req, res) => {
     res.sendFile(path.join(__dirname, 'dist', 'index.html'));
 });
 
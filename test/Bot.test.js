@@ -0,0 +1,225 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Room } from '../Room.js';
+import { BOT_DIFFICULTIES } from '../BotDifficulties.js';
+import { COLLIDERS, HOOPS } from '../Court.js';
+import { MOVEMENT, stepMovement } from '../Movement.js';
+import { HANDLING, getShotSpread } from '../Physics.js';
+
+const FRAME = 1 / 60;
+
+// A room nobody is connected to: bots only
+function createRoom(botDifficulty) {
+    const emitter = { emit() {} };
+    emitter.volatile = emitter;
+    const io = { to: () => emitter, sockets: { sockets: new Map() } };
+    return new Room(io, 'BOTS', 'Test', '2v2', { botDifficulty });
+}
+
+// Steps a bot the way Room.tick does, for `seconds` or until `done()`
+function run(room, bot, seconds, done = () => false) {
+    for (let t = 0; t < seconds && !done(); t += FRAME) {
+        const input = bot.update(FRAME);
+        input.dt = FRAME;
+        stepMovement(bot.player, input, COLLIDERS);
+        room.setLook(bot.player, input.yaw, input.pitch);
+    }
+}
+
+function flatDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+test('moveTowards walks a bot to its target', () => {
+    const room = createRoom();
+    const bot = room.bots[room.addBot().id];
+    const target = { x: 4, y: 0, z: -3 };
+    const before = flatDistance(bot.player.position, target);
+
+    for (let t = 0; t < 2; t += FRAME) {
+        const input = bot.moveTowards(target);
+        input.dt = FRAME;
+        stepMovement(bot.player, input, COLLIDERS);
+    }
+    assert.ok(before > 5);
+    assert.ok(flatDistance(bot.player.position, target) < 0.5);
+});
+
+test('a bot runs down a loose ball and picks it up', () => {
+    const room = createRoom();
+    const bot = room.bots[room.addBot().id];
+    room.ballState.position = { x: 3, y: 0.3, z: 2 };
+
+    run(room, bot, 3, () => room.ballState.ownerId);
+    assert.equal(room.ballState.ownerId, bot.player.id);
+});
+
+test('a bot with the ball gets to its spot and shoots at its hoop', (t) => {
+    t.mock.method(Math, 'random', () => 0.5);
+    const room = createRoom();
+    const bot = room.bots[room.addBot().id];
+    room.setBallOwner(bot.player.id);
+
+    const hoop = bot.getTargetHoop();
+    run(room, bot, 5, () => !room.ballState.ownerId);
+    assert.equal(room.ballState.ownerId, null, 'shot');
+    assert.ok(room.lastShot && room.lastShot.shooterId === bot.player.id);
+
+    // Heading for the rim
+    const ball = room.ballState;
+    const toRim = { x: hoop.rimCenter.x - ball.position.x, z: hoop.rimCenter.z - ball.position.z };
+    assert.ok(ball.velocity.x * toRim.x + ball.velocity.z * toRim.z > 0);
+    assert.ok(ball.velocity.y > 0);
+});
+
+test('a defender stays between the carrier and its own hoop', () => {
+    const room = createRoom();
+    const carrier = room.addBot(); // Home
+    const bot = room.bots[room.addBot().id]; // Away
+    delete room.bots[carrier.id];
+    room.setBallOwner(carrier.id);
+    carrier.position = { x: 2, y: 1.6, z: 2 };
+
+    run(room, bot, 3);
+    const ownHoop = HOOPS.find((hoop) => hoop.teamId === bot.player.teamId);
+    const pos = bot.player.position;
+    assert.ok(flatDistance(pos, ownHoop.rimCenter) < flatDistance(carrier.position, ownHoop.rimCenter));
+    assert.ok(flatDistance(pos, carrier.position) < 2.5);
+});
+
+test('bots notice a change of possession after their reaction time', () => {
+    const room = createRoom('rookie');
+    const carrier = room.addBot();
+    const bot = room.bots[room.addBot().id];
+    delete room.bots[carrier.id];
+
+    room.setBallOwner(carrier.id);
+    run(room, bot, BOT_DIFFICULTIES.rookie.reactionTime - 0.1);
+    assert.equal(bot.seenOwnerId, null);
+    run(room, bot, 0.2);
+    assert.equal(bot.seenOwnerId, carrier.id);
+});
+
+// Spread of the meter fraction bots release repeated shots from one spot at
+function releaseSpread(difficulty) {
+    const room = createRoom(difficulty);
+    const bot = room.bots[room.addBot().id];
+    const pos = bot.player.position = { x: 1, y: 1.6, z: -7 };
+    const rim = bot.getTargetHoop().rimCenter;
+    const yaw = Math.atan2(-(rim.x - pos.x), -(rim.z - pos.z)); // Facing the rim
+
+    const meters = [];
+    room.shoot = (player, direction, power) => meters.push((power - HANDLING.minPower) / (HANDLING.maxPower - HANDLING.minPower));
+    for (let i = 0; i < 300; i++) {
+        room.setBallOwner(bot.player.id);
+        bot.shoot(yaw);
+    }
+    const mean = meters.reduce((sum, m) => sum + m, 0) / meters.length;
+    return Math.sqrt(meters.reduce((sum, m) => sum + (m - mean) ** 2, 0) / meters.length);
+}
+
+test('better bots time their release more closely', () => {
+    const rookie = releaseSpread('rookie');
+    const pro = releaseSpread('pro');
+    const allstar = releaseSpread('allstar');
+    assert.ok(rookie > pro && pro > allstar, `${rookie} > ${pro} > ${allstar}`);
+    assert.ok(Math.abs(rookie - BOT_DIFFICULTIES.rookie.releaseError) < 0.01);
+});
+
+test('better bots aim more tightly', () => {
+    const spreads = {};
+    for (const difficulty of ['rookie', 'pro', 'allstar']) {
+        const room = createRoom(difficulty);
+        const bot = room.bots[room.addBot().id];
+        bot.player.position = { x: 1, y: 1.6, z: -7 };
+        const quality = room.rateShot(bot.player, { x: 0, y: 1, z: -1 }, 12);
+        assert.equal(quality.spread, getShotSpread(quality) * BOT_DIFFICULTIES[difficulty].angleError);
+        spreads[difficulty] = quality.spread;
+    }
+    assert.ok(spreads.rookie > spreads.pro && spreads.pro > spreads.allstar, JSON.stringify(spreads));
+});
+
+// --- Choosing a play ---
+
+// A home bot with the ball plus still players (not driven by bots) placed
+// relative to the hoop it attacks: { teammates: [[x, dz]], opponents: [[x, dz]] }
+// with dz measured out from the rim
+function createPlay(at, { teammates = [], opponents = [] } = {}) {
+    const room = createRoom('pro');
+    const bot = room.bots[room.addBot().id];
+    const rim = bot.getTargetHoop().rimCenter;
+    const place = (player, [x, dz]) => { player.position = { x: rim.x + x, y: 1.6, z: rim.z + dz }; };
+
+    for (const spot of teammates) {
+        const mate = room.createPlayer(`mate-${spot}`, false);
+        mate.teamId = bot.player.teamId;
+        place(mate, spot);
+    }
+    for (const spot of opponents) {
+        const opponent = room.createPlayer(`opp-${spot}`, false);
+        opponent.teamId = bot.player.teamId === 'home' ? 'away' : 'home';
+        place(opponent, spot);
+    }
+    place(bot.player, at);
+    room.setBallOwner(bot.player.id);
+    bot.shootDistance = 7;
+    bot.holdTime = 1;
+    return { room, bot, choose: () => bot.choosePlan(bot.getContext(bot.player)) };
+}
+
+test('an open bot in range takes the shot', () => {
+    const { choose } = createPlay([0, 6]);
+    assert.equal(choose().type, 'shoot');
+});
+
+test('a bot out of range drives', () => {
+    const { choose } = createPlay([0, 12]);
+    assert.equal(choose().type, 'drive');
+});
+
+test('a bot right under the rim backs out first', () => {
+    const { choose } = createPlay([0, 1.5]);
+    assert.equal(choose().type, 'reset');
+});
+
+test('a smothered bot passes to an open teammate', () => {
+    const { choose, room } = createPlay([0, 6], { teammates: [[5, 4]], opponents: [[0, 5.3]] });
+    const plan = choose();
+    assert.equal(plan.type, 'pass');
+    assert.equal(plan.receiver, room.players['mate-5,4']);
+});
+
+// --- Steering ---
+
+test('a bot walks around a player standing in its way', () => {
+    const room = createRoom();
+    const bot = room.bots[room.addBot().id];
+    const blocker = room.createPlayer('blocker', false);
+    bot.player.position = { x: 0, y: 1.6, z: 4 };
+    blocker.position = { x: 0, y: 1.6, z: 2 };
+    const target = { x: 0, y: 0, z: -1 };
+
+    let closest = Infinity;
+    for (let t = 0; t < 3; t += FRAME) {
+        const input = bot.moveTowards(target);
+        input.dt = FRAME;
+        stepMovement(bot.player, input, COLLIDERS);
+        closest = Math.min(closest, flatDistance(bot.player.position, blocker.position));
+    }
+    assert.ok(closest > MOVEMENT.width * 0.9, `kept ${closest.toFixed(2)}m away`);
+    assert.ok(flatDistance(bot.player.position, target) < 0.5, 'still got there');
+});
+
+test('bots jump for a rebound coming down within reach', () => {
+    const room = createRoom();
+    const bot = room.bots[room.addBot().id];
+    run(room, bot, 0.5); // Settle on the floor
+    const pos = bot.player.position;
+
+    room.ballState.position = { x: pos.x + 0.5, y: pos.y + 0.8, z: pos.z };
+    room.ballState.velocity = { x: 0, y: -2, z: 0 };
+    assert.equal(bot.shouldJump(), true);
+
+    room.ballState.position.y = pos.y + 5;
+    assert.equal(bot.shouldJump(), false, 'out of reach');
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatClock, getAnnouncement } from '../HUD.js';
+
+const getName = (id) => (id === 'me' ? 'YOU' : null);
+
+test('the game clock rounds up to the second', () => {
+    assert.equal(formatClock(180), '3:00');
+    assert.equal(formatClock(65.2), '1:06');
+    assert.equal(formatClock(0.4), '0:01');
+    assert.equal(formatClock(0), '0:00');
+});
+
+test('baskets name the shooter, or their team', () => {
+    const basket = { counted: true, teamId: 'home', points: 3, finish: 'swish' };
+    assert.equal(getAnnouncement('basket_scored', { ...basket, shooterId: 'me' }, getName), 'SWISH! YOU +3 FROM DOWNTOWN');
+    assert.equal(getAnnouncement('basket_scored', { ...basket, shooterId: 'b', points: 2, finish: 'bank' }, getName),
+        'OFF THE GLASS! HOME +2');
+    assert.equal(getAnnouncement('basket_scored', { ...basket, points: 2, goaltenderId: 'c' }, getName), 'GOALTENDING! HOME +2');
+    assert.equal(getAnnouncement('basket_scored', { ...basket, counted: false }, getName), null, 'warmup baskets are not called');
+});
+
+test('violations and fouls use their labels', () => {
+    assert.equal(getAnnouncement('match_violation', { type: 'travel', teamId: 'home' }, getName), 'TRAVELLING');
+    assert.equal(getAnnouncement('match_violation', { type: 'new_rule', teamId: 'home' }, getName), 'VIOLATION');
+    assert.equal(getAnnouncement('match_foul', { type: 'blocking', teamId: 'away', playerId: 'me' }, getName), 'BLOCKING FOUL ON YOU');
+    assert.equal(getAnnouncement('match_foul', { type: 'charging', teamId: 'away', playerId: 'b' }, getName), 'CHARGING ON AWAY');
+});
+
+test('blocks and interceptions name the defender when known', () => {
+    assert.equal(getAnnouncement('shot_blocked', { playerId: 'me' }, getName), 'BLOCKED BY YOU');
+    assert.equal(getAnnouncement('shot_blocked', { playerId: 'b' }, getName), 'BLOCKED');
+    assert.equal(getAnnouncement('pass_intercepted', { playerId: 'me' }, getName), 'INTERCEPTED BY YOU');
+    assert.equal(getAnnouncement('pass_intercepted', { playerId: 'b' }, getName), 'INTERCEPTED');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { INTERPOLATION, SnapshotBuffer } from '../Interpolation.js';
+
+function sampleAt(buffer, time) {
+    const out = new THREE.Vector3();
+    assert.equal(buffer.sample(time, out), true);
+    return out;
+}
+
+test('an empty buffer has nothing to draw', () => {
+    assert.equal(new SnapshotBuffer().sample(0, new THREE.Vector3()), false);
+});
+
+test('snapshots are interpolated in time order, however they arrive', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(100, new THREE.Vector3(10, 0, 0));
+    buffer.push(0, new THREE.Vector3(0, 0, 0));
+    buffer.push(50, new THREE.Vector3(2, 0, 0));
+    buffer.push(50, new THREE.Vector3(99, 0, 0)); // Duplicate time: ignored
+
+    assert.deepEqual(buffer.snapshots.map((s) => s.t), [0, 50, 100]);
+    assert.equal(sampleAt(buffer, 25).x, 1);
+    assert.equal(sampleAt(buffer, 75).x, 6);
+    assert.equal(sampleAt(buffer, -10).x, 0, 'held at the oldest before the start');
+});
+
+test('past the newest snapshot it extrapolates briefly, then holds', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(0, new THREE.Vector3(0, 0, 0));
+    buffer.push(100, new THREE.Vector3(1, 0, 0)); // 10 units/s
+
+    assert.ok(Math.abs(sampleAt(buffer, 200).x - 2) < 1e-9);
+    const capped = 1 + 10 * (INTERPOLATION.maxExtrapolation / 1000);
+    assert.ok(Math.abs(sampleAt(buffer, 10000).x - capped) < 1e-9);
+});
+
+test('a sent velocity is used for extrapolation', () => {
+    const buffer = new SnapshotBuffer();
+    buffer.push(0, new THREE.Vector3(0, 0, 0), null, new THREE.Vector3(0, -5, 0));
+    assert.ok(Math.abs(sampleAt(buffer, 100).y + 0.5) < 1e-9);
+});
+
+test('old snapshots are dropped past the history window', () => {
+    const buffer = new SnapshotBuffer();
+    for (let t = 0; t <= INTERPOLATION.history * 2; t += 50) buffer.push(t, new THREE.Vector3(t, 0, 0));
+    assert.ok(buffer.snapshots[0].t >= INTERPOLATION.history);
+});
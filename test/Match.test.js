@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Match, MATCH_STATES, MATCH_RULES } from '../Match.js';
+import { HOOPS } from '../Court.js';
+
+const RULES = { ...MATCH_RULES, quarters: 2, quarterSeconds: 10 };
+
+// A match past warmup, with every event it emits recorded
+function createLiveMatch() {
+    const match = new Match(RULES);
+    const events = [];
+    for (const name of ['state', 'basket', 'violation', 'reset_ball']) {
+        match.on(name, (data) => events.push({ name, data }));
+    }
+    match.update(RULES.warmupSeconds, 1);
+    events.length = 0;
+    return { match, events };
+}
+
+// Runs the match clock in 0.1s steps
+function run(match, seconds) {
+    for (let t = 0; t < seconds - 1e-9; t += 0.1) match.update(0.1, 1);
+}
+
+test('warmup only counts down with players in the room', () => {
+    const match = new Match(RULES);
+    match.update(RULES.warmupSeconds * 2, 0);
+    assert.equal(match.state, MATCH_STATES.WARMUP);
+
+    match.update(RULES.warmupSeconds, 1);
+    assert.equal(match.state, MATCH_STATES.LIVE);
+    assert.equal(match.quarter, 1);
+    assert.equal(match.gameClock, RULES.quarterSeconds);
+});
+
+test('the shot clock runs only once a team has the ball', () => {
+    const { match } = createLiveMatch();
+    run(match, 1);
+    assert.equal(match.shotClock, RULES.shotClockSeconds);
+
+    match.setPossession('home');
+    run(match, 1);
+    assert.ok(Math.abs(match.shotClock - (RULES.shotClockSeconds - 1)) < 1e-6);
+
+    match.setPossession('home');
+    assert.ok(match.shotClock < RULES.shotClockSeconds, 'same team keeps its clock');
+    match.setPossession('away');
+    assert.equal(match.shotClock, RULES.shotClockSeconds, 'new possession resets it');
+});
+
+test('an expired shot clock turns the ball over to the other team', () => {
+    const { match, events } = createLiveMatch();
+    match.gameClock = 100;
+    match.setPossession('home');
+    run(match, RULES.shotClockSeconds + 0.1);
+
+    const violation = events.find((e) => e.name === 'violation');
+    assert.deepEqual(violation.data, { type: 'shot_clock', teamId: 'home', playerId: null });
+    assert.equal(match.state, MATCH_STATES.INBOUND);
+    assert.equal(match.inboundTeam, 'away');
+
+    run(match, RULES.inboundSeconds + 0.1);
+    assert.equal(match.state, MATCH_STATES.LIVE);
+    assert.equal(match.possession, null);
+    assert.equal(match.shotClock, RULES.shotClockSeconds);
+    assert.equal(events.filter((e) => e.name === 'reset_ball').pop().data.teamId, 'away');
+});
+
+test('a live basket scores for the attacking team and stops play for the inbound', () => {
+    const { match, events } = createLiveMatch();
+    const hoop = HOOPS[0]; // Defended by away
+    const shot = { shooterId: 'p1', teamId: 'home', origin: { ...hoop.rimCenter, y: 0 } };
+
+    assert.equal(match.registerBasket(0, shot), 2);
+    assert.deepEqual(match.score, { home: 2, away: 0 });
+    assert.deepEqual(events.find((e) => e.name === 'basket').data,
+        { hoopIndex: 0, teamId: 'home', shooterId: 'p1', points: 2, counted: true, goaltenderId: null });
+    assert.equal(match.state, MATCH_STATES.INBOUND);
+    assert.equal(match.inboundTeam, hoop.teamId);
+    assert.equal(match.timer, RULES.replaySeconds, 'long enough for the instant replay');
+
+    assert.equal(match.registerBasket(1, null), 0, 'nothing scores during the dead ball');
+});
+
+test('a ball dropped in by the defence scores for the attackers without a shooter', () => {
+    const { match, events } = createLiveMatch();
+    const shot = { shooterId: 'p2', teamId: 'away', origin: { x: 0, y: 0, z: -12 } };
+    match.registerBasket(0, shot);
+    assert.deepEqual(match.score, { home: 2, away: 0 });
+    assert.equal(events.find((e) => e.name === 'basket').data.shooterId, null);
+});
+
+test('shots from behind the arc are worth three', () => {
+    const { match } = createLiveMatch();
+    const rim = HOOPS[0].rimCenter;
+    const shot = { shooterId: 'p1', teamId: 'home', origin: { x: rim.x, y: 0, z: rim.z + 8 } };
+    assert.equal(match.registerBasket(0, shot), 3);
+});
+
+test('warmup baskets do not count', () => {
+    const match = new Match(RULES);
+    const baskets = [];
+    match.on('basket', (data) => baskets.push(data));
+    assert.equal(match.registerBasket(1, null), 0);
+    assert.deepEqual(match.score, { home: 0, away: 0 });
+    assert.equal(baskets[0].counted, false);
+});
+
+test('violations and fouls are ignored outside live play', () => {
+    const match = new Match(RULES);
+    const events = [];
+    match.on('violation', (data) => events.push(data));
+    match.on('foul', (data) => events.push(data));
+    match.turnover('home', 'travel', { x: 0, y: 0, z: 0 });
+    match.foul('home', 'charging', { x: 0, y: 0, z: 0 }, 'p1');
+    assert.equal(events.length, 0);
+    assert.equal(match.state, MATCH_STATES.WARMUP);
+});
+
+test('quarters run to the final buzzer, then back to warmup', () => {
+    const { match } = createLiveMatch();
+    run(match, RULES.quarterSeconds + 0.1);
+    assert.equal(match.state, MATCH_STATES.QUARTER_END);
+
+    run(match, RULES.quarterBreakSeconds + 0.1);
+    assert.equal(match.state, MATCH_STATES.LIVE);
+    assert.equal(match.quarter, 2);
+
+    run(match, RULES.quarterSeconds + 0.1);
+    assert.equal(match.state, MATCH_STATES.FINAL);
+
+    run(match, RULES.finalSeconds + 0.1);
+    assert.equal(match.state, MATCH_STATES.WARMUP);
+    assert.deepEqual(match.score, { home: 0, away: 0 });
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MOVEMENT, createMovementState, stepMovement, separateBodies } from '../Movement.js';
+import { FLOOR, createBoxData } from '../Court.js';
+
+const FRAME = 1 / 60;
+
+// Runs the same input for a number of frames
+function run(state, input, frames) {
+    for (let i = 0; i < frames; i++) stepMovement(state, { dt: FRAME, yaw: 0, ...input }, [FLOOR]);
+    return state;
+}
+
+function standingPlayer() {
+    return run(createMovementState({ x: 0, y: MOVEMENT.height + 0.5, z: 0 }), {}, 60);
+}
+
+test('a player falls onto the floor and stands there', () => {
+    const state = standingPlayer();
+    assert.equal(state.onGround, true);
+    assert.ok(Math.abs(state.position.y - MOVEMENT.height) < 0.01);
+});
+
+test('forward follows the yaw and is capped at walking speed', () => {
+    const state = run(standingPlayer(), { forward: true }, 30);
+    assert.ok(Math.abs(state.velocity.z + MOVEMENT.speed) < 1e-6, 'yaw 0 looks down -z');
+    assert.ok(Math.abs(state.velocity.x) < 1e-9);
+
+    const turned = run(standingPlayer(), { forward: true, yaw: Math.PI / 2 }, 30);
+    assert.ok(Math.abs(turned.velocity.x + MOVEMENT.speed) < 1e-6);
+});
+
+test('sprinting is faster and drains stamina, which comes back at rest', () => {
+    const state = run(standingPlayer(), { forward: true, sprint: true }, 30);
+    const speed = Math.hypot(state.velocity.x, state.velocity.z);
+    assert.ok(Math.abs(speed - MOVEMENT.speed * MOVEMENT.sprintMultiplier) < 1e-6);
+    assert.ok(state.stamina < MOVEMENT.maxStamina);
+
+    const tired = state.stamina;
+    run(state, {}, 30);
+    assert.ok(state.stamina > tired);
+});
+
+test('jumping only works from the ground', () => {
+    const state = run(standingPlayer(), { jump: true }, 1);
+    assert.equal(state.onGround, false);
+    const rising = state.velocity.y;
+    run(state, { jump: true }, 1);
+    assert.ok(state.velocity.y < rising, 'no second jump in the air');
+});
+
+test('a frame longer than the input limit is cut down', () => {
+    const a = stepMovement(standingPlayer(), { dt: 5, yaw: 0, forward: true }, [FLOOR]);
+    const b = stepMovement(standingPlayer(), { dt: MOVEMENT.maxInputDt, yaw: 0, forward: true }, [FLOOR]);
+    assert.deepEqual(a.position, b.position);
+});
+
+test('a jump into a thin box overhead bumps the head instead of climbing on top', () => {
+    const rim = createBoxData({ x: 0, y: MOVEMENT.height + 0.6, z: 0 }, { x: 1, y: 0.05, z: 1 }, 'rim');
+    const state = standingPlayer();
+    for (let i = 0; i < 60; i++) stepMovement(state, { dt: FRAME, yaw: 0, jump: i === 0 }, [FLOOR, rim]);
+    assert.ok(state.position.y < rim.min.y + 0.01, 'still below it');
+    assert.equal(state.onGround, true, 'back on the floor');
+});
+
+test('overlapping players are pushed apart evenly', () => {
+    const a = { x: 0.2, y: MOVEMENT.height, z: 0 };
+    const b = { x: 0, y: MOVEMENT.height, z: 0 };
+    const contact = separateBodies(a, b);
+    assert.equal(contact.nx, 1, 'normal from b towards a');
+    assert.ok(Math.abs(a.x - b.x - MOVEMENT.width) < 1e-9, 'just touching');
+    assert.ok(Math.abs(a.x + b.x - 0.2) < 1e-9, 'both moved the same amount');
+
+    assert.equal(separateBodies(a, b), null, 'no overlap left');
+    assert.equal(separateBodies({ x: 0, y: MOVEMENT.height * 3, z: 0 }, b), null, 'one high above the other');
+});
@@ -0,0 +1,212 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BALL, PASSING, stepBall, resolveBallCollision, resolveRimCollision, simulateBall, solveShotVelocity, solvePassVelocity,
+    DRIBBLE, stepDribble, HANDLING, SHOOTING, getIdealRelease, judgeRelease, getShotSpread, gaussian } from '../Physics.js';
+import { FLOOR, HOOPS, createBoxData } from '../Court.js';
+
+// --- stepBall ---
+
+test('stepBall applies gravity and drag in open air', () => {
+    const ball = { position: { x: 0, y: 5, z: 0 }, velocity: { x: 4, y: 0, z: 0 } };
+    const dt = BALL.subStepSize;
+    assert.equal(stepBall(ball, dt, []), null);
+
+    assert.equal(ball.velocity.y, -BALL.gravity * dt);
+    assert.equal(ball.velocity.x, 4 - 4 * BALL.drag * dt);
+    assert.equal(ball.position.x, ball.velocity.x * dt);
+    assert.equal(ball.position.y, 5 + ball.velocity.y * dt);
+});
+
+test('stepBall bounces the ball off the floor', () => {
+    const ball = { position: { x: 0, y: BALL.radius + 0.01, z: 0 }, velocity: { x: 0, y: -5, z: 0 } };
+    const touched = stepBall(ball, BALL.subStepSize, [FLOOR]);
+
+    assert.equal(touched, FLOOR);
+
+    assert.ok(ball.velocity.y > 0, 'moving up after the bounce');
+    assert.ok(ball.velocity.y < 5, 'loses speed on the bounce');
+    assert.ok(ball.position.y >= FLOOR.max.y + BALL.radius - 1e-9, 'not left inside the floor');
+});
+
+// --- resolveBallCollision ---
+
+const wall = createBoxData({ x: 0, y: 2, z: 0 }, { x: 1, y: 4, z: 4 }, 'wall');
+
+test('resolveBallCollision ignores a ball clear of the box', () => {
+    const position = { x: 2, y: 2, z: 0 };
+    const velocity = { x: -3, y: 0, z: 0 };
+    assert.equal(resolveBallCollision(position, velocity, wall, BALL.subStepSize), false);
+    assert.deepEqual(position, { x: 2, y: 2, z: 0 });
+    assert.deepEqual(velocity, { x: -3, y: 0, z: 0 });
+});
+
+test('resolveBallCollision pushes out along the shallowest axis and reflects', () => {
+    // Sunk 5cm into the +x face
+    const position = { x: wall.max.x + BALL.radius - 0.05, y: 2, z: 0.5 };
+    const velocity = { x: -3, y: 0, z: 0 };
+
+    assert.equal(resolveBallCollision(position, velocity, wall, BALL.subStepSize), true);
+    assert.ok(Math.abs(position.x - (wall.max.x + BALL.radius)) < 1e-9, 'pushed back to the face');
+    assert.equal(position.z, 0.5, 'other axes untouched');
+    assert.ok(Math.abs(velocity.x - 3 * BALL.restitution) < 1e-9, 'bounced with the restitution');
+});
+
+test('resolveBallCollision keeps a bank shot\'s speed along the board', () => {
+    const board = createBoxData({ x: 0, y: 3, z: 0 }, { x: 2, y: 1, z: 0.1 }, 'board');
+    const position = { x: 0.5, y: 3, z: board.max.z + BALL.radius - 0.02 };
+    const velocity = { x: 2, y: 1, z: -6 };
+
+    assert.equal(resolveBallCollision(position, velocity, board, BALL.subStepSize), true);
+    assert.ok(Math.abs(velocity.z - 6 * BALL.boardRestitution) < 1e-9);
+    assert.deepEqual([velocity.x, velocity.y], [2, 1]);
+});
+
+// --- resolveRimCollision ---
+
+const rim = HOOPS[0].rim;
+
+test('resolveRimCollision ignores a ball clear of the rim', () => {
+    const position = { x: rim.center.x, y: rim.center.y + 1, z: rim.center.z };
+    const velocity = { x: 0, y: -3, z: 0 };
+    assert.equal(resolveRimCollision(position, velocity, rim), false);
+    assert.deepEqual(velocity, { x: 0, y: -3, z: 0 });
+});
+
+test('resolveRimCollision lets a ball drop through the middle of the ring', () => {
+    const position = { x: rim.center.x, y: rim.center.y, z: rim.center.z };
+    assert.equal(resolveRimCollision(position, { x: 0, y: -3, z: 0 }, rim), false);
+});
+
+test('resolveRimCollision pushes a ball landing on the rim back out and up', () => {
+    // Resting on top of the front of the ring, slightly sunk in
+    const reach = rim.tube + BALL.radius;
+    const position = { x: rim.center.x + rim.radius, y: rim.center.y + reach - 0.02, z: rim.center.z };
+    const velocity = { x: 0, y: -3, z: 0 };
+
+    assert.equal(resolveRimCollision(position, velocity, rim), true);
+    const dx = position.x - (rim.center.x + rim.radius);
+    const dy = position.y - rim.center.y;
+    assert.ok(Math.abs(Math.hypot(dx, dy) - reach) < 1e-9, 'pushed to the contact distance');
+    assert.ok(Math.abs(velocity.y - 3 * BALL.rimRestitution) < 1e-9, 'bounced with the rim restitution');
+});
+
+// --- solveShotVelocity ---
+
+// Flies the ball with simulateBall until it has covered the flat distance to target
+function heightAtTarget(start, velocity, target) {
+    const ball = { position: { ...start }, velocity: { ...velocity } };
+    const distance = Math.hypot(target.x - start.x, target.z - start.z);
+    let prev = { ...ball.position };
+    for (let t = 0; t < BALL.maxFlightTime; t += BALL.subStepSize) {
+        simulateBall(ball, BALL.subStepSize, []);
+        const travelled = Math.hypot(ball.position.x - start.x, ball.position.z - start.z);
+        if (travelled >= distance) {
+            const before = Math.hypot(prev.x - start.x, prev.z - start.z);
+            const f = (distance - before) / (travelled - before);
+            return prev.y + (ball.position.y - prev.y) * f;
+        }
+        prev = { ...ball.position };
+    }
+    return null;
+}
+
+test('solveShotVelocity finds a launch that reaches the rim', () => {
+    const start = { x: 2, y: 2, z: -7 };
+    const target = HOOPS[0].rimCenter;
+    for (const angle of [45, 55, 65]) {
+        const velocity = solveShotVelocity(start, target, angle);
+        assert.ok(velocity, `solved at ${angle} degrees`);
+
+        const elevation = Math.atan2(velocity.y, Math.hypot(velocity.x, velocity.z)) * (180 / Math.PI);
+        assert.ok(Math.abs(elevation - angle) < 1e-6, 'launched at the asked angle');
+        assert.ok(Math.abs(heightAtTarget(start, velocity, target) - target.y) < 0.01, 'passes through the target');
+    }
+});
+
+test('solveShotVelocity gives up on impossible targets', () => {
+    const start = { x: 0, y: 2, z: 0 };
+    assert.equal(solveShotVelocity(start, { x: 0, y: 3, z: 0 }, 60), null, 'straight above');
+    assert.equal(solveShotVelocity(start, { x: 0, y: 30, z: 2 }, 10), null, 'too steep for the angle');
+});
+
+// --- solvePassVelocity ---
+
+test('solvePassVelocity throws chest passes flat and lobs high', () => {
+    const start = { x: 0, y: 1.4, z: 0 };
+    const target = { x: 0, y: 1.4, z: -8 };
+    const elevation = (v) => Math.atan2(v.y, Math.hypot(v.x, v.z)) * (180 / Math.PI);
+
+    const chest = solvePassVelocity(start, target, 'chest');
+    const lob = solvePassVelocity(start, target, 'lob');
+    assert.ok(Math.abs(elevation(chest) - PASSING.chestAngles[0]) < 1e-6);
+    assert.ok(Math.abs(elevation(lob) - PASSING.lobAngles[0]) < 1e-6);
+    assert.ok(Math.abs(heightAtTarget(start, chest, target) - target.y) < 0.01);
+});
+
+test('solvePassVelocity gives up when no angle has a throwable speed', () => {
+    const start = { x: 0, y: 1.4, z: 0 };
+    assert.equal(solvePassVelocity(start, { x: 0, y: 1.4, z: -80 }, 'chest'), null);
+});
+
+// --- stepDribble ---
+
+test('a dribbled ball bounces between the floor and the hand', () => {
+    const hand = { x: 1, y: 1, z: -2 };
+    const ball = { position: { ...hand }, velocity: { x: 3, y: 0, z: 0 } };
+    let lowest = Infinity;
+    let pushes = 0;
+    for (let i = 0; i < 240; i++) {
+        const falling = ball.velocity.y < 0;
+        stepDribble(ball, hand, BALL.subStepSize, [FLOOR]);
+        if (!falling && ball.velocity.y < 0) pushes++;
+        lowest = Math.min(lowest, ball.position.y);
+        assert.equal(ball.position.x, hand.x, 'kept under the hand');
+        assert.equal(ball.position.z, hand.z);
+        assert.ok(ball.position.y <= hand.y + 1e-9, 'never above the hand');
+    }
+    assert.ok(lowest < FLOOR.max.y + BALL.radius + 0.05, 'reaches the floor');
+    assert.ok(pushes >= 2, 'pushed down again each time it comes back up');
+    assert.ok(DRIBBLE.pushSpeed > 0);
+});
+
+// --- Shot meter ---
+
+test('the ideal release is the meter fraction that reaches the rim', () => {
+    const start = { x: 0, y: 2, z: -8 };
+    const rim = HOOPS[0].rimCenter;
+    const direction = { x: rim.x - start.x, y: Math.hypot(rim.x - start.x, rim.z - start.z), z: rim.z - start.z }; // 45 degrees
+    const ideal = getIdealRelease(start, direction, rim);
+    const speed = HANDLING.minPower + ideal * (HANDLING.maxPower - HANDLING.minPower);
+
+    const velocity = solveShotVelocity(start, rim, 45);
+    assert.ok(Math.abs(speed - Math.hypot(velocity.x, velocity.y, velocity.z)) < 1e-9);
+    assert.equal(getIdealRelease(start, { x: 0, y: -1, z: -1 }, rim), null, 'aimed down');
+});
+
+test('releases are judged by how far they miss the ideal', () => {
+    assert.equal(judgeRelease(0.5, 0.5 + SHOOTING.perfectWindow / 2), 'perfect');
+    assert.equal(judgeRelease(0.5, 0.5 + SHOOTING.goodWindow / 2 + SHOOTING.perfectWindow / 2), 'good');
+    assert.equal(judgeRelease(0.3, 0.5), 'early');
+    assert.equal(judgeRelease(0.7, 0.5), 'late');
+    assert.equal(judgeRelease(0.5, null), null);
+});
+
+test('the spread grows with what makes a shot hard, and shrinks on a perfect release', () => {
+    const open = { distance: SHOOTING.freeDistance, moving: 0, fatigue: 0, contest: 0, timing: 'good' };
+    assert.equal(getShotSpread(open), SHOOTING.baseSpread);
+    assert.equal(getShotSpread({ ...open, timing: 'perfect' }), SHOOTING.baseSpread * SHOOTING.perfectSpreadScale);
+    for (const hard of [{ distance: 8 }, { moving: 1 }, { fatigue: 1 }, { contest: 1 }]) {
+        assert.ok(getShotSpread({ ...open, ...hard }) > SHOOTING.baseSpread, JSON.stringify(hard));
+    }
+});
+
+// --- gaussian ---
+
+test('gaussian samples have a mean of 0 and a standard deviation of 1', () => {
+    const samples = [];
+    for (let i = 0; i < 20000; i++) samples.push(gaussian());
+    const mean = samples.reduce((sum, x) => sum + x, 0) / samples.length;
+    const sd = Math.sqrt(samples.reduce((sum, x) => sum + (x - mean) ** 2, 0) / samples.length);
+    assert.ok(Math.abs(mean) < 0.05, `mean ${mean}`);
+    assert.ok(Math.abs(sd - 1) < 0.05, `sd ${sd}`);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ProfileStore, sanitizeName } from '../Profiles.js';
+import { createPlayerStats } from '../Stats.js';
+
+// A store in a temp directory; pending saves are cancelled at the end
+async function createStore(t) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'profiles-'));
+    const store = new ProfileStore(path.join(dir, 'profiles.json'));
+    t.after(async () => {
+        clearTimeout(store.saveTimer);
+        await store.saving;
+        await rm(dir, { recursive: true, force: true });
+    });
+    return store;
+}
+
+function createLine(id, profile, teamId, stats = {}) {
+    const line = createPlayerStats({ id, teamId, isBot: false, name: profile.name, profileId: profile.id });
+    return Object.assign(line, stats);
+}
+
+test('sanitizeName keeps names short and printable', () => {
+    assert.equal(sanitizeName('  Ann <b>  '), 'Ann b');
+    assert.equal(sanitizeName('a'.repeat(40)).length, 16);
+    assert.equal(sanitizeName('<>'), null);
+    assert.equal(sanitizeName(42), null);
+});
+
+test('sign-up gives a token that logs back in, and nothing else does', async (t) => {
+    const store = await createStore(t);
+    const { profile, token } = store.signUp('Ann');
+
+    assert.equal(store.login(token), profile);
+    assert.equal(store.login(token, 'Annie').name, 'Annie');
+    assert.equal(store.login('not-a-token'), null);
+    assert.equal(store.login(undefined), null);
+    assert.equal(Object.keys(store.profiles).length, 1, 'failed logins make no profiles');
+});
+
+test('profiles and careers survive a reload', async (t) => {
+    const store = await createStore(t);
+    const { profile, token } = store.signUp('Ann');
+    store.recordMatch({ score: { home: 10, away: 4 }, players: [createLine('s1', profile, 'home', { points: 10 })] });
+    await store.save();
+
+    const reloaded = new ProfileStore(store.file);
+    await reloaded.load();
+    const again = reloaded.login(token);
+    assert.equal(again.id, profile.id);
+    assert.equal(again.career.points, 10);
+    assert.equal(again.career.wins, 1);
+});
+
+test('recordMatch adds each signed-in player\'s line to their career', async (t) => {
+    const store = await createStore(t);
+    const ann = store.signUp('Ann').profile;
+    const bob = store.signUp('Bob').profile;
+    const bot = createPlayerStats({ id: 'bot-1', teamId: 'away', isBot: true });
+
+    store.recordMatch({
+        score: { home: 21, away: 15 },
+        players: [createLine('s1', ann, 'home', { points: 12, assists: 3 }), createLine('s2', bob, 'away', { points: 9 }), bot]
+    });
+    assert.deepEqual([ann.career.games, ann.career.wins, ann.career.losses, ann.career.points, ann.career.assists], [1, 1, 0, 12, 3]);
+    assert.deepEqual([bob.career.games, bob.career.wins, bob.career.losses, bob.career.points], [1, 0, 1, 9]);
+
+    store.recordMatch({ score: { home: 8, away: 8 }, players: [createLine('s3', ann, 'home')] });
+    assert.deepEqual([ann.career.games, ann.career.wins, ann.career.losses], [2, 1, 0], 'a tie is neither');
+});
+
+test('recordMatch counts one game per profile however many lines it has', async (t) => {
+    const store = await createStore(t);
+    const ann = store.signUp('Ann').profile;
+
+    // Left on home, rejoined on away and was there at the buzzer
+    store.recordMatch({
+        score: { home: 20, away: 10 },
+        players: [
+            createLine('s1', ann, 'home', { points: 4, onCourt: false }),
+            createLine('s2', ann, 'away', { points: 6 })
+        ]
+    });
+    assert.deepEqual([ann.career.games, ann.career.wins, ann.career.losses, ann.career.points], [1, 0, 1, 10]);
+
+    // Two tabs on the same team
+    store.recordMatch({
+        score: { home: 20, away: 10 },
+        players: [createLine('s3', ann, 'home', { points: 2 }), createLine('s4', ann, 'home', { points: 2 })]
+    });
+    assert.deepEqual([ann.career.games, ann.career.wins, ann.career.losses], [2, 1, 1]);
+});
+
+test('getLeaderboard ranks careers by a stat and skips profiles without games', async (t) => {
+    const store = await createStore(t);
+    const ann = store.signUp('Ann').profile;
+    const bob = store.signUp('Bob').profile;
+    store.signUp('Cy'); // Never played
+
+    store.recordMatch({ score: { home: 10, away: 0 }, players: [createLine('s1', ann, 'home', { points: 10 })] });
+    store.recordMatch({ score: { home: 0, away: 30 }, players: [createLine('s2', bob, 'away', { points: 30 })] });
+    store.recordMatch({ score: { home: 0, away: 2 }, players: [createLine('s3', bob, 'away', { points: 2 })] });
+
+    const byPoints = store.getLeaderboard('points');
+    assert.deepEqual(byPoints.map((row) => [row.rank, row.name, row.value]), [[1, 'Bob', 32], [2, 'Ann', 10]]);
+
+    const byPpg = store.getLeaderboard('ppg', 1);
+    assert.deepEqual(byPpg.map((row) => [row.name, row.value, row.games]), [['Bob', 16, 2]]);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    NETWORK, NO_SLOT, quantizeInput, encodeInputs, decodeInputs, quantizeWorld, encodeSnapshot, decodeSnapshot
+} from '../Protocol.js';
+
+function createInput(seq, overrides = {}) {
+    const input = {
+        seq, dt: 1 / 60, yaw: 1.2345678, pitch: -0.3,
+        forward: true, backward: false, left: false, right: true, sprint: true, jump: false,
+        ...overrides
+    };
+    quantizeInput(input);
+    return input;
+}
+
+function createWorld(players, ball = { x: 1, y: 2, z: 3 }, owner = NO_SLOT) {
+    return quantizeWorld(
+        { position: ball, velocity: { x: 0.5, y: -1, z: 0 } },
+        owner,
+        players.map(([slot, x, z]) => ({ slot, position: { x, y: 1.6, z }, yaw: 0.5, pitch: 0.1 }))
+    );
+}
+
+// --- Inputs ---
+
+test('inputs survive the wire exactly once quantized', () => {
+    const inputs = [createInput(41), createInput(42, { jump: true, forward: false, yaw: -3.1 })];
+    const decoded = decodeInputs(encodeInputs(7, inputs));
+    assert.equal(decoded.ack, 7);
+    assert.deepEqual(decoded.inputs, inputs);
+});
+
+test('only the newest inputs fit in one batch', () => {
+    const inputs = [];
+    for (let seq = 1; seq <= NETWORK.maxInputsPerPacket + 5; seq++) inputs.push(createInput(seq));
+    const decoded = decodeInputs(encodeInputs(0, inputs));
+    assert.equal(decoded.inputs.length, NETWORK.maxInputsPerPacket);
+    assert.equal(decoded.inputs[0].seq, 6);
+});
+
+test('decodeInputs rejects malformed batches', () => {
+    const packet = new Uint8Array(encodeInputs(0, [createInput(1)]));
+    assert.equal(decodeInputs(packet.slice(0, packet.length - 1)), null, 'truncated');
+    assert.equal(decodeInputs(new Uint8Array([0, 0])), null, 'no header');
+    assert.equal(decodeInputs('not binary'), null);
+});
+
+// --- Snapshots ---
+
+test('a full snapshot decodes to the same world', () => {
+    const world = createWorld([[0, 1, 2], [3, -4, 5]], { x: 1, y: 2, z: 3 }, 3);
+    const ack = { seq: 99, position: { x: 1.5, y: 1.75, z: -2.25 }, velocity: { x: 0, y: 0, z: 4 }, onGround: true, stamina: 50 };
+    const snapshot = decodeSnapshot(encodeSnapshot(10, 1234.5, world, null, 0, ack), new Map());
+
+    assert.equal(snapshot.id, 10);
+    assert.equal(snapshot.t, 1234.5);
+    assert.deepEqual(snapshot.ack, ack);
+    assert.deepEqual(snapshot.world, world);
+});
+
+test('a delta snapshot only carries what changed', () => {
+    const baseline = createWorld([[0, 1, 2], [1, 3, 4]]);
+    const world = createWorld([[0, 1, 2], [1, 3, 4.5]]);
+    const full = encodeSnapshot(11, 0, world, null, 0, null);
+    const delta = encodeSnapshot(11, 0, world, baseline, 10, null);
+
+    assert.ok(delta.byteLength < full.byteLength);
+    assert.deepEqual(decodeSnapshot(delta, new Map([[10, baseline]])).world, world);
+});
+
+test('a delta snapshot drops players who left since the baseline', () => {
+    const baseline = createWorld([[0, 1, 2], [1, 3, 4], [2, 5, 6]]);
+    const world = createWorld([[0, 1, 2], [2, 5, 6]]);
+    const decoded = decodeSnapshot(encodeSnapshot(11, 0, world, baseline, 10, null), new Map([[10, baseline]]));
+
+    assert.deepEqual(Object.keys(decoded.world.players), ['0', '2']);
+    assert.deepEqual(decoded.world, world);
+});
+
+test('decodeSnapshot needs its baseline and a whole packet', () => {
+    const baseline = createWorld([[0, 1, 2]]);
+    const world = createWorld([[0, 2, 2]]);
+    const packet = encodeSnapshot(11, 0, world, baseline, 10, null);
+
+    assert.equal(decodeSnapshot(packet, new Map()), null, 'unknown baseline');
+    assert.equal(decodeSnapshot(packet.slice(0, packet.byteLength - 2), new Map([[10, baseline]])), null, 'truncated');
+});
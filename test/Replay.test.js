@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NO_SLOT, quantizeWorld, dequantizeWorld } from '../Protocol.js';
+import { REPLAY, ReplayRecorder, decodeReplay } from '../Replay.js';
+
+const room = { code: 'ABCD', name: 'Test', mode: '1v1' };
+const players = [
+    { id: 'a', slot: 0, teamId: 'home', isBot: false, points: 4 },
+    { id: 'b', slot: 1, teamId: 'away', isBot: true, points: 0 }
+];
+
+function createWorld(z) {
+    return quantizeWorld(
+        { position: { x: 1, y: 2, z }, velocity: { x: 0, y: 0, z: -1 } },
+        NO_SLOT,
+        players.map((p) => ({ slot: p.slot, position: { x: p.slot, y: 1.6, z }, yaw: 0.5, pitch: 0 }))
+    );
+}
+
+function record(frames) {
+    const recorder = new ReplayRecorder(room, players);
+    for (let i = 0; i < frames; i++) recorder.recordFrame(1000 + i * 50, createWorld(i * 0.1));
+    recorder.recordEvent(1020, 'basket_scored', { teamId: 'home', points: 2 });
+    return recorder.encode();
+}
+
+test('a recorded match reads back frame for frame', () => {
+    const replay = decodeReplay(record(30));
+    assert.equal(replay.header.code, 'ABCD');
+    assert.deepEqual(replay.header.players, [
+        { id: 'a', slot: 0, teamId: 'home', isBot: false },
+        { id: 'b', slot: 1, teamId: 'away', isBot: true }
+    ]);
+    assert.deepEqual(replay.events, [{ t: 1020, event: 'basket_scored', data: { teamId: 'home', points: 2 } }]);
+
+    assert.equal(replay.frames.length, 30);
+    assert.equal(replay.frames[29].t, 1000 + 29 * 50);
+    assert.deepEqual(replay.frames[29].world, dequantizeWorld(createWorld(2.9)));
+});
+
+test('files that are not replays of this version are refused', () => {
+    const bytes = new Uint8Array(record(5));
+    assert.equal(decodeReplay(bytes.subarray(0, bytes.length - 3)), null, 'truncated');
+
+    const other = bytes.slice();
+    other[4] = REPLAY.version + 1;
+    assert.equal(decodeReplay(other), null, 'newer version');
+    assert.equal(decodeReplay(new TextEncoder().encode('not a replay at all')), null);
+});
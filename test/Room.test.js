@@ -0,0 +1,668 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Room } from '../Room.js';
+import { BALL_SPAWN, COURT, HOOPS } from '../Court.js';
+import { HANDLING, PASSING, SHOOTING } from '../Physics.js';
+import { MOVEMENT } from '../Movement.js';
+import { MATCH_STATES } from '../Match.js';
+import { NO_SLOT, quantizeInput, encodeInputs, quantizeWorld, decodeSnapshot } from '../Protocol.js';
+import { decodeReplay } from '../Replay.js';
+
+// Stand-in for the socket.io server: records what each room or socket is sent
+function createIo() {
+    const sent = [];
+    const target = (to) => {
+        const emitter = { emit: (event, data) => sent.push({ to, event, data }) };
+        emitter.volatile = emitter;
+        return emitter;
+    };
+    return { sent, to: target, sockets: { sockets: new Map() } };
+}
+
+function createSocket(io, id) {
+    const socket = {
+        id,
+        join() {},
+        leave() {},
+        emit: (event, data) => io.sent.push({ to: id, event, data }),
+        to: (to) => io.to(to)
+    };
+    io.sockets.sockets.set(id, socket);
+    return socket;
+}
+
+// Violations the room reports are collected in `violations`
+function createRoom(mode = '2v2', options = {}) {
+    const io = createIo();
+    const room = new Room(io, 'ABCD', 'Test', mode, options);
+    const violations = [];
+    room.onViolation = (socket, type, detail) => violations.push({ id: socket.id, type, detail });
+    return { io, room, violations };
+}
+
+// Stands the player next to the ball, looking at it (forward is -z)
+function placeAtBall(room, player) {
+    const ball = room.ballState.position;
+    player.position = { x: ball.x, y: ball.y, z: ball.z + 1 };
+    player.quaternion = { x: 0, y: 0, z: 0, w: 1 };
+}
+
+// One frame of walking forward, as the client would send it
+function input(seq) {
+    const frame = { seq, dt: 0.1, yaw: 0, pitch: 0, forward: true };
+    quantizeInput(frame);
+    return frame;
+}
+
+// Past warmup, with the ball live
+function startMatch(room) {
+    room.match.update(room.match.rules.warmupSeconds, 1);
+}
+
+test('a room takes players up to its mode size', () => {
+    const { io, room } = createRoom('1v1');
+    assert.ok(room.isEmpty());
+
+    room.addPlayer(createSocket(io, 'a'));
+    room.addPlayer(createSocket(io, 'b'));
+    assert.ok(room.isFull());
+    assert.deepEqual(room.getSummary(), {
+        code: 'ABCD', name: 'Test', mode: '1v1', players: 2, bots: 0, botDifficulty: 'pro', maxPlayers: 2, state: room.match.state
+    });
+    assert.ok(io.sent.some((m) => m.to === 'a' && m.event === 'init'), 'joiner gets the room state');
+});
+
+test('joiners go to the smaller team, and a leaver can make the other team give one up', () => {
+    const { io, room } = createRoom('3v3');
+    for (const id of ['a', 'b', 'c', 'd']) room.addPlayer(createSocket(io, id));
+    assert.deepEqual(['a', 'b', 'c', 'd'].map((id) => room.getTeamOf(id)), ['home', 'away', 'home', 'away']);
+
+    room.removePlayer(createSocket(io, 'b'));
+    room.removePlayer(createSocket(io, 'd'));
+    assert.deepEqual(room.getTeamCounts(), { home: 1, away: 1 });
+    assert.ok(io.sent.some((m) => m.event === 'player_team' && m.data.teamId === 'away'));
+});
+
+test('bots fill the empty slots and give them up to humans', () => {
+    const { io, room } = createRoom('2v2', { fillWithBots: true });
+    const a = createSocket(io, 'a');
+    room.addPlayer(a);
+    room.fillBots();
+    assert.equal(room.getPlayerCount(), 4);
+    assert.equal(room.getBotCount(), 3);
+    assert.deepEqual(room.getTeamCounts(), { home: 2, away: 2 });
+    assert.ok(!room.isFull(), 'only humans fill a room');
+
+    room.addPlayer(createSocket(io, 'b'));
+    assert.equal(room.getPlayerCount(), 4);
+    assert.equal(room.getBotCount(), 2);
+    assert.deepEqual(room.getTeamCounts(), { home: 2, away: 2 });
+
+    room.removePlayer(createSocket(io, 'b'));
+    assert.equal(room.getBotCount(), 3, 'a leaver is replaced');
+    room.removePlayer(a);
+    assert.ok(room.isEmpty());
+});
+
+test('pickup needs the ball within reach', () => {
+    const { io, room, violations } = createRoom();
+    const socket = createSocket(io, 'a');
+    room.addPlayer(socket);
+    const player = room.players.a;
+
+    // Just out of reach is lag; far out of reach is reported
+    player.position = { x: 0, y: BALL_SPAWN.y, z: HANDLING.pickupRange + 0.1 };
+    room.handlePickup(socket);
+    assert.equal(room.ballState.ownerId, null);
+    assert.equal(violations.length, 0);
+
+    player.position = { x: 0, y: BALL_SPAWN.y, z: HANDLING.pickupRange * 3 };
+    room.handlePickup(socket);
+    assert.equal(room.ballState.ownerId, null);
+    assert.equal(violations[0].type, 'pickup_out_of_range');
+
+    placeAtBall(room, player);
+    room.handlePickup(socket);
+    assert.equal(room.ballState.ownerId, 'a');
+});
+
+test('a steal has to be aimed at the ball', () => {
+    const { io, room } = createRoom();
+    const holder = createSocket(io, 'a');
+    const thief = createSocket(io, 'b');
+    room.addPlayer(holder);
+    room.addPlayer(thief);
+    placeAtBall(room, room.players.a);
+    room.handlePickup(holder);
+
+    // Standing past the ball, looking away from it
+    const ball = room.ballState.position;
+    room.players.b.position = { x: ball.x, y: ball.y, z: ball.z - 1 };
+    room.players.b.quaternion = { x: 0, y: 0, z: 0, w: 1 };
+    room.handleSteal(thief);
+    assert.equal(room.ballState.ownerId, 'a');
+
+    placeAtBall(room, room.players.b);
+    room.handleSteal(thief);
+    assert.equal(room.ballState.ownerId, 'b');
+});
+
+test('only the holder can shoot, and the ball leaves their hands', () => {
+    const { io, room } = createRoom();
+    const holder = createSocket(io, 'a');
+    const other = createSocket(io, 'b');
+    room.addPlayer(holder);
+    room.addPlayer(other);
+    placeAtBall(room, room.players.a);
+    room.handlePickup(holder);
+
+    const shot = { direction: { x: 0, y: 1, z: -1 }, power: 20 };
+    room.handleShoot(other, shot);
+    assert.equal(room.ballState.ownerId, 'a');
+
+    room.handleShoot(holder, shot);
+    assert.equal(room.ballState.ownerId, null);
+    const speed = Math.hypot(room.ballState.velocity.x, room.ballState.velocity.y, room.ballState.velocity.z);
+    assert.ok(Math.abs(speed - 20) < 1e-9);
+});
+
+test('the ball goes back to the spawn when its holder leaves', () => {
+    const { io, room } = createRoom();
+    const socket = createSocket(io, 'a');
+    room.addPlayer(socket);
+    placeAtBall(room, room.players.a);
+    room.handlePickup(socket);
+
+    room.removePlayer(socket);
+    assert.ok(room.isEmpty());
+    assert.equal(room.ballState.ownerId, null);
+    assert.deepEqual(room.ballState.position, BALL_SPAWN);
+    assert.ok(io.sent.some((m) => m.event === 'player_left' && m.data === 'a'));
+});
+
+test('a holder who brings the ball back over half-court loses it', () => {
+    const { io, room } = createRoom();
+    room.addPlayer(createSocket(io, 'a')); // Home: backcourt is +z
+    startMatch(room);
+    const player = room.players.a;
+    room.setBallOwner('a');
+
+    player.position = { x: 0, y: 2, z: 3 };
+    room.checkHolderRules(player);
+    assert.equal(room.match.state, MATCH_STATES.LIVE, 'bringing it up is fine');
+
+    player.position = { x: 0, y: 2, z: -3 };
+    room.checkHolderRules(player);
+    player.position = { x: 0, y: 2, z: 3 };
+    room.checkHolderRules(player);
+    assert.equal(room.match.state, MATCH_STATES.INBOUND);
+    const violation = io.sent.find((m) => m.event === 'match_violation');
+    assert.deepEqual(violation.data, { type: 'backcourt', teamId: 'home', playerId: null });
+});
+
+test('a holder stepping out of bounds turns it over to the other team', () => {
+    const { io, room } = createRoom();
+    room.addPlayer(createSocket(io, 'a'));
+    startMatch(room);
+    const player = room.players.a;
+    room.setBallOwner('a');
+
+    player.position = { x: COURT.halfWidth + 0.1, y: 2, z: 3 };
+    room.checkHolderRules(player);
+    assert.deepEqual(io.sent.find((m) => m.event === 'match_violation').data, { type: 'out_of_bounds', teamId: 'home', playerId: null });
+    assert.equal(room.match.inboundTeam, 'away');
+});
+
+test('movement inputs run in order and no faster than real time', () => {
+    const { io, room, violations } = createRoom();
+    const socket = createSocket(io, 'a');
+    room.addPlayer(socket);
+    const player = room.players.a;
+    const send = (...seqs) => room.handleInputs(socket, encodeInputs(0, seqs.map((seq) => input(seq))));
+
+    send(2);
+    assert.equal(player.lastInputSeq, 2);
+    const after = { ...player.position };
+    send(1);
+    assert.deepEqual(player.position, after, 'an old input is dropped');
+
+    // The allowance is spent: more input than time passed is not applied
+    send(3, 4);
+    const spent = { ...player.position };
+    send(5);
+    assert.deepEqual(player.position, spent);
+    assert.equal(player.lastInputSeq, 5, 'still acked so the client corrects itself');
+    assert.deepEqual(violations.map((v) => v.type), ['input_overrun', 'input_overrun']);
+});
+
+test('impossible movement is reported and undone', () => {
+    const { io, room, violations } = createRoom();
+    const socket = createSocket(io, 'a');
+    room.addPlayer(socket);
+    const player = room.players.a;
+    const start = { ...player.position };
+
+    // A step of 5m in a tenth of a second
+    player.position = { ...start, z: start.z - 5 };
+    room.checkMovement(player, start, 0.1);
+    assert.deepEqual(player.position, start);
+    assert.deepEqual(player.velocity, { x: 0, y: 0, z: 0 });
+    assert.deepEqual(violations[0], { id: 'a', type: 'impossible_movement', detail: 'too fast' });
+
+    room.handleInputs(socket, new Uint8Array([1, 2, 3]));
+    assert.equal(violations[1].type, 'malformed');
+});
+
+test('snapshots are delta-encoded against the last one a client acknowledged', () => {
+    const { io, room } = createRoom();
+    const socket = createSocket(io, 'a');
+    room.addPlayer(socket);
+    const snapshots = () => io.sent.filter((m) => m.to === 'a' && m.event === 'snapshot').map((m) => m.data);
+
+    room.sendSnapshots();
+    const first = decodeSnapshot(snapshots()[0], new Map());
+    assert.ok(first, 'nothing acknowledged yet: a full snapshot');
+    assert.equal(first.ack, null, 'no input to ack');
+
+    room.handleInputs(socket, encodeInputs(first.id, [input(1)]));
+    room.sendSnapshots();
+    const packet = snapshots()[1];
+    assert.equal(decodeSnapshot(packet, new Map()), null, 'needs the baseline');
+    const second = decodeSnapshot(packet, new Map([[first.id, first.world]]));
+    assert.equal(second.ack.seq, 1);
+    assert.equal(second.world.players[0].z, quantizeWorld(room.ballState, NO_SLOT, [room.players.a]).players[0].z);
+});
+
+// --- Passing ---
+
+// Two teammates 6m apart on the home side, the first with the ball
+function createPass() {
+    const { io, room } = createRoom('3v3');
+    for (const id of ['a', 'x', 'b']) room.addPlayer(createSocket(io, id)); // a, b home; x away
+    room.players.a.position = { x: 0, y: MOVEMENT.height, z: 8 };
+    room.players.b.position = { x: 0, y: MOVEMENT.height, z: 2 };
+    room.players.x.position = { x: 10, y: MOVEMENT.height, z: 5 };
+    room.setLook(room.players.a, 0, 0); // Facing -z, towards b
+    room.setBallOwner('a');
+    return { io, room };
+}
+
+// Ticks until someone holds the ball (or two seconds pass)
+function tickUntilCaught(room) {
+    for (let i = 0; i < 120 && !room.ballState.ownerId; i++) room.tick(1 / 60);
+}
+
+test('a pass flies to the receiver, who catches it', () => {
+    const { io, room } = createPass();
+    room.pass(room.players.a, room.players.b, 'chest');
+    assert.equal(room.ballState.ownerId, null);
+    assert.deepEqual(io.sent.find((m) => m.event === 'pass').data, { passerId: 'a', receiverId: 'b', type: 'chest' });
+
+    tickUntilCaught(room);
+    assert.equal(room.ballState.ownerId, 'b');
+});
+
+test('a defender in the passing lane picks it off', () => {
+    const { io, room } = createPass();
+    room.players.x.position = { x: 0, y: MOVEMENT.height, z: 5 };
+    room.pass(room.players.a, room.players.b, 'chest');
+
+    tickUntilCaught(room);
+    assert.equal(room.ballState.ownerId, 'x');
+    assert.deepEqual(io.sent.find((m) => m.event === 'pass_intercepted').data, { passerId: 'a', playerId: 'x' });
+});
+
+test('passes only go to teammates in range', () => {
+    const { room } = createPass();
+    room.pass(room.players.a, room.players.x, 'chest');
+    assert.equal(room.ballState.ownerId, 'a', 'not to an opponent');
+
+    room.players.b.position.z = 8 - PASSING.maxDistance - 1;
+    room.pass(room.players.a, room.players.b, 'lob');
+    assert.equal(room.ballState.ownerId, 'a', 'not across the whole court');
+});
+
+// --- Dribbling ---
+
+// A home holder standing in the frontcourt, live play
+function createHolder() {
+    const { io, room } = createRoom();
+    room.addPlayer(createSocket(io, 'a'));
+    startMatch(room);
+    const player = room.players.a;
+    player.position = { x: 0, y: MOVEMENT.height, z: -5 };
+    player.onGround = true;
+    room.setBallOwner('a');
+    room.checkHolderRules(player); // Sets the pivot
+    return { io, room, player };
+}
+
+const violationOf = (io) => io.sent.find((m) => m.event === 'match_violation');
+
+test('walking with the ball without dribbling is a travel', () => {
+    const { io, room, player } = createHolder();
+    player.position.z -= 1;
+    room.checkHolderRules(player);
+    assert.equal(violationOf(io), undefined, 'a pivot step is fine');
+
+    player.position.z -= 1;
+    room.checkHolderRules(player);
+    assert.deepEqual(violationOf(io).data, { type: 'travel', teamId: 'home', playerId: null });
+});
+
+test('jumping with the ball and landing with it is a travel', () => {
+    const { io, room, player } = createHolder();
+    player.onGround = false;
+    room.checkHolderRules(player);
+    player.onGround = true;
+    room.checkHolderRules(player);
+    assert.deepEqual(violationOf(io).data, { type: 'travel', teamId: 'home', playerId: null });
+});
+
+test('a dribbling holder may move, but only dribbles once', () => {
+    const { io, room, player } = createHolder();
+    room.startDribble(player);
+    player.position.z -= 4;
+    room.checkHolderRules(player);
+    assert.equal(violationOf(io), undefined);
+
+    room.gatherDribble(player);
+    assert.deepEqual(room.handling.pivot, player.position, 'pivot where it was gathered');
+    room.startDribble(player);
+    assert.deepEqual(violationOf(io).data, { type: 'double_dribble', teamId: 'home', playerId: null });
+});
+
+// --- Blocks and goaltending ---
+
+// Home shooter 'a' and away defender 'x', live play, a shot just released
+function createShot() {
+    const { io, room } = createRoom();
+    room.addPlayer(createSocket(io, 'a'));
+    room.addPlayer(createSocket(io, 'x'));
+    startMatch(room);
+    room.setBallOwner('a');
+    room.lastShot = { shooterId: 'a', teamId: 'home', origin: { x: 0, y: MOVEMENT.height, z: -8 }, touched: false, rim: false, board: false };
+    room.ballState.ownerId = null;
+    return { io, room };
+}
+
+test('a defender jumping into a shot blocks it', () => {
+    const { io, room } = createShot();
+    const defender = room.players.x;
+    defender.position = { x: 0, y: MOVEMENT.height + 0.6, z: -9 };
+    defender.onGround = false;
+    room.players.a.position = { x: 5, y: MOVEMENT.height, z: 0 };
+    room.ballState.position = { x: 0, y: defender.position.y + 0.4, z: -8.2 };
+    room.ballState.velocity = { x: 0, y: 3, z: -8 };
+
+    room.stepLooseBall(0.1);
+    assert.ok(room.ballState.velocity.z > 0, 'knocked back');
+    assert.equal(room.lastShot.touched, true);
+    const blocked = io.sent.find((m) => m.event === 'shot_blocked');
+    assert.equal(blocked.data.playerId, 'x');
+    assert.equal(blocked.data.shooterId, 'a');
+    assert.equal(blocked.data.part, 'hands');
+});
+
+test('touching a shot on its way down over the rim is goaltending', () => {
+    const { io, room } = createShot();
+    const rim = HOOPS[0].rimCenter; // Home attacks it
+    room.ballState.position = { x: rim.x, y: rim.y + 0.5, z: rim.z };
+    room.touchShot(room.lastShot, room.players.x, 'hands', true);
+    const basket = io.sent.find((m) => m.event === 'basket_scored');
+    assert.equal(basket.data.goaltenderId, 'x');
+    assert.deepEqual(room.match.score, { home: 2, away: 0 });
+});
+
+test('an attacker touching their own shot over the rim loses the ball', () => {
+    const { io, room } = createShot();
+    const rim = HOOPS[0].rimCenter;
+    room.ballState.position = { x: rim.x, y: rim.y + 0.5, z: rim.z };
+    room.touchShot(room.lastShot, room.players.a, 'hands', true);
+    assert.deepEqual(violationOf(io).data, { type: 'offensive_goaltending', teamId: 'home', playerId: 'a' });
+    assert.deepEqual(room.match.score, { home: 0, away: 0 });
+});
+
+// --- Contact fouls ---
+
+// Home holder 'a' and away defender 'x' touching, past the loose-ball scramble
+function createContact() {
+    const { io, room } = createRoom();
+    room.addPlayer(createSocket(io, 'a'));
+    room.addPlayer(createSocket(io, 'x'));
+    startMatch(room);
+    room.setBallOwner('a');
+    room.handling.since = 0;
+    const handler = room.players.a;
+    const defender = room.players.x;
+    handler.position = { x: 0, y: MOVEMENT.height, z: -5 };
+    defender.position = { x: 0, y: MOVEMENT.height, z: -5.3 };
+    handler.velocity = { x: 0, y: 0, z: 0 };
+    defender.velocity = { x: 0, y: 0, z: 0 };
+    return { io, room, handler, defender };
+}
+
+const foulOf = (io) => io.sent.find((m) => m.event === 'match_foul');
+
+test('running the ball into a set defender is charging', () => {
+    const { io, room, handler, defender } = createContact();
+    handler.velocity.z = -MOVEMENT.speed * MOVEMENT.sprintMultiplier;
+    room.resolveBodies();
+    assert.deepEqual(foulOf(io).data, { type: 'charging', teamId: 'home', playerId: 'a' });
+    assert.equal(room.stats.a.fouls, 1);
+    assert.equal(room.match.inboundTeam, 'away');
+    assert.ok(handler.position.z - defender.position.z >= MOVEMENT.width - 1e-9, 'pushed apart');
+});
+
+test('a defender running into the ball handler is blocking', () => {
+    const { io, room, defender } = createContact();
+    defender.velocity.z = MOVEMENT.speed * MOVEMENT.sprintMultiplier;
+    room.resolveBodies();
+    assert.deepEqual(foulOf(io).data, { type: 'blocking', teamId: 'away', playerId: 'x' });
+    assert.equal(room.match.inboundTeam, 'home');
+});
+
+test('contact right after gaining the ball or at walking pace plays on', () => {
+    const { io, room, handler } = createContact();
+    handler.velocity.z = -MOVEMENT.speed;
+    room.resolveBodies();
+    assert.equal(foulOf(io), undefined, 'walking into them');
+
+    handler.position.z = -5;
+    handler.velocity.z = -MOVEMENT.speed * MOVEMENT.sprintMultiplier;
+    room.handling.since = Date.now();
+    room.resolveBodies();
+    assert.equal(foulOf(io), undefined, 'still the scramble');
+});
+
+// --- Shot quality ---
+
+test('the shooter is told how their shot was rated', () => {
+    const { io, room } = createRoom();
+    room.addPlayer(createSocket(io, 'a'));
+    placeAtBall(room, room.players.a);
+    room.handlePickup(io.sockets.sockets.get('a'));
+
+    room.handleShoot(io.sockets.sockets.get('a'), { direction: { x: 0, y: 1, z: -1 }, power: 12 });
+    const quality = io.sent.find((m) => m.event === 'shot_quality');
+    assert.equal(quality.to, 'a');
+    assert.deepEqual(Object.keys(quality.data).sort(), ['contest', 'distance', 'fatigue', 'moving', 'spread', 'timing']);
+    assert.equal(quality.data.contest, 0);
+});
+
+test('only an opponent between the shooter and the hoop contests', () => {
+    const { io, room } = createRoom();
+    room.addPlayer(createSocket(io, 'a')); // Home, attacks HOOPS[0] at -z
+    room.addPlayer(createSocket(io, 'x'));
+    const shooter = room.players.a;
+    const defender = room.players.x;
+    const hoop = HOOPS[0];
+    shooter.position = { x: 0, y: MOVEMENT.height, z: -7 };
+
+    defender.position = { x: 0, y: MOVEMENT.height, z: -7 + 1 }; // Behind
+    assert.equal(room.getContest(shooter, hoop), 0);
+    defender.position = { x: 0, y: MOVEMENT.height, z: -7 - SHOOTING.contestRadius / 2 };
+    assert.ok(Math.abs(room.getContest(shooter, hoop) - 0.5) < 1e-9);
+});
+
+// --- Baskets ---
+
+test('a shot dropping through the ring scores, called by how it went in', () => {
+    const { io, room } = createShot();
+    const rim = HOOPS[0].rimCenter;
+    room.ballState.position = { x: rim.x, y: rim.y + 0.3, z: rim.z };
+    room.ballState.velocity = { x: 0, y: -4, z: 0 };
+    room.lastShot.board = true;
+
+    room.stepLooseBall(0.2);
+    const basket = io.sent.find((m) => m.event === 'basket_scored');
+    assert.equal(basket.data.hoopIndex, 0);
+    assert.equal(basket.data.finish, 'bank');
+    assert.deepEqual(room.match.score, { home: 2, away: 0 });
+});
+
+test('a clean shot is a swish and one off the rim a roll-in', () => {
+    const { room } = createShot();
+    assert.equal(room.getFinish(), 'swish');
+    room.lastShot.rim = true;
+    assert.equal(room.getFinish(), 'rim');
+    room.lastShot = null;
+    assert.equal(room.getFinish(), null);
+});
+
+// --- Replays ---
+
+test('a match is recorded from tip-off and handed over at the final buzzer', () => {
+    const { io, room } = createRoom('1v1');
+    const files = [];
+    room.onReplay = (from, file) => files.push(file);
+    room.addPlayer(createSocket(io, 'a'));
+    room.addPlayer(createSocket(io, 'b'));
+    assert.equal(room.recorder, null, 'not during warmup');
+
+    startMatch(room);
+    assert.ok(room.recorder);
+    room.sendSnapshots();
+    room.match.quarter = room.match.rules.quarters;
+    room.match.endQuarter();
+    assert.equal(room.recorder, null);
+
+    assert.equal(files.length, 1);
+    const replay = decodeReplay(files[0]);
+    assert.equal(replay.frames.length, 1);
+    assert.ok(replay.events.some((e) => e.event === 'match_state'));
+});
+
+// --- Stats ---
+
+test('a basket off a caught pass counts the field goal and the assist', () => {
+    const { room } = createPass();
+    startMatch(room);
+    room.setBallOwner('a');
+    room.pass(room.players.a, room.players.b, 'chest');
+    tickUntilCaught(room);
+
+    room.shoot(room.players.b, { x: 0, y: 1, z: -1 }, 15);
+    room.match.registerBasket(0, room.lastShot);
+    const { a, b } = room.stats;
+    assert.deepEqual([b.points, b.fgm3, b.fga3], [3, 1, 1]);
+    assert.equal(a.assists, 1);
+    assert.deepEqual(b.shots, [{ x: 0, z: room.players.b.position.z, points: 3, made: true }]);
+    assert.ok(b.seconds > 0, 'minutes run with the game clock');
+});
+
+test('rebounds, steals and turnovers go to the players involved', () => {
+    const { io, room } = createRoom();
+    room.addPlayer(createSocket(io, 'a'));
+    room.addPlayer(createSocket(io, 'b'));
+    startMatch(room);
+
+    room.lastShot = { shooterId: 'a', teamId: 'home', origin: { x: 0, y: 2, z: -8 }, touched: true };
+    room.setBallOwner('b');
+    assert.equal(room.stats.b.defRebounds, 1);
+
+    placeAtBall(room, room.players.a);
+    room.steal(room.players.a);
+    assert.equal(room.stats.a.steals, 1);
+    assert.equal(room.stats.b.turnovers, 1);
+});
+
+test('nothing counts outside live play, and the final box score goes to everyone', () => {
+    const { io, room } = createRoom('1v1');
+    room.addPlayer(createSocket(io, 'a'));
+    room.addPlayer(createSocket(io, 'b'));
+    room.setBallOwner('a');
+    room.shoot(room.players.a, { x: 0, y: 1, z: -1 }, 15);
+    assert.equal(room.stats.a.fga2 + room.stats.a.fga3, 0, 'warmup');
+
+    startMatch(room);
+    room.match.quarter = room.match.rules.quarters;
+    room.match.endQuarter();
+    const boxScore = io.sent.find((m) => m.event === 'box_score');
+    assert.equal(boxScore.to, 'ABCD');
+    assert.equal(boxScore.data.final, true);
+    assert.deepEqual(boxScore.data.players.map((p) => p.id), ['a', 'b']);
+});
+
+test('each live attempt is charted once, when the shot is over', () => {
+    const { io, room } = createRoom('1v1');
+    room.addPlayer(createSocket(io, 'a'));
+    room.addPlayer(createSocket(io, 'b'));
+    startMatch(room);
+    const charted = () => io.sent.filter((m) => m.event === 'shot_charted').map((m) => m.data);
+
+    room.setBallOwner('a');
+    room.shoot(room.players.a, { x: 0, y: 1, z: -1 }, 15);
+    assert.deepEqual(charted(), [], 'still in the air');
+    room.setBallOwner('b'); // Rebound
+    const [miss] = charted();
+    assert.deepEqual({ playerId: miss.playerId, teamId: miss.teamId, made: miss.made }, { playerId: 'a', teamId: 'home', made: false });
+
+    room.shoot(room.players.b, { x: 0, y: 1, z: 1 }, 15);
+    room.match.registerBasket(1, room.lastShot);
+    assert.equal(charted().length, 2);
+    assert.equal(charted()[1].made, true);
+});
+
+test('the final box score goes to the server with each signed-in player\'s profile', () => {
+    const { io, room } = createRoom('1v1');
+    const ended = [];
+    room.onMatchEnd = (from, boxScore) => ended.push(boxScore);
+    room.addPlayer(createSocket(io, 'a'), { id: 'profile-1', name: 'Ann' });
+    room.addPlayer(createSocket(io, 'b'));
+
+    startMatch(room);
+    room.match.quarter = room.match.rules.quarters;
+    room.match.endQuarter();
+    assert.equal(ended.length, 1);
+    assert.deepEqual(ended[0].players.map((p) => [p.id, p.name, p.profileId]), [['a', 'Ann', 'profile-1'], ['b', null, null]]);
+});
+
+test('a match starts and ends once, however often its state is broadcast', () => {
+    const { io, room } = createRoom('1v1');
+    const ended = [];
+    room.onMatchEnd = (from, boxScore) => ended.push(boxScore);
+    room.addPlayer(createSocket(io, 'a'));
+
+    startMatch(room);
+    const recorder = room.recorder;
+    room.match.setPossession('home'); // Another 'state' mid-match
+    assert.equal(room.recorder, recorder, 'still the same recording');
+
+    room.match.quarter = room.match.rules.quarters;
+    room.match.endQuarter();
+    room.match.emit('state'); // Again during the final
+    assert.equal(ended.length, 1);
+    assert.equal(room.recorder, null, 'no new recording after the buzzer');
+    assert.equal(io.sent.filter((m) => m.event === 'box_score').length, 1);
+});
+
+test('a player who leaves keeps their line in the box score, marked off the court', () => {
+    const { io, room } = createRoom('1v1');
+    const socket = createSocket(io, 'a');
+    room.addPlayer(socket);
+    startMatch(room);
+    room.removePlayer(socket);
+    assert.equal(room.stats.a.onCourt, false);
+    assert.deepEqual(room.getBoxScore().players.map((p) => p.id), ['a']);
+});
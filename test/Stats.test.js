@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlayerStats, sumStats, boxScoreToCSV } from '../Stats.js';
+
+function line(id, teamId, fields) {
+    return { ...createPlayerStats({ id, teamId, isBot: false }), ...fields };
+}
+
+test('a team row adds up its players', () => {
+    const total = sumStats([
+        line('a', 'home', { points: 5, fgm2: 1, fga2: 3, fgm3: 1, fga3: 2, assists: 1 }),
+        line('b', 'home', { points: 2, fgm2: 1, fga2: 1, steals: 2, seconds: 30 })
+    ]);
+    assert.equal(total.points, 7);
+    assert.equal(total.fgm2, 2);
+    assert.equal(total.fga2, 4);
+    assert.equal(total.fgm3, 1);
+    assert.equal(total.assists, 1);
+    assert.equal(total.steals, 2);
+    assert.equal(total.seconds, 30);
+});
+
+test('the CSV export has a header and one quoted-as-needed row per player', () => {
+    const csv = boxScoreToCSV({ players: [line('a', 'home', { name: 'Ann "A", Jr', points: 3 })] });
+    const rows = csv.trim().split('\n');
+    assert.equal(rows.length, 2);
+    assert.ok(rows[0].startsWith('id,name,teamId,isBot,seconds,points,'));
+    assert.ok(rows[1].startsWith('a,"Ann ""A"", Jr",home,false,0,3,'));
+    assert.ok(!csv.includes('shots'), 'no shot locations');
+});
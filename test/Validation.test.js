@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateEvent, ViolationLog, VIOLATION_WEIGHTS, VIOLATION_LIMITS } from '../Validation.js';
+
+const ack = () => {};
+
+// --- Schemas ---
+
+test('well-formed events pass', () => {
+    assert.equal(validateEvent('ball_pass', [{ targetId: 'abc', type: 'lob' }]), null);
+    assert.equal(validateEvent('create_room', [{ mode: '2v2' }, ack]), null, 'optional fields left out');
+    assert.equal(validateEvent('sign_up', [{}, ack]), null);
+    assert.equal(validateEvent('inputs', [new Uint8Array(3)]), null);
+    assert.equal(validateEvent('ball_pickup', []), null);
+});
+
+test('unknown events and extra arguments are rejected', () => {
+    assert.match(validateEvent('give_me_points', []), /unknown event/);
+    assert.match(validateEvent('ball_pickup', [1]), /too many arguments/);
+});
+
+test('arguments are checked against their specs', () => {
+    assert.match(validateEvent('ball_pass', [{ targetId: 'abc' }]), /type is missing/);
+    assert.match(validateEvent('ball_pass', [{ targetId: 'abc', type: 'bounce' }]), /not allowed/);
+    assert.match(validateEvent('ball_pass', [{ targetId: 'abc', type: 'lob', speed: 9 }]), /speed is not allowed/);
+    assert.match(validateEvent('ball_dribble', [{ dribble: 'yes' }]), /must be a boolean/);
+    assert.match(validateEvent('login', [{}, ack]), /token is missing/);
+    assert.match(validateEvent('create_room', [{ name: 42 }, ack]), /must be a string/);
+    assert.match(validateEvent('join_room', [{ code: 'ABCDEFGHIJ' }, ack]), /too long/);
+    assert.match(validateEvent('list_rooms', ['not a callback']), /must be a callback/);
+});
+
+test('numbers must be finite and in range', () => {
+    const shot = (power) => validateEvent('ball_shoot', [{ direction: { x: 0, y: 1, z: 0 }, power }]);
+    assert.equal(shot(20), null);
+    assert.match(shot(Infinity), /finite number/);
+    assert.match(shot(NaN), /finite number/);
+    assert.match(shot(-1), /out of range/);
+});
+
+test('binary arguments are size-limited', () => {
+    assert.match(validateEvent('inputs', ['not binary']), /must be binary/);
+    assert.match(validateEvent('inputs', [new ArrayBuffer(10000)]), /too large/);
+});
+
+// --- Violations ---
+
+test('ViolationLog kicks once the weighted score reaches the limit', (t) => {
+    t.mock.method(Date, 'now', () => 1000);
+    const log = new ViolationLog();
+    const needed = Math.ceil(VIOLATION_LIMITS.kickScore / VIOLATION_WEIGHTS.malformed);
+
+    for (let i = 1; i < needed; i++) assert.equal(log.record('malformed'), false);
+    assert.equal(log.record('malformed'), true);
+    assert.equal(log.counts.malformed, needed);
+});
+
+test('ViolationLog scores drain over time', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const log = new ViolationLog();
+
+    log.record('impossible_movement');
+    now += 5000;
+    log.record('flooding');
+    const expected = VIOLATION_WEIGHTS.impossible_movement - 5 * VIOLATION_LIMITS.decayPerSecond + VIOLATION_WEIGHTS.flooding;
+    assert.equal(log.score, expected);
+});